@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "public"."content_revisions" (
+    "id" TEXT NOT NULL,
+    "contentId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "excerpt" TEXT,
+    "category" "public"."Category",
+    "subcategory" TEXT,
+    "status" "public"."ContentStatus" NOT NULL,
+    "metaTitle" TEXT,
+    "metaDescription" TEXT,
+    "editorId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "content_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "content_revisions_contentId_createdAt_idx" ON "public"."content_revisions"("contentId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."content_revisions" ADD CONSTRAINT "content_revisions_contentId_fkey" FOREIGN KEY ("contentId") REFERENCES "public"."content"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."content_revisions" ADD CONSTRAINT "content_revisions_editorId_fkey" FOREIGN KEY ("editorId") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Backfill: record the current state of existing content as its first revision
+INSERT INTO "public"."content_revisions" ("id", "contentId", "title", "content", "excerpt", "category", "subcategory", "status", "metaTitle", "metaDescription", "editorId", "createdAt")
+SELECT gen_random_uuid()::text, "id", "title", "content", "excerpt", "category", "subcategory", "status", "metaTitle", "metaDescription", "authorId", "updatedAt"
+FROM "public"."content";
@@ -0,0 +1,12 @@
+-- AlterEnum
+ALTER TYPE "public"."ContentStatus" ADD VALUE 'SCHEDULED' BEFORE 'PUBLISHED';
+
+-- AlterTable
+ALTER TABLE "public"."content" ADD COLUMN     "publishAt" TIMESTAMP(3),
+ADD COLUMN     "unpublishAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "content_status_publishAt_idx" ON "public"."content"("status", "publishAt");
+
+-- CreateIndex
+CREATE INDEX "content_status_unpublishAt_idx" ON "public"."content"("status", "unpublishAt");
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "public"."content" ADD COLUMN     "searchVector" tsvector;
+
+-- CreateIndex
+CREATE INDEX "content_searchVector_idx" ON "public"."content" USING GIN ("searchVector");
+
+-- Backfill: index existing content (new writes are indexed by ContentSearchService)
+UPDATE "public"."content" SET "searchVector" =
+    setweight(to_tsvector('english', coalesce("title", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("excerpt", '')), 'B') ||
+    setweight(to_tsvector('english', regexp_replace("content", '<[^>]*>', ' ', 'g')), 'C');
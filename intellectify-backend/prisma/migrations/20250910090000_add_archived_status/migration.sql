@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "public"."ContentStatus" ADD VALUE 'ARCHIVED';
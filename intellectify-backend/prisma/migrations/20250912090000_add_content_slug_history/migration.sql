@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "public"."content_slug_history" (
+    "id" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "contentId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "content_slug_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "content_slug_history_slug_key" ON "public"."content_slug_history"("slug");
+
+-- CreateIndex
+CREATE INDEX "content_slug_history_contentId_idx" ON "public"."content_slug_history"("contentId");
+
+-- AddForeignKey
+ALTER TABLE "public"."content_slug_history" ADD CONSTRAINT "content_slug_history_contentId_fkey" FOREIGN KEY ("contentId") REFERENCES "public"."content"("id") ON DELETE CASCADE ON UPDATE CASCADE;
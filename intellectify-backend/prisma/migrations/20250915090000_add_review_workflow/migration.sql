@@ -0,0 +1,25 @@
+-- AlterEnum
+ALTER TYPE "public"."ContentStatus" ADD VALUE 'IN_REVIEW' BEFORE 'SCHEDULED';
+ALTER TYPE "public"."ContentStatus" ADD VALUE 'CHANGES_REQUESTED' BEFORE 'SCHEDULED';
+
+-- CreateTable
+CREATE TABLE "public"."content_transitions" (
+    "id" TEXT NOT NULL,
+    "contentId" TEXT NOT NULL,
+    "fromStatus" "public"."ContentStatus" NOT NULL,
+    "toStatus" "public"."ContentStatus" NOT NULL,
+    "comment" TEXT,
+    "userId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "content_transitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "content_transitions_contentId_createdAt_idx" ON "public"."content_transitions"("contentId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."content_transitions" ADD CONSTRAINT "content_transitions_contentId_fkey" FOREIGN KEY ("contentId") REFERENCES "public"."content"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."content_transitions" ADD CONSTRAINT "content_transitions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- CreateEnum
+CREATE TYPE "public"."CollaboratorPermission" AS ENUM ('EDITOR', 'VIEWER');
+
+-- CreateTable
+CREATE TABLE "public"."content_collaborators" (
+    "id" TEXT NOT NULL,
+    "contentId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "permission" "public"."CollaboratorPermission" NOT NULL DEFAULT 'EDITOR',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "content_collaborators_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "content_collaborators_userId_idx" ON "public"."content_collaborators"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "content_collaborators_contentId_userId_key" ON "public"."content_collaborators"("contentId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."content_collaborators" ADD CONSTRAINT "content_collaborators_contentId_fkey" FOREIGN KEY ("contentId") REFERENCES "public"."content"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."content_collaborators" ADD CONSTRAINT "content_collaborators_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
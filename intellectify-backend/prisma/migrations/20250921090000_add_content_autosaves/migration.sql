@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "public"."content_autosaves" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "contentId" TEXT,
+    "data" JSONB NOT NULL,
+    "baseVersion" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "content_autosaves_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "content_autosaves_contentId_idx" ON "public"."content_autosaves"("contentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "content_autosaves_userId_contentId_key" ON "public"."content_autosaves"("userId", "contentId");
+
+-- Only one working copy of a new (not yet created) article per user.
+-- The unique index above doesn't cover it since NULL contentIds never collide.
+CREATE UNIQUE INDEX "content_autosaves_userId_new_key" ON "public"."content_autosaves"("userId") WHERE "contentId" IS NULL;
+
+-- AddForeignKey
+ALTER TABLE "public"."content_autosaves" ADD CONSTRAINT "content_autosaves_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."content_autosaves" ADD CONSTRAINT "content_autosaves_contentId_fkey" FOREIGN KEY ("contentId") REFERENCES "public"."content"("id") ON DELETE CASCADE ON UPDATE CASCADE;
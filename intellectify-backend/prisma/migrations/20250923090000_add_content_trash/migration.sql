@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."content" ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "content_deletedAt_idx" ON "public"."content"("deletedAt");
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "public"."content_preview_links" (
+    "id" TEXT NOT NULL,
+    "contentId" TEXT NOT NULL,
+    "createdById" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "revokedAt" TIMESTAMP(3),
+    "lastViewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "content_preview_links_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "content_preview_links_contentId_idx" ON "public"."content_preview_links"("contentId");
+
+-- AddForeignKey
+ALTER TABLE "public"."content_preview_links" ADD CONSTRAINT "content_preview_links_contentId_fkey" FOREIGN KEY ("contentId") REFERENCES "public"."content"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."content_preview_links" ADD CONSTRAINT "content_preview_links_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
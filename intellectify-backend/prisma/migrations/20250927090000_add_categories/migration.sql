@@ -0,0 +1,124 @@
+/*
+  Moves categories from the "Category" enum to the "categories" table.
+
+  - Every enum value becomes a top-level category with the same key, so
+    content, category URLs and image paths keep their values.
+  - Free-text subcategories become child categories of the category they
+    were used with. Their key is the text in upper snake case ("Machine
+    learning" -> "MACHINE_LEARNING"); a key that would clash with another
+    category gets the parent key appended. Content and revisions are
+    updated to the new keys, and subcategories that had no category (or
+    no letters or numbers) are cleared.
+*/
+
+-- CreateTable
+CREATE TABLE "public"."categories" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "icon" TEXT,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "parentKey" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "categories_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "categories_key_key" ON "public"."categories"("key");
+
+-- CreateIndex
+CREATE INDEX "categories_parentKey_idx" ON "public"."categories"("parentKey");
+
+-- Top-level categories from the enum
+INSERT INTO "public"."categories" ("id", "key", "name", "sortOrder", "updatedAt") VALUES
+    (gen_random_uuid()::text, 'GENERAL', 'General', 0, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'PROGRAMMING_LANGUAGES', 'Programming Languages', 1, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'DATA_STRUCTURES_ALGORITHMS', 'Data Structures & Algorithms', 2, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'SYSTEM_DESIGN', 'System Design', 3, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'TECH_INSIGHTS', 'Tech Insights', 4, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'DATA_AI', 'Data & AI', 5, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'WEB_DEVELOPMENT', 'Web Development', 6, CURRENT_TIMESTAMP);
+
+-- AlterTable
+ALTER TABLE "public"."content" ALTER COLUMN "category" SET DATA TYPE TEXT USING "category"::text;
+
+-- AlterTable
+ALTER TABLE "public"."content_revisions" ALTER COLUMN "category" SET DATA TYPE TEXT USING "category"::text;
+
+-- DropEnum
+DROP TYPE "public"."Category";
+
+-- Subcategories in use, with their new keys
+CREATE TEMP TABLE "subcategory_keys" AS
+SELECT
+    "parentKey",
+    "text",
+    "baseKey",
+    "name"
+FROM (
+    SELECT
+        "category" AS "parentKey",
+        "subcategory" AS "text",
+        UPPER(TRIM(BOTH '_' FROM REGEXP_REPLACE("subcategory", '[^A-Za-z0-9]+', '_', 'g'))) AS "baseKey",
+        TRIM("subcategory") AS "name"
+    FROM (
+        SELECT "category", "subcategory" FROM "public"."content"
+        UNION
+        SELECT "category", "subcategory" FROM "public"."content_revisions"
+    ) AS "used"
+    WHERE "category" IS NOT NULL AND "subcategory" IS NOT NULL
+) AS "candidates"
+WHERE "baseKey" <> '';
+
+ALTER TABLE "subcategory_keys" ADD COLUMN "key" TEXT;
+
+UPDATE "subcategory_keys" AS s
+SET "key" = CASE
+    WHEN EXISTS (SELECT 1 FROM "public"."categories" c WHERE c."key" = s."baseKey")
+        OR EXISTS (
+            SELECT 1 FROM "subcategory_keys" o
+            WHERE o."baseKey" = s."baseKey" AND o."parentKey" <> s."parentKey"
+        )
+    THEN s."baseKey" || '_' || s."parentKey"
+    ELSE s."baseKey"
+END;
+
+-- One child per key; the name is the first spelling in alphabetical order
+INSERT INTO "public"."categories" ("id", "key", "name", "parentKey", "updatedAt")
+SELECT gen_random_uuid()::text, "key", MIN("name"), MIN("parentKey"), CURRENT_TIMESTAMP
+FROM "subcategory_keys"
+GROUP BY "key";
+
+UPDATE "public"."content" AS c
+SET "subcategory" = s."key"
+FROM "subcategory_keys" AS s
+WHERE c."category" = s."parentKey" AND c."subcategory" = s."text";
+
+UPDATE "public"."content_revisions" AS r
+SET "subcategory" = s."key"
+FROM "subcategory_keys" AS s
+WHERE r."category" = s."parentKey" AND r."subcategory" = s."text";
+
+UPDATE "public"."content"
+SET "subcategory" = NULL
+WHERE "subcategory" IS NOT NULL
+    AND "subcategory" NOT IN (SELECT "key" FROM "subcategory_keys");
+
+UPDATE "public"."content_revisions"
+SET "subcategory" = NULL
+WHERE "subcategory" IS NOT NULL
+    AND "subcategory" NOT IN (SELECT "key" FROM "subcategory_keys");
+
+DROP TABLE "subcategory_keys";
+
+-- CreateIndex
+CREATE INDEX "content_category_idx" ON "public"."content"("category");
+
+-- AddForeignKey
+ALTER TABLE "public"."content" ADD CONSTRAINT "content_category_fkey" FOREIGN KEY ("category") REFERENCES "public"."categories"("key") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."categories" ADD CONSTRAINT "categories_parentKey_fkey" FOREIGN KEY ("parentKey") REFERENCES "public"."categories"("key") ON DELETE RESTRICT ON UPDATE CASCADE;
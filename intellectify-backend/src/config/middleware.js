@@ -1,7 +1,6 @@
 const express = require('express');
 const cookieParser = require('cookie-parser');
 const morgan = require('morgan');
-const path = require('path');
 const requestLogger = require('../middleware/requestLogger');
 const { nodeEnv } = require('./oauth');
 
@@ -12,7 +11,6 @@ const { nodeEnv } = require('./oauth');
  * - Body parsing (JSON and URL-encoded)
  * - Cookie parsing for authentication
  * - Request logging (development vs production)
- * - Static file serving
  * 
  * The middleware is applied in a specific order for optimal performance and security.
  */
@@ -90,11 +88,6 @@ const configureMiddleware = (app) => {
       next();
     });
   }
-
-  // ========== Static File Serving ========== //
-  // Serve static files from the 'uploads' directory
-  // This allows direct access to uploaded files via /uploads/filename
-  app.use('/uploads', express.static(path.join(__dirname, '../../uploads')));
 };
 
 module.exports = { configureMiddleware };
\ No newline at end of file
@@ -11,6 +11,7 @@ module.exports = {
   },
   jwtAccessSecret: process.env.JWT_ACCESS_SECRET || 'your-jwt-secret-key',
   jwtRefreshSecret: process.env.JWT_REFRESH_SECRET || 'your-jwt-refresh-secret-key',
+  previewTokenSecret: process.env.PREVIEW_TOKEN_SECRET || 'your-preview-token-secret-key',
   
   frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
   backendUrl: process.env.BACKEND_URL || 'http://localhost:3000',
@@ -2,7 +2,12 @@ const authRoutes = require('../routes/auth');
 const adminAuthRoutes = require('../routes/adminAuth');
 const contentRoutes = require('../routes/content');
 const adminContentRoutes = require('../routes/adminContent');
+const adminCategoryRoutes = require('../routes/adminCategories');
 const imageRoutes = require('../routes/images');
+const imageFileRoutes = require('../routes/imageFiles');
+const tempImageFileRoutes = require('../routes/tempImageFiles');
+const contentReviewRoutes = require('../routes/contentReview');
+const sitemapRoutes = require('../routes/sitemap');
 const { errorHandler } = require('../middleware/errorHandler');
 const { nodeEnv } = require('./oauth');
 
@@ -13,8 +18,9 @@ const { nodeEnv } = require('./oauth');
  * Routes are mounted in a specific order:
  * 1. Health check endpoint
  * 2. API routes (authentication, content, images)
- * 3. 404 handler (must be after all routes)
- * 4. Error handling middleware (must be last)
+ * 3. SEO files (sitemap.xml, robots.txt)
+ * 4. 404 handler (must be after all routes)
+ * 5. Error handling middleware (must be last)
  */
 
 /**
@@ -45,6 +51,13 @@ const configureRoutes = (app) => {
   app.use('/api/content', contentRoutes);              // Public content access
   app.use('/api/admin/content', adminContentRoutes);   // Admin content management
   app.use('/api/admin/content/images', imageRoutes);   // Image upload and management
+  app.use('/api/admin/categories', adminCategoryRoutes); // Category taxonomy management
+  app.use('/api/images', imageFileRoutes);             // Uploaded content images
+  app.use('/uploads/temp', tempImageFileRoutes);       // Editor images not saved with content yet
+  app.use('/api/reviews', contentReviewRoutes);        // Editorial review (admins and mentors)
+
+  // ========== SEO Files ========== //
+  app.use('/', sitemapRoutes);                         // sitemap.xml, sitemaps/*.xml, robots.txt
 
   // ========== Error Handling ========== //
   // 404 handler - must be after all routes but before error handler
@@ -0,0 +1,29 @@
+const path = require('path');
+
+/**
+ * Upload storage settings
+ *
+ * driver: where uploaded images are kept.
+ * - 'local' (default): files under UPLOAD_PATH on this machine. Only works
+ *   with a single backend instance.
+ * - 's3': a bucket on S3 or an S3-compatible server such as MinIO, shared
+ *   by all instances. For MinIO, set S3_ENDPOINT and S3_FORCE_PATH_STYLE=true.
+ *
+ * Both drivers use the same keys ("content/...", "temp/..."), so files can
+ * be copied from uploads/ into a bucket as they are.
+ */
+module.exports = {
+  driver: process.env.STORAGE_DRIVER || 'local',
+  local: {
+    root: path.resolve(process.env.UPLOAD_PATH || 'uploads'),
+  },
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    prefix: process.env.S3_PREFIX || '',
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  },
+};
@@ -0,0 +1,14 @@
+/**
+ * Editorial workflow settings
+ *
+ * reviewRequired: when true, drafts can't be published (or scheduled) by
+ * their author directly. They have to be submitted for review and approved
+ * by an ADMIN or MENTOR who isn't the author.
+ *
+ * trashRetentionDays: how long deleted content stays in the trash (and can
+ * be restored) before it is purged along with its images.
+ */
+module.exports = {
+  reviewRequired: process.env.CONTENT_REVIEW_REQUIRED === 'true',
+  trashRetentionDays: parseInt(process.env.CONTENT_TRASH_RETENTION_DAYS, 10) || 30,
+};
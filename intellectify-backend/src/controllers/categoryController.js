@@ -0,0 +1,65 @@
+const categoryService = require('../services/categoryService');
+const ResponseHelper = require('../utils/responseHelper');
+
+class CategoryController {
+  /**
+   * Get all categories as a tree with published-article counts (Admin only)
+   */
+  async getCategories(req, res, next) {
+    try {
+      const categories = await categoryService.getTree();
+
+      return ResponseHelper.success(res, categories);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a category or subcategory (Admin only)
+   * Body:
+   * - key: Upper snake case key, can't be changed later (required)
+   * - name: Display name (required)
+   * - description, icon: Optional display fields
+   * - sortOrder: Position among its siblings (default: 0)
+   * - parentKey: Key of the top-level category, for a subcategory
+   */
+  async createCategory(req, res, next) {
+    try {
+      const category = await categoryService.createCategory(req.body);
+
+      return ResponseHelper.created(res, category, 'Category created');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update the display fields of a category (Admin only)
+   * Body: any of name, description, icon, sortOrder
+   */
+  async updateCategory(req, res, next) {
+    try {
+      const category = await categoryService.updateCategory(req.params.key, req.body);
+
+      return ResponseHelper.success(res, category, 'Category updated');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a category without subcategories or content (Admin only)
+   */
+  async deleteCategory(req, res, next) {
+    try {
+      await categoryService.deleteCategory(req.params.key);
+
+      return ResponseHelper.success(res, null, 'Category deleted');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new CategoryController();
@@ -0,0 +1,64 @@
+const autosaveService = require('../services/contentAutosaveService');
+const ResponseHelper = require('../utils/responseHelper');
+
+class ContentAutosaveController {
+  /**
+   * Save the current user's working copy of content (author or editor, Admin only)
+   * Without :id, saves the working copy of an article that hasn't been created yet.
+   * Body:
+   * - Editor fields (title, content, excerpt, category, subcategory, priority,
+   *   metaTitle, metaDescription, tags, slug)
+   * - version: Content version the editor started from (optional)
+   */
+  async saveAutosave(req, res, next) {
+    try {
+      const contentId = req.params.id ? req.validatedContentId || req.params.id : null;
+      const { version, ...data } = req.body || {};
+
+      const autosave = await autosaveService.saveAutosave({
+        userId: req.user.id,
+        contentId,
+        data,
+        baseVersion: version ?? null
+      });
+
+      return ResponseHelper.success(res, { savedAt: autosave.updatedAt }, 'Autosaved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the current user's working copy of a new article (Admin only)
+   */
+  async getNewContentAutosave(req, res, next) {
+    try {
+      const autosave = await autosaveService.getAutosave(req.user.id);
+
+      if (!autosave) {
+        return ResponseHelper.notFound(res, 'Autosave');
+      }
+
+      return ResponseHelper.success(res, autosave);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Discard the current user's working copy (Admin only)
+   */
+  async discardAutosave(req, res, next) {
+    try {
+      const contentId = req.params.id ? req.validatedContentId || req.params.id : null;
+
+      await autosaveService.clearAutosave(req.user.id, contentId);
+
+      return ResponseHelper.noContent(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ContentAutosaveController();
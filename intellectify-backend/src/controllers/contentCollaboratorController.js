@@ -0,0 +1,62 @@
+const validator = require('validator');
+const collaboratorService = require('../services/contentCollaboratorService');
+const ResponseHelper = require('../utils/responseHelper');
+
+class ContentCollaboratorController {
+  /**
+   * List collaborators of content (author or collaborator, Admin only)
+   */
+  async getCollaborators(req, res, next) {
+    try {
+      const contentId = req.validatedContentId || req.params.id;
+      const collaborators = await collaboratorService.getCollaborators(contentId);
+
+      return ResponseHelper.success(res, collaborators);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add a collaborator or change their permission (author, Admin only)
+   * Body:
+   * - email: Email of an admin user
+   * - permission: EDITOR or VIEWER (default: EDITOR)
+   */
+  async addCollaborator(req, res, next) {
+    try {
+      const contentId = req.validatedContentId || req.params.id;
+      const { email, permission } = req.body || {};
+
+      const collaborator = await collaboratorService.addCollaborator(
+        { id: contentId, authorId: req.content?.authorId || req.user.id },
+        { email, permission }
+      );
+
+      return ResponseHelper.success(res, collaborator, 'Collaborator saved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a collaborator (author, Admin only)
+   */
+  async removeCollaborator(req, res, next) {
+    try {
+      const contentId = req.validatedContentId || req.params.id;
+
+      if (!validator.isUUID(req.params.userId)) {
+        return ResponseHelper.notFound(res, 'Collaborator');
+      }
+
+      await collaboratorService.removeCollaborator(contentId, req.params.userId);
+
+      return ResponseHelper.success(res, null, 'Collaborator removed');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ContentCollaboratorController();
@@ -1,6 +1,229 @@
+const validator = require('validator');
 const contentService = require('../services/contentService');
+const categoryService = require('../services/categoryService');
+const autosaveService = require('../services/contentAutosaveService');
+const bulkService = require('../services/contentBulkService');
+const orderService = require('../services/contentOrderService');
+const fileStorageService = require('../services/fileStorageService');
 const ResponseHelper = require('../utils/responseHelper');
 const ValidationHelper = require('../utils/validationHelper');
+const AppError = require('../utils/appError');
+
+/**
+ * Content version as an ETag, e.g. "3"
+ *
+ * @param {number} version - Content version
+ * @returns {string} - Strong ETag
+ */
+const toETag = (version) => `"${version}"`;
+
+/**
+ * Read the If-Match precondition of a write
+ *
+ * Sent as an If-Match header or as a `version` field in the body.
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} - The version sent, or undefined for `*` (any version)
+ * @throws {AppError} - 428 if no version was sent
+ */
+const readPrecondition = (req) => {
+  const ifMatch = req.get('If-Match');
+  const value = ifMatch !== undefined ? ifMatch : req.body?.version;
+
+  if (value === undefined || value === null || value === '') {
+    throw new AppError(
+      'Send the version in an If-Match header or a version field',
+      428,
+      'PRECONDITION_REQUIRED'
+    );
+  }
+
+  const trimmed = String(value).trim();
+  return trimmed === '*' ? undefined : trimmed;
+};
+
+/**
+ * Read the content version an editor started from
+ *
+ * Sent as If-Match (the ETag from GET /api/admin/content/:id) or as a
+ * `version` field in the body. `If-Match: *` saves over any version.
+ *
+ * @param {Object} req - Express request object
+ * @returns {number|undefined} - Expected version, or undefined for "any version"
+ * @throws {AppError} - 428 if no version was sent, 400 if it isn't a version
+ */
+const getExpectedVersion = (req) => {
+  const value = readPrecondition(req);
+
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(value);
+  if (!match) {
+    throw new AppError('Invalid content version', 400, 'INVALID_VERSION');
+  }
+
+  return parseInt(match[1]);
+};
+
+/**
+ * Strip the quotes (and weak prefix) from an ETag, e.g. W/"abc" -> abc
+ *
+ * @param {string} etag - ETag as sent by the client
+ * @returns {string} - Bare value
+ */
+const unquoteETag = (etag) => etag.replace(/^(?:W\/)?"|"$/g, '');
+
+/**
+ * Answer a stale write with 409 and the current content to merge against
+ *
+ * @param {Object} res - Express response object
+ * @param {string} contentId - ID of the content
+ * @returns {Promise<Object>} - Express response
+ */
+const sendVersionConflict = async (res, contentId) => {
+  const current = await contentService.getContentById(contentId);
+
+  if (!current) {
+    return ResponseHelper.notFound(res, 'Content');
+  }
+
+  res.set('ETag', toETag(current.version));
+  return ResponseHelper.conflict(
+    res,
+    current,
+    'Content was changed by someone else. Merge your changes into the current version and save again.'
+  );
+};
+
+// Query parameters accepted by the public listing (GET /api/content)
+const PUBLIC_LIST_PARAMS = [
+  'category',
+  'subcategory',
+  'authorId',
+  'tag',
+  'publishedAfter',
+  'publishedBefore',
+  'sort',
+  'page',
+  'limit',
+  'cursor'
+];
+const PUBLIC_SORTS = ['priority', 'newest', 'oldest', 'title'];
+
+/**
+ * Validate the query of the public listing
+ *
+ * Every parameter is checked and all problems are reported together.
+ * Unknown and repeated parameters are errors too, so a typo doesn't
+ * quietly return an unfiltered list.
+ *
+ * @param {Object} query - Request query
+ * @returns {Promise<Object>} - { options, errors }: options for getPublishedContent and error messages
+ */
+const parsePublicListQuery = async (query) => {
+  const errors = [];
+  const options = {};
+
+  Object.keys(query).forEach((name) => {
+    if (!PUBLIC_LIST_PARAMS.includes(name)) {
+      errors.push(`Unknown query parameter: ${name}`);
+    } else if (typeof query[name] !== 'string') {
+      errors.push(`${name} must be given once`);
+    }
+  });
+
+  const param = (name) => (typeof query[name] === 'string' ? query[name] : undefined);
+  const positiveInteger = (name, max) => {
+    const value = param(name);
+    if (value === undefined) {
+      return undefined;
+    }
+    const number = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+    if (!(number >= 1 && number <= max)) {
+      errors.push(`${name} must be a whole number from 1${max === Infinity ? ' up' : ` to ${max}`}`);
+      return undefined;
+    }
+    return number;
+  };
+  const date = (name) => {
+    const value = param(name);
+    if (value === undefined) {
+      return undefined;
+    }
+    if (!validator.isISO8601(value, { strict: true })) {
+      errors.push(`${name} must be an ISO 8601 date`);
+      return undefined;
+    }
+    return new Date(value);
+  };
+
+  const category = param('category');
+  const subcategory = param('subcategory');
+  const authorId = param('authorId');
+  const tag = param('tag');
+  const sort = param('sort');
+  const cursor = param('cursor');
+
+  if (category !== undefined) {
+    if (await categoryService.isTopLevel(category)) {
+      options.category = category;
+    } else {
+      errors.push('category must be the key of a top-level category');
+    }
+  }
+
+  if (subcategory !== undefined) {
+    if (subcategory.trim() && subcategory.length <= 100) {
+      options.subcategory = subcategory.trim();
+    } else {
+      errors.push('subcategory must be 1 to 100 characters');
+    }
+  }
+
+  if (authorId !== undefined) {
+    if (validator.isUUID(authorId)) {
+      options.authorId = authorId;
+    } else {
+      errors.push('authorId must be a user ID');
+    }
+  }
+
+  if (tag !== undefined) {
+    if (ValidationHelper.isValidSlug(tag)) {
+      options.tag = tag;
+    } else {
+      errors.push('Invalid tag format');
+    }
+  }
+
+  options.publishedAfter = date('publishedAfter');
+  options.publishedBefore = date('publishedBefore');
+  if (options.publishedAfter && options.publishedBefore && options.publishedAfter >= options.publishedBefore) {
+    errors.push('publishedAfter must be earlier than publishedBefore');
+  }
+
+  if (sort !== undefined) {
+    if (PUBLIC_SORTS.includes(sort)) {
+      options.sort = sort;
+    } else {
+      errors.push(`sort must be one of: ${PUBLIC_SORTS.join(', ')}`);
+    }
+  }
+
+  options.page = positiveInteger('page', Infinity) || 1;
+  options.limit = positiveInteger('limit', 100) || 10;
+
+  if (cursor !== undefined) {
+    if (query.page !== undefined) {
+      errors.push('page cannot be combined with cursor');
+    }
+    options.cursor = cursor;
+  }
+
+  return { options, errors };
+};
 
 class ContentController {
   /**
@@ -11,7 +234,7 @@ class ContentController {
       // Validate content data using the service
       const validatedData = await contentService.validateContent(req.body, false);
       
-      const { title, content, excerpt, category, subcategory, priority, metaTitle, metaDescription, status } = validatedData;
+      const { title, content, excerpt, category, subcategory, priority, metaTitle, metaDescription, status, tags, slug } = validatedData;
 
       const newContent = await contentService.createContent(req.user.id, {
         title,
@@ -22,7 +245,9 @@ class ContentController {
         priority,
         metaTitle,
         metaDescription,
-        status
+        status,
+        tags,
+        slug
       });
 
       return ResponseHelper.created(res, newContent, 'Content created successfully');
@@ -33,15 +258,23 @@ class ContentController {
 
   /**
    * Update existing content (Admin only)
+   * Requires the version the editor loaded (If-Match header or `version` in the body);
+   * answers 409 with the current content when it is stale.
    */
   async updateContent(req, res, next) {
     try {
       // Use validated content ID from security middleware
       const contentId = req.validatedContentId || req.params.id;
+      const expectedVersion = getExpectedVersion(req);
       
       // Validate content data using the service
       const validatedData = await contentService.validateContent(req.body, true);
-      const { title, content, excerpt, category, subcategory, priority, status, metaTitle, metaDescription } = validatedData;
+      const { title, content, excerpt, category, subcategory, priority, status, metaTitle, metaDescription, tags, slug } = validatedData;
+
+      // Editors may change the body, but publishing stays with the author (PATCH /:id/status)
+      if (status !== undefined && req.contentAccess !== 'OWNER') {
+        throw new AppError('Only the author can change the status of this content', 403, 'FORBIDDEN');
+      }
 
       const updatedContent = await contentService.updateContent(contentId, {
         title,
@@ -52,21 +285,27 @@ class ContentController {
         priority,
         status,
         metaTitle,
-        metaDescription
-      });
+        metaDescription,
+        tags,
+        slug
+      }, req.user.id, { expectedVersion });
 
       if (!updatedContent) {
         return ResponseHelper.notFound(res, 'Content');
       }
 
+      res.set('ETag', toETag(updatedContent.version));
       return ResponseHelper.success(res, updatedContent, 'Content updated successfully');
     } catch (error) {
+      if (error.code === 'VERSION_CONFLICT') {
+        return sendVersionConflict(res, req.validatedContentId || req.params.id).catch(next);
+      }
       next(error);
     }
   }
 
   /**
-   * Delete content (Admin only)
+   * Move content to the trash (Admin only)
    */
   async deleteContent(req, res, next) {
     try {
@@ -78,7 +317,152 @@ class ContentController {
         return ResponseHelper.notFound(res, 'Content');
       }
 
-      return ResponseHelper.success(res, null, 'Content deleted successfully');
+      return ResponseHelper.success(res, null, 'Content moved to trash');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Apply one action to several of the current admin's content items (Admin only)
+   * Body:
+   * - ids: Content IDs (up to 100)
+   * - action: publish, unpublish, archive, delete, category or priority
+   * - category: New category (category action)
+   * - priority: New priority (priority action)
+   */
+  async bulkUpdate(req, res, next) {
+    try {
+      const { ids, action } = req.body || {};
+
+      const result = await bulkService.bulkUpdate({
+        ids,
+        action,
+        value: req.body?.[action],
+        userId: req.user.id
+      });
+
+      return ResponseHelper.success(
+        res,
+        result,
+        `${result.succeeded} of ${result.results.length} items updated`
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the order of published content in a scope (Admin only)
+   * Query parameters:
+   * - category: Category to order; omit for the homepage
+   */
+  async getContentOrder(req, res, next) {
+    try {
+      const order = await orderService.getOrder(req.query.category);
+
+      res.set('ETag', toETag(order.version));
+      return ResponseHelper.success(res, order);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reorder published content in a scope (Admin only)
+   * Headers:
+   * - If-Match: Order version from GET /api/admin/content/order (or `version` in the body)
+   * Body:
+   * - category: Category to order; omit for the homepage
+   * - ids: Every published content ID in the scope, first one on top
+   */
+  async updateContentOrder(req, res, next) {
+    try {
+      const expectedVersion = readPrecondition(req);
+      const { category, ids } = req.body || {};
+
+      const order = await orderService.reorder({
+        category,
+        ids,
+        expectedVersion: expectedVersion && unquoteETag(expectedVersion)
+      });
+
+      res.set('ETag', toETag(order.version));
+      return ResponseHelper.success(res, order, 'Order updated successfully');
+    } catch (error) {
+      if (error.code === 'ORDER_CONFLICT') {
+        return orderService.getOrder(req.body?.category)
+          .then((current) => {
+            res.set('ETag', toETag(current.version));
+            return ResponseHelper.conflict(
+              res,
+              current,
+              'The order was changed by someone else. Reload it and try again.',
+              'ORDER_CONFLICT'
+            );
+          })
+          .catch(next);
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * List the current admin's trashed content
+   * Query parameters:
+   * - page: Page number (default: 1)
+   * - limit: Items per page (default: 10, max: 100)
+   */
+  async getTrash(req, res, next) {
+    try {
+      const page = Math.max(1, parseInt(req.query.page) || 1);
+      const limit = Math.min(parseInt(req.query.limit) || 10, 100); // Cap at 100 items per page
+
+      const result = await contentService.getTrash({
+        authorId: req.user.id,
+        page,
+        limit
+      });
+
+      return ResponseHelper.paginated(
+        res,
+        result.items,
+        result.pagination.currentPage,
+        result.pagination.total,
+        result.pagination.limit
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Restore content from the trash (author, Admin only)
+   */
+  async restoreContent(req, res, next) {
+    try {
+      // Use validated content ID from security middleware
+      const contentId = req.validatedContentId || req.params.id;
+      const restoredContent = await contentService.restoreContent(contentId);
+
+      return ResponseHelper.success(res, restoredContent, 'Content restored from trash');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Permanently delete everything in the current admin's trash
+   */
+  async emptyTrash(req, res, next) {
+    try {
+      const { purged, errors } = await contentService.emptyTrash(req.user.id);
+
+      return ResponseHelper.success(
+        res,
+        { purged: purged.length, failed: errors.length },
+        `${purged.length} item(s) permanently deleted`
+      );
     } catch (error) {
       next(error);
     }
@@ -86,6 +470,8 @@ class ContentController {
 
   /**
    * Get content by ID (Admin access - includes drafts)
+   * Includes `autosave`: the user's unsaved working copy when it is newer than
+   * the saved content, otherwise null.
    */
   async getContentById(req, res, next) {
     try {
@@ -98,7 +484,11 @@ class ContentController {
         return ResponseHelper.notFound(res, 'Content');
       }
 
-      return ResponseHelper.success(res, content);
+      const autosave = await autosaveService.getNewerAutosave(req.user.id, content);
+
+      // Sent back as If-Match (or `version`) when saving
+      res.set('ETag', toETag(content.version));
+      return ResponseHelper.success(res, { ...content, autosave });
     } catch (error) {
       next(error);
     }
@@ -109,8 +499,12 @@ class ContentController {
    * Query parameters:
    * - page: Page number (default: 1)
    * - limit: Items per page (default: 10, max: 100)
-   * - status: Filter by status (optional, 'DRAFT' or 'PUBLISHED')
+   * - status: Filter by status (optional, 'DRAFT', 'IN_REVIEW', 'CHANGES_REQUESTED', 'SCHEDULED', 'PUBLISHED' or 'ARCHIVED').
+   *   Archived content is left out unless status=ARCHIVED is requested.
    * - category: Filter by category (optional)
+   * - shared: 'true' to list content shared with the user as a collaborator (optional)
+   * - cursor: Cursor pagination instead of pages; empty for the first page, then
+   *   nextCursor/prevCursor from the previous response (optional)
    */
   async getMyContent(req, res, next) {
     try {
@@ -118,15 +512,29 @@ class ContentController {
       const page = Math.max(1, parseInt(req.query.page) || 1);
       const limit = Math.min(parseInt(req.query.limit) || 10, 100); // Cap at 100 items per page
       const { status, category } = req.query;
+      const shared = req.query.shared === 'true';
+
+      if (status && !['DRAFT', 'IN_REVIEW', 'CHANGES_REQUESTED', 'SCHEDULED', 'PUBLISHED', 'ARCHIVED'].includes(status)) {
+        return ResponseHelper.validationError(
+          res,
+          'Invalid status. Must be DRAFT, IN_REVIEW, CHANGES_REQUESTED, SCHEDULED, PUBLISHED or ARCHIVED'
+        );
+      }
 
       const result = await contentService.getContentByAuthor({
         authorId: req.user.id,
         page,
         limit,
         status,
-        category
+        category,
+        shared,
+        cursor: req.query.cursor
       });
 
+      if (req.query.cursor !== undefined) {
+        return ResponseHelper.cursorPaginated(res, result.items, result.pagination);
+      }
+
       return ResponseHelper.paginated(
         res, 
         result.items, 
@@ -140,7 +548,9 @@ class ContentController {
   }
 
   /**
-   * Update content status (publish/unpublish)
+   * Update content status (publish/unpublish/archive/unarchive)
+   * Requires the version the editor loaded (If-Match header or `version` in the body);
+   * answers 409 with the current content when it is stale.
    */
   async updateContentStatus(req, res, next) {
     try {
@@ -149,17 +559,64 @@ class ContentController {
       const { status } = req.body;
 
       // Validate status
-      if (!status || !['DRAFT', 'PUBLISHED'].includes(status)) {
-        return ResponseHelper.validationError(res, 'Invalid status. Must be DRAFT or PUBLISHED');
+      if (!status || !['DRAFT', 'PUBLISHED', 'ARCHIVED'].includes(status)) {
+        return ResponseHelper.validationError(res, 'Invalid status. Must be DRAFT, PUBLISHED or ARCHIVED');
       }
 
-      const updatedContent = await contentService.updateContentStatus(contentId, status);
+      const expectedVersion = getExpectedVersion(req);
+      const updatedContent = await contentService.updateContentStatus(contentId, status, req.user.id, {
+        expectedVersion
+      });
 
       if (!updatedContent) {
         return ResponseHelper.notFound(res, 'Content');
       }
 
+      res.set('ETag', toETag(updatedContent.version));
       return ResponseHelper.success(res, updatedContent, 'Content status updated successfully');
+    } catch (error) {
+      if (error.code === 'VERSION_CONFLICT') {
+        return sendVersionConflict(res, req.validatedContentId || req.params.id).catch(next);
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Set or change the publishing schedule (Admin only)
+   * Body:
+   * - publishAt: ISO date to publish a draft (optional)
+   * - unpublishAt: ISO date to move published content back to draft (optional)
+   */
+  async scheduleContent(req, res, next) {
+    try {
+      // Use validated content ID from security middleware
+      const contentId = req.validatedContentId || req.params.id;
+      const { publishAt, unpublishAt } = req.body || {};
+
+      const updatedContent = await contentService.scheduleContent(
+        contentId,
+        { publishAt, unpublishAt },
+        req.user.id
+      );
+
+      return ResponseHelper.success(res, updatedContent, 'Content schedule updated successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel the publishing schedule (Admin only)
+   */
+  async cancelSchedule(req, res, next) {
+    try {
+      // Use validated content ID from security middleware
+      const contentId = req.validatedContentId || req.params.id;
+
+      const updatedContent = await contentService.cancelSchedule(contentId, req.user.id);
+
+      return ResponseHelper.success(res, updatedContent, 'Content schedule cancelled successfully');
     } catch (error) {
       next(error);
     }
@@ -169,25 +626,88 @@ class ContentController {
 
   /**
    * Get published content for public display
+   * Query parameters (all optional; invalid or unknown ones are rejected with 422):
+   * - category: Filter by category
+   * - subcategory: Filter by subcategory (case-insensitive)
+   * - authorId: Filter by author
+   * - tag: Filter by tag slug
+   * - publishedAfter, publishedBefore: ISO 8601 dates, published at/after and before
+   * - sort: priority (default), newest, oldest or title
+   * - page, limit: Pagination (limit: 1-100, default 10)
+   * - cursor: Cursor pagination instead of pages; empty for the first page, then
+   *   nextCursor/prevCursor from the previous response (optional)
    */
   async getPublishedContent(req, res, next) {
     try {
-      const { category, page = 1, limit = 10 } = req.query;
+      const { options, errors } = await parsePublicListQuery(req.query);
+
+      if (errors.length > 0) {
+        return ResponseHelper.validationError(res, errors, 'Invalid query parameters');
+      }
+
+      const { items, pagination } = await contentService.getPublishedContent(options);
+
+      if (options.cursor !== undefined) {
+        return ResponseHelper.cursorPaginated(res, items, pagination);
+      }
+
+      return ResponseHelper.paginated(
+        res, 
+        items, 
+        pagination.currentPage, 
+        pagination.total, 
+        pagination.limit
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Full-text search over published content (public access)
+   * Query parameters:
+   * - q: Search text (required, max 200 characters)
+   * - category: Filter by top-level category key, checked like GET /api/content (optional)
+   * - page: Page number (default: 1)
+   * - limit: Items per page (default: 10, max: 100)
+   */
+  async searchContent(req, res, next) {
+    try {
+      const { q, category, page = 1, limit = 10 } = req.query;
+      const query = typeof q === 'string' ? q.trim() : '';
+
+      if (!query) {
+        return ResponseHelper.validationError(res, 'Search query (q) is required');
+      }
+
+      if (query.length > 200) {
+        return ResponseHelper.validationError(res, 'Search query must be 200 characters or less');
+      }
+
+      if (category !== undefined && (typeof category !== 'string' || !(await categoryService.isTopLevel(category)))) {
+        return ResponseHelper.validationError(
+          res,
+          ['category must be the key of a top-level category'],
+          'Invalid query parameters'
+        );
+      }
+
       const pageNum = Math.max(1, parseInt(page) || 1);
       const limitNum = Math.min(parseInt(limit) || 10, 100); // Cap at 100 items per page
-      
-      const { items, pagination } = await contentService.getPublishedContent({
+
+      const { items, pagination } = await contentService.searchPublishedContent({
+        query,
         category,
         page: pageNum,
         limit: limitNum
       });
 
       return ResponseHelper.paginated(
-        res, 
-        items, 
-        pagination.currentPage, 
-        pagination.totalItems, 
-        pagination.itemsPerPage
+        res,
+        items,
+        pagination.currentPage,
+        pagination.total,
+        pagination.limit
       );
     } catch (error) {
       next(error);
@@ -196,6 +716,9 @@ class ContentController {
 
   /**
    * Get published content by slug (public access)
+   *
+   * Old slugs of renamed content answer with a redirect carrying the
+   * current slug, which the webapp turns into a 301.
    */
   async getContentBySlug(req, res, next) {
     try {
@@ -212,15 +735,35 @@ class ContentController {
       const content = await contentService.getContentBySlug(slug);
 
       if (!content) {
+        // Old slug of content that has since been renamed
+        const redirectSlug = await contentService.getRedirectSlug(slug);
+        if (redirectSlug) {
+          return ResponseHelper.redirect(res, { slug: redirectSlug }, 301, 'Content has moved');
+        }
+
         return ResponseHelper.notFound(res, 'Content');
       }
 
+      content.content = await fileStorageService.addResponsiveImages(content.content);
+
       return ResponseHelper.success(res, content);
     } catch (error) {
       next(error);
     }
   }
 
+  /**
+   * Get tags used by published content with usage counts (public access)
+   */
+  async getContentTags(req, res, next) {
+    try {
+      const tags = await contentService.getContentTags();
+      return ResponseHelper.success(res, tags);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get available content categories (public access)
    */
@@ -0,0 +1,71 @@
+const validator = require('validator');
+const previewService = require('../services/contentPreviewService');
+const ResponseHelper = require('../utils/responseHelper');
+
+class ContentPreviewController {
+  /**
+   * Create a shareable preview link for content (author, Admin only)
+   * Body:
+   * - expiresInDays: Days until the link expires, 1-30 (default: 7)
+   */
+  async createPreviewLink(req, res, next) {
+    try {
+      const contentId = req.validatedContentId || req.params.id;
+      const { expiresInDays } = req.body || {};
+
+      const link = await previewService.createLink(contentId, req.user.id, { expiresInDays });
+
+      return ResponseHelper.created(res, link, 'Preview link created');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List active preview links of content (author, Admin only)
+   */
+  async getPreviewLinks(req, res, next) {
+    try {
+      const contentId = req.validatedContentId || req.params.id;
+      const links = await previewService.getActiveLinks(contentId);
+
+      return ResponseHelper.success(res, links);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke a preview link (author, Admin only)
+   */
+  async revokePreviewLink(req, res, next) {
+    try {
+      const contentId = req.validatedContentId || req.params.id;
+
+      if (!validator.isUUID(req.params.linkId)) {
+        return ResponseHelper.notFound(res, 'Preview link');
+      }
+
+      await previewService.revokeLink(contentId, req.params.linkId);
+
+      return ResponseHelper.success(res, null, 'Preview link revoked');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get content through a preview link (public access, token required)
+   */
+  async getPreview(req, res, next) {
+    try {
+      const content = await previewService.getPreview(req.params.token);
+
+      return ResponseHelper.success(res, content);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ContentPreviewController();
@@ -0,0 +1,127 @@
+const validator = require('validator');
+const reviewService = require('../services/contentReviewService');
+const transitionService = require('../services/contentTransitionService');
+const ResponseHelper = require('../utils/responseHelper');
+
+class ContentReviewController {
+  /**
+   * Submit content for review (author, Admin only)
+   * Body:
+   * - note: Optional note for the reviewer
+   */
+  async submitForReview(req, res, next) {
+    try {
+      const contentId = req.validatedContentId || req.params.id;
+      const content = await reviewService.submitForReview(contentId, req.user.id, req.body?.note);
+
+      return ResponseHelper.success(res, content, 'Content submitted for review');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the status history of content (author, Admin only)
+   */
+  async getTransitions(req, res, next) {
+    try {
+      const contentId = req.validatedContentId || req.params.id;
+      const transitions = await transitionService.getTransitions(contentId);
+
+      return ResponseHelper.success(res, transitions);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List content waiting for review (reviewers)
+   * Query parameters:
+   * - page: Page number (default: 1)
+   * - limit: Items per page (default: 20, max: 100)
+   */
+  async getReviewQueue(req, res, next) {
+    try {
+      const page = Math.max(1, parseInt(req.query.page) || 1);
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100); // Cap at 100 items per page
+
+      const { items, pagination } = await reviewService.getReviewQueue({
+        reviewerId: req.user.id,
+        page,
+        limit
+      });
+
+      return ResponseHelper.paginated(
+        res,
+        items,
+        pagination.currentPage,
+        pagination.total,
+        pagination.limit
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get content in review with its status history (reviewers)
+   */
+  async getContentForReview(req, res, next) {
+    try {
+      if (!validator.isUUID(req.params.id)) {
+        return ResponseHelper.notFound(res, 'Content');
+      }
+
+      const content = await reviewService.getContentForReview(req.params.id, req.user);
+
+      return ResponseHelper.success(res, content);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Approve content in review (reviewers)
+   * Body:
+   * - comment: Optional comment for the author
+   * - publishAt: Optional ISO date to schedule instead of publishing now
+   */
+  async approveContent(req, res, next) {
+    try {
+      if (!validator.isUUID(req.params.id)) {
+        return ResponseHelper.notFound(res, 'Content');
+      }
+
+      const { comment, publishAt } = req.body || {};
+      const content = await reviewService.approveContent(req.params.id, req.user, { comment, publishAt });
+
+      const message = content.status === 'SCHEDULED'
+        ? 'Content approved and scheduled'
+        : 'Content approved and published';
+      return ResponseHelper.success(res, content, message);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Send content back to the author (reviewers)
+   * Body:
+   * - comment: What needs to change (required)
+   */
+  async requestChanges(req, res, next) {
+    try {
+      if (!validator.isUUID(req.params.id)) {
+        return ResponseHelper.notFound(res, 'Content');
+      }
+
+      const content = await reviewService.requestChanges(req.params.id, req.user, req.body?.comment);
+
+      return ResponseHelper.success(res, content, 'Changes requested');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ContentReviewController();
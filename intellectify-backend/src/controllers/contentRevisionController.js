@@ -0,0 +1,101 @@
+const validator = require('validator');
+const contentService = require('../services/contentService');
+const revisionService = require('../services/contentRevisionService');
+const ResponseHelper = require('../utils/responseHelper');
+
+class ContentRevisionController {
+  /**
+   * List revisions of a content item (Admin only)
+   * Query parameters:
+   * - page: Page number (default: 1)
+   * - limit: Items per page (default: 20, max: 100)
+   */
+  async getRevisions(req, res, next) {
+    try {
+      const contentId = req.validatedContentId || req.params.id;
+      const page = Math.max(1, parseInt(req.query.page) || 1);
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100); // Cap at 100 items per page
+
+      const { items, pagination } = await revisionService.getRevisions({
+        contentId,
+        page,
+        limit
+      });
+
+      return ResponseHelper.paginated(
+        res,
+        items,
+        pagination.currentPage,
+        pagination.total,
+        pagination.limit
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a single revision with its full snapshot (Admin only)
+   */
+  async getRevisionById(req, res, next) {
+    try {
+      const contentId = req.validatedContentId || req.params.id;
+      const { revisionId } = req.params;
+
+      if (!validator.isUUID(revisionId)) {
+        return ResponseHelper.notFound(res, 'Revision');
+      }
+
+      const revision = await revisionService.getRevisionById(contentId, revisionId);
+
+      return ResponseHelper.success(res, revision);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Word-level diff between two revisions (Admin only)
+   * Query parameters:
+   * - from: ID of the older revision
+   * - to: ID of the newer revision
+   */
+  async diffRevisions(req, res, next) {
+    try {
+      const contentId = req.validatedContentId || req.params.id;
+      const { from, to } = req.query;
+
+      if (!from || !to || !validator.isUUID(String(from)) || !validator.isUUID(String(to))) {
+        return ResponseHelper.validationError(res, 'Both "from" and "to" must be valid revision IDs');
+      }
+
+      const diff = await revisionService.diffRevisions(contentId, from, to);
+
+      return ResponseHelper.success(res, diff);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Restore an old revision as the current version (Admin only)
+   */
+  async restoreRevision(req, res, next) {
+    try {
+      const contentId = req.validatedContentId || req.params.id;
+      const { revisionId } = req.params;
+
+      if (!validator.isUUID(revisionId)) {
+        return ResponseHelper.notFound(res, 'Revision');
+      }
+
+      const restoredContent = await contentService.restoreRevision(contentId, revisionId, req.user.id);
+
+      return ResponseHelper.success(res, restoredContent, 'Revision restored successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ContentRevisionController();
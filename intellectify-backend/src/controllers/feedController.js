@@ -0,0 +1,47 @@
+const feedService = require('../services/feedService');
+const categoryService = require('../services/categoryService');
+const ResponseHelper = require('../utils/responseHelper');
+
+const FEED_FORMATS = ['rss', 'atom'];
+
+// Feed readers poll often; let them and any proxy reuse a feed for 15 minutes
+const FEED_CACHE_CONTROL = 'public, max-age=900';
+
+class FeedController {
+  /**
+   * Get the RSS or Atom feed of the latest published content (public access)
+   * Route parameters:
+   * - format: 'rss' or 'atom' (from feed.rss / feed.atom)
+   * - category: Top-level category key (optional, per-category feeds only)
+   *
+   * Sends Last-Modified so conditional requests get a 304 when nothing changed.
+   */
+  async getFeed(req, res, next) {
+    try {
+      const { format, category } = req.params;
+
+      if (!FEED_FORMATS.includes(format)) {
+        return ResponseHelper.notFound(res, 'Feed');
+      }
+
+      if (category !== undefined && !(await categoryService.isTopLevel(category))) {
+        return ResponseHelper.notFound(res, 'Category');
+      }
+
+      const { xml, contentType, lastModified } = await feedService.getFeed({ format, category });
+
+      res.set('Content-Type', contentType);
+      res.set('Cache-Control', FEED_CACHE_CONTROL);
+      if (lastModified) {
+        res.set('Last-Modified', lastModified.toUTCString());
+      }
+
+      // Express answers 304 itself when the ETag or Last-Modified still match
+      return res.status(200).send(xml);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new FeedController();
@@ -1,5 +1,82 @@
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const fresh = require('fresh');
+const parseRange = require('range-parser');
 const fileStorageService = require('../services/fileStorageService');
+const ImageManager = require('../services/contentImageService');
 const AppError = require('../utils/appError');
+const ResponseHelper = require('../utils/responseHelper');
+
+// Image URLs never change content (new uploads get new names), so clients can keep them for a year
+const IMAGE_MAX_AGE = 365 * 24 * 60 * 60;
+
+/**
+ * Send a stored file with validators, answering conditional and Range requests
+ *
+ * Handles If-None-Match/If-Modified-Since (304), a single byte range
+ * (206, or 416 when it can't be satisfied) and If-Range. Requests for
+ * several ranges get the whole file.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} file - { key, size, lastModified } of the file to send
+ */
+const sendStoredFile = async (req, res, file) => {
+  const etag = fileStorageService.getImageETag(file);
+  const lastModified = file.lastModified.toUTCString();
+
+  res.set({
+    'Accept-Ranges': 'bytes',
+    ETag: etag,
+    'Last-Modified': lastModified
+  });
+
+  if (fresh(req.headers, { etag, 'last-modified': lastModified })) {
+    return res.status(304).end();
+  }
+
+  // If-Range: only send part of the file if it is still the version the client has
+  const ifRange = req.get('If-Range');
+  const rangeApplies = req.headers.range && (
+    !ifRange || ifRange === etag || Date.parse(ifRange) >= Date.parse(lastModified)
+  );
+
+  let range;
+  if (rangeApplies) {
+    const ranges = parseRange(file.size, req.headers.range, { combine: true });
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${file.size}`);
+      return res.status(416).end();
+    }
+    if (ranges !== -2 && ranges.type === 'bytes' && ranges.length === 1) {
+      [range] = ranges;
+    }
+  }
+
+  const body = req.method === 'HEAD' ? null : await fileStorageService.streamFile(file.key, range);
+  if (req.method !== 'HEAD' && !body) {
+    // Deleted since it was resolved
+    return ResponseHelper.notFound(res, 'Image');
+  }
+
+  if (range) {
+    res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+  }
+  res.set('Content-Length', String(range ? range.end - range.start + 1 : file.size));
+
+  if (!body) {
+    return res.end();
+  }
+
+  try {
+    await pipeline(body, res);
+  } catch (error) {
+    // The client went away mid-download; nothing left to answer
+    if (!res.headersSent) {
+      throw error;
+    }
+  }
+};
 
 /**
  * @description Upload image to temporary storage
@@ -22,7 +99,7 @@ const uploadTempImage = async (req, res, next) => {
 
     res.status(201).json({
       success: true,
-      data: savedFile
+      data: { ...savedFile, animated: Boolean(req.file.animated) }
     });
   } catch (error) {
     // Handle multer errors
@@ -36,6 +113,91 @@ const uploadTempImage = async (req, res, next) => {
   }
 };
 
+/**
+ * @description Serve an uploaded content image
+ * @route GET /api/images/*path
+ * @access Public for images of published content; otherwise people who can see
+ * the content (signed in, or with ?preview=<token> from a preview link)
+ *
+ * ?w=<width> selects a resized copy, and AVIF/WebP copies are sent to
+ * clients that accept them. Sends a strong ETag and supports conditional and
+ * Range requests. Images the viewer may not see answer 404, like missing ones.
+ */
+const serveImage = async (req, res, next) => {
+  try {
+    const { w } = req.query;
+    const width = w === undefined ? undefined : Number(w);
+    if (width !== undefined && !fileStorageService.variantWidths.includes(width)) {
+      return ResponseHelper.validationError(
+        res,
+        [`w must be one of: ${fileStorageService.variantWidths.join(', ')}`],
+        'Invalid query parameters'
+      );
+    }
+
+    const relativePath = [].concat(req.params.path).join('/');
+    const original = await fileStorageService.resolveImagePath(relativePath);
+
+    const access = original && await ImageManager.getImageAccess(relativePath, {
+      user: req.user,
+      previewToken: typeof req.query.preview === 'string' ? req.query.preview : undefined
+    });
+
+    if (!access) {
+      return ResponseHelper.notFound(res, 'Image');
+    }
+
+    const image = await fileStorageService.resolveImageVariant(original, {
+      width,
+      accept: req.get('Accept')
+    });
+
+    res.vary('Accept');
+    res.set({
+      'Content-Type': fileStorageService.getMimeTypeFromExtension(path.extname(image.key)),
+      'Cache-Control': `${access}, max-age=${IMAGE_MAX_AGE}, immutable`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    return await sendStoredFile(req, res, image);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @description Serve a temporary upload (an editor image not saved with content yet)
+ * @route GET /uploads/temp/*path
+ * @access Public (temporary files have unguessable names and are removed after 24 hours)
+ *
+ * Supports conditional and Range requests like serveImage. Not cached for
+ * long, as the file moves away once the content is saved.
+ */
+const serveTempImage = async (req, res, next) => {
+  try {
+    const image = await fileStorageService.resolveImagePath(
+      [].concat(req.params.path).join('/'),
+      { temp: true }
+    );
+
+    if (!image) {
+      return ResponseHelper.notFound(res, 'Image');
+    }
+
+    res.set({
+      'Content-Type': fileStorageService.getMimeTypeFromExtension(path.extname(image.key)),
+      'Cache-Control': 'public, max-age=0',
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    return await sendStoredFile(req, res, image);
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
-  uploadTempImage
+  uploadTempImage,
+  serveImage,
+  serveTempImage
 };
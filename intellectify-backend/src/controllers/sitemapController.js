@@ -0,0 +1,58 @@
+const sitemapService = require('../services/sitemapService');
+const ResponseHelper = require('../utils/responseHelper');
+
+// Crawlers and proxies may reuse these for an hour
+const SEO_CACHE_CONTROL = 'public, max-age=3600';
+
+class SitemapController {
+  /**
+   * Get /sitemap.xml (public access)
+   */
+  async getSitemap(req, res, next) {
+    try {
+      const xml = await sitemapService.getSitemap();
+
+      res.set('Content-Type', 'application/xml; charset=utf-8');
+      res.set('Cache-Control', SEO_CACHE_CONTROL);
+      return res.status(200).send(xml);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get one file of the sitemap index (public access)
+   * Route parameters:
+   * - name: 'pages' or 'content-<n>'
+   */
+  async getSitemapPage(req, res, next) {
+    try {
+      const xml = await sitemapService.getSitemapPage(req.params.name);
+
+      if (!xml) {
+        return ResponseHelper.notFound(res, 'Sitemap');
+      }
+
+      res.set('Content-Type', 'application/xml; charset=utf-8');
+      res.set('Cache-Control', SEO_CACHE_CONTROL);
+      return res.status(200).send(xml);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get /robots.txt (public access)
+   */
+  async getRobots(req, res, next) {
+    try {
+      res.set('Content-Type', 'text/plain; charset=utf-8');
+      res.set('Cache-Control', SEO_CACHE_CONTROL);
+      return res.status(200).send(sitemapService.getRobots());
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new SitemapController();
@@ -56,6 +56,17 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
+// Middleware for public endpoints that show more to signed-in users
+// Sets req.user when a valid session cookie is sent; otherwise the request
+// carries on anonymously instead of failing
+const identifyUser = async (req, res, next) => {
+  if (!req.cookies?.access_token) {
+    return next();
+  }
+
+  await authenticateUser(req, res, () => next());
+};
+
 // Middleware specifically for admin authentication
 // This combines user authentication with admin role checking
 const authenticateAdmin = async (req, res, next) => {
@@ -80,7 +91,31 @@ const authenticateAdmin = async (req, res, next) => {
   }
 };
 
+// Middleware factory for endpoints shared by several roles
+// e.g. authenticateRoles('ADMIN', 'MENTOR') for content reviewers
+const authenticateRoles = (...roles) => async (req, res, next) => {
+  try {
+    await authenticateUser(req, res, (err) => {
+      if (err) {
+        return next(err);
+      }
+
+      if (!roles.includes(req.user.role)) {
+        console.warn(`User ${req.user.id} (${req.user.role}) attempted to access ${req.method} ${req.originalUrl}`);
+        return next(new AppError(`Access requires one of these roles: ${roles.join(', ')}`, 403, 'ROLE_REQUIRED'));
+      }
+
+      next();
+    });
+  } catch (error) {
+    console.error('Role authentication error:', error);
+    return next(new AppError('Authentication failed', 401, 'AUTH_ERROR'));
+  }
+};
+
 module.exports = {
   authenticateUser,
-  authenticateAdmin
+  identifyUser,
+  authenticateAdmin,
+  authenticateRoles
 };
@@ -1,15 +1,31 @@
 const rateLimit = require('express-rate-limit');
-const DOMPurify = require('isomorphic-dompurify');
+const { ipKeyGenerator } = require('express-rate-limit');
 const validator = require('validator');
 const prisma = require('../config/database');
 const AppError = require('../utils/appError');
 const ValidationHelper = require('../utils/validationHelper');
+const { sanitizeRichText } = require('../utils/htmlHelper');
+
+// Access levels on a content item, lowest first.
+// The author is OWNER; collaborators have their CollaboratorPermission.
+const CONTENT_ACCESS_LEVELS = ['VIEWER', 'EDITOR', 'OWNER'];
 
 /**
- * Content ownership validation middleware
- * Ensures users can only access/modify their own content
+ * Content permission middleware factory
+ * Lets the author and collaborators with enough permission access content:
+ * - VIEWER: author, EDITOR and VIEWER collaborators (read-only endpoints)
+ * - EDITOR: author and EDITOR collaborators (editing the article)
+ * - OWNER: author only (publishing, deleting, managing collaborators)
+ *
+ * Content in the trash is treated as not found, except by routes that
+ * work on the trash (inTrash), which only accept trashed content.
+ *
+ * @param {string} requiredAccess - 'VIEWER', 'EDITOR' or 'OWNER'
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.inTrash=false] - Require the content to be in the trash
+ * @returns {Function} - Express middleware
  */
-const validateContentOwnership = async (req, res, next) => {
+const validateContentAccess = (requiredAccess, { inTrash = false } = {}) => async (req, res, next) => {
   try {
     const contentId = req.params.id || req.params.contentId;
     const userId = req.user?.id;
@@ -23,31 +39,49 @@ const validateContentOwnership = async (req, res, next) => {
       return next(new AppError('Content not found', 404, 'CONTENT_NOT_FOUND'));
     }
 
-    // Check if content exists and user is the owner
+    // Check if content exists and how the user is related to it
     const content = await prisma.content.findUnique({
       where: { id: contentId },
-      select: { authorId: true }
+      select: {
+        authorId: true,
+        deletedAt: true,
+        collaborators: {
+          where: { userId },
+          select: { permission: true }
+        }
+      }
     });
 
-    if (!content) {
+    if (!content || Boolean(content.deletedAt) !== inTrash) {
       return next(new AppError('Content not found', 404, 'CONTENT_NOT_FOUND'));
     }
 
-    if (content.authorId !== userId) {
+    const access = content.authorId === userId
+      ? 'OWNER'
+      : content.collaborators?.[0]?.permission;
+
+    if (!access || CONTENT_ACCESS_LEVELS.indexOf(access) < CONTENT_ACCESS_LEVELS.indexOf(requiredAccess)) {
       return next(new AppError('You do not have permission to access this content', 403, 'FORBIDDEN'));
     }
 
     // Store contentId for use in controllers
     req.validatedContentId = contentId;
-    req.content = content;
+    req.content = { authorId: content.authorId };
+    req.contentAccess = access;
 
     next();
   } catch (error) {
-    console.error('Content ownership validation error:', error);
-    next(new AppError('Failed to validate content ownership', 500, 'VALIDATION_ERROR'));
+    console.error('Content access validation error:', error);
+    next(new AppError('Failed to validate content access', 500, 'VALIDATION_ERROR'));
   }
 };
 
+/**
+ * Content ownership validation middleware
+ * Ensures only the author can perform owner actions on their content
+ */
+const validateContentOwnership = validateContentAccess('OWNER');
+
 /**
  * Input sanitization middleware for rich text content
  * Prevents XSS attacks while preserving safe HTML formatting
@@ -62,47 +96,7 @@ const sanitizeRichTextInput = (req, res, next) => {
 
     // Sanitize content if it exists
     if (req.body.content !== undefined && req.body.content !== null && typeof req.body.content === 'string') {
-          const cleanContent = DOMPurify.sanitize(req.body.content, {
-            ADD_TAGS: ['iframe'],
-            ADD_ATTR: [
-              'allowfullscreen',
-              'frameborder',
-              'allow',
-              'loading',
-              'referrerpolicy',
-              'sandbox'
-            ],
-            ALLOWED_TAGS: [
-              'p', 'br', 'strong', 'em', 'u',
-              'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-              'ul', 'ol', 'li', 'blockquote',
-              'a', 'img', 'figure', 'figcaption',
-              'table', 'thead', 'tbody', 'tr', 'th', 'td',
-              'div', 'span', 'iframe'
-            ],
-            ALLOWED_ATTR: [
-              'href', 'src', 'alt', 'title', 'class', 'id',
-              'style', 'width', 'height', 'target', 'rel',
-              'frameborder', 'allowfullscreen', 'allow',
-              'loading', 'referrerpolicy', 'sandbox',
-              'srcset', 'sizes', 'data-*', 'controls', 
-              'autoplay', 'loop', 'muted', 'poster'
-            ],
-            // Allow YouTube, Vimeo, and other common video embeds
-            ADD_URI_SAFE_ATTR: [
-              'allow',
-              'allowfullscreen',
-              'frameborder',
-              'referrerpolicy',
-              'sandbox'
-            ],
-            // Only allow iframes from trusted sources
-            ALLOWED_IFRAME_SRC: [
-              /^https?:\/\/(www\.)?(youtube\.com|youtu\.be|youtube-nocookie\.com)\/.*/i,
-              /^https?:\/\/(player\.vimeo\.com|vimeo\.com)\/.*/i
-            ]
-          });
-          req.body.content = cleanContent;
+      req.body.content = sanitizeRichText(req.body.content);
     }
 
     // Sanitize other fields if they exist
@@ -137,17 +131,96 @@ exports.fileValidationConfig = {
     'image/gif': ['gif'],
     'image/webp': ['webp']
   },
-  // Magic bytes for file type validation
+  // Magic bytes for file type validation: every { offset, bytes } of a type must match
   magicBytes: {
-    'image/jpeg': [0xff, 0xd8, 0xff],
-    'image/png': [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
-    'image/gif': [0x47, 0x49, 0x46, 0x38],
-    'image/webp': [0x52, 0x49, 0x46, 0x46] // RIFF header
+    'image/jpeg': [{ offset: 0, bytes: [0xff, 0xd8, 0xff] }],
+    'image/png': [{ offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }],
+    'image/gif': [{ offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] }], // GIF8 (GIF87a or GIF89a)
+    'image/webp': [
+      { offset: 0, bytes: [0x52, 0x49, 0x46, 0x46] }, // RIFF container
+      { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] } // WEBP form type
+    ]
+  }
+};
+
+/**
+ * Whether a GIF has more than one frame
+ * Walks the blocks after the header: image descriptors (0x2C) are frames,
+ * extensions (0x21) are skipped, the trailer (0x3B) ends the file.
+ *
+ * @param {Buffer} buffer - GIF file
+ * @returns {boolean}
+ */
+const isAnimatedGif = (buffer) => {
+  const skipSubBlocks = (position) => {
+    while (position < buffer.length && buffer[position] !== 0) {
+      position += buffer[position] + 1;
+    }
+    return position + 1;
+  };
+
+  const colorTableSize = (packed) => (packed & 0x80 ? 3 * 2 ** ((packed & 0x07) + 1) : 0);
+
+  let position = 13 + colorTableSize(buffer[10]);
+  let frames = 0;
+
+  while (position < buffer.length) {
+    const block = buffer[position];
+
+    if (block === 0x2c) {
+      frames += 1;
+      if (frames > 1) {
+        return true;
+      }
+      position = skipSubBlocks(position + 10 + colorTableSize(buffer[position + 9]) + 1);
+    } else if (block === 0x21) {
+      position = skipSubBlocks(position + 2);
+    } else {
+      break;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Detect the image format of a file from its content
+ *
+ * @param {Buffer} buffer - File content
+ * @returns {Object|null} - { mimetype, animated }, or null if it isn't a supported image
+ */
+const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer)) {
+    return null;
+  }
+
+  const { magicBytes } = exports.fileValidationConfig;
+  const mimetype = Object.keys(magicBytes).find((type) => magicBytes[type].every(({ offset, bytes }) => (
+    buffer.length >= offset + bytes.length &&
+    bytes.every((byte, index) => buffer[offset + index] === byte)
+  )));
+
+  if (!mimetype) {
+    return null;
+  }
+
+  let animated = false;
+  if (mimetype === 'image/gif') {
+    animated = isAnimatedGif(buffer);
+  } else if (mimetype === 'image/webp') {
+    // Extended format (VP8X chunk) with the animation flag set
+    animated = buffer.toString('latin1', 12, 16) === 'VP8X' && Boolean(buffer[20] & 0x02);
   }
+
+  return { mimetype, animated };
 };
 
 /**
- * Validates the uploaded file's MIME type and extension using ValidationHelper
+ * Validates the uploaded file's MIME type, extension and content
+ *
+ * The file's signature must match the declared type. On success `animated`
+ * is set on the file for animated GIF and WebP images.
+ *
  * @param {Object} file - Multer file object
  * @returns {Object} - { isValid: boolean, error: string }
  */
@@ -173,6 +246,20 @@ const validateFileType = (file) => {
     };
   }
 
+  const detected = detectImageType(file.buffer);
+  if (!detected) {
+    return { isValid: false, error: 'File content is not a supported image' };
+  }
+
+  if (detected.mimetype !== file.mimetype) {
+    return {
+      isValid: false,
+      error: `File content is ${detected.mimetype}, but it was uploaded as ${file.mimetype}`
+    };
+  }
+
+  file.animated = detected.animated;
+
   return { isValid: true };
 };
 
@@ -180,6 +267,7 @@ const validateFileType = (file) => {
  * Middleware to validate file uploads
  * - Checks file size and type
  * - Validates file extension matches MIME type
+ * - Checks the file's signature (magic bytes) matches the MIME type
  * - Sanitizes filename
  */
 const validateFileUpload = (req, res, next) => {
@@ -245,6 +333,39 @@ const adminRateLimit = rateLimit({
   },
 });
 
+/**
+ * Rate limiting for editor autosave
+ * Autosave runs every few seconds while someone types, so it gets its own
+ * budget (per user) instead of using up the admin limit
+ */
+const autosaveRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 600, // One save every 1.5 seconds on average
+  message: {
+    success: false,
+    error: 'Too many autosave requests, please try again later',
+    code: 'RATE_LIMIT_EXCEEDED',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.user?.id || ipKeyGenerator(req.ip),
+  skip: () => process.env.NODE_ENV === 'test', // Skip rate limiting in test environment
+});
+
+/**
+ * Headers for responses carrying unpublished content (preview links)
+ * Keeps them out of search engines and shared caches, and stops the token in
+ * the URL from leaking to other sites through the Referer header
+ */
+const previewHeaders = (req, res, next) => {
+  res.set({
+    'X-Robots-Tag': 'noindex, nofollow, noarchive',
+    'Cache-Control': 'private, no-store',
+    'Referrer-Policy': 'no-referrer',
+  });
+  next();
+};
+
 // Rate limit configuration for uploads
 const uploadRateLimitConfig = {
   windowMs: 60 * 1000, // 1 minute
@@ -300,10 +421,14 @@ const securityErrorHandler = (error, req, res, next) => {
 };
 
 module.exports = {
+  validateContentAccess,
   validateContentOwnership,
   sanitizeRichTextInput,
   validateFileUpload,
+  detectImageType,
   adminRateLimit,
+  autosaveRateLimit,
   uploadRateLimit,
+  previewHeaders,
   securityErrorHandler,
 };
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+const { authenticateAdmin } = require('../middleware/auth');
+const { adminRateLimit } = require('../middleware/security');
+
+router.use(authenticateAdmin);
+router.use(adminRateLimit);
+
+/**
+ * @route GET /api/admin/categories
+ * @description All categories as a tree, with the number of published articles in each
+ * @access Private - Admin authentication required
+ */
+router.get('/', categoryController.getCategories);
+
+/**
+ * @route POST /api/admin/categories
+ * @description Create a category, or a subcategory when parentKey is given
+ * @access Private - Admin authentication required
+ *
+ * @request
+ * body: {
+ *   key: string (upper snake case, e.g. "DEVOPS"; can't be changed later),
+ *   name: string,
+ *   description?: string,
+ *   icon?: string,
+ *   sortOrder?: number,
+ *   parentKey?: string (key of a top-level category)
+ * }
+ *
+ * Answers 409 CATEGORY_EXISTS if the key is taken.
+ */
+router.post('/', categoryController.createCategory);
+
+/**
+ * @route PATCH /api/admin/categories/:key
+ * @description Change the name, description, icon or sortOrder of a category
+ * @access Private - Admin authentication required
+ *
+ * The key and parent can't be changed: content, image folders and
+ * category URLs refer to the key.
+ */
+router.patch('/:key', categoryController.updateCategory);
+
+/**
+ * @route DELETE /api/admin/categories/:key
+ * @description Delete a category
+ * @access Private - Admin authentication required
+ *
+ * Answers 409 CATEGORY_IN_USE while the category has subcategories or
+ * content (including content in the trash).
+ */
+router.delete('/:key', categoryController.deleteCategory);
+
+module.exports = router;
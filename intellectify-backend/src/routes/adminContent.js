@@ -1,16 +1,73 @@
 const express = require('express');
 const router = express.Router();
 const contentController = require('../controllers/contentController');
+const contentRevisionController = require('../controllers/contentRevisionController');
+const contentReviewController = require('../controllers/contentReviewController');
+const contentCollaboratorController = require('../controllers/contentCollaboratorController');
+const contentAutosaveController = require('../controllers/contentAutosaveController');
+const contentPreviewController = require('../controllers/contentPreviewController');
 const { authenticateAdmin } = require('../middleware/auth');
 const { 
+  validateContentAccess,
   validateContentOwnership, 
   sanitizeRichTextInput,
   adminRateLimit,
-
+  autosaveRateLimit
 } = require('../middleware/security');
 
+// Collaborators can read (VIEWER) or edit (EDITOR) content they were added to;
+// publishing, deleting and managing collaborators stay with the author
+const canView = validateContentAccess('VIEWER');
+const canEdit = validateContentAccess('EDITOR');
+
 // Apply security error handler, authentication and rate limiting to all admin routes
 router.use(authenticateAdmin);
+
+/**
+ * Autosave routes
+ * Registered before the admin rate limit: the editor autosaves every few
+ * seconds, so these use their own per-user limit.
+ */
+
+/**
+ * @route GET /api/admin/content/autosave
+ * @description Get the current user's working copy of a new (not yet created) article
+ * @access Private - Admin authentication required
+ */
+router.get('/autosave', autosaveRateLimit, contentAutosaveController.getNewContentAutosave);
+
+/**
+ * @route PUT /api/admin/content/autosave
+ * @description Autosave a new (not yet created) article; creating it clears the working copy
+ * @access Private - Admin authentication required
+ */
+router.put('/autosave', autosaveRateLimit, sanitizeRichTextInput, contentAutosaveController.saveAutosave);
+
+/**
+ * @route DELETE /api/admin/content/autosave
+ * @description Discard the working copy of a new article
+ * @access Private - Admin authentication required
+ */
+router.delete('/autosave', autosaveRateLimit, contentAutosaveController.discardAutosave);
+
+/**
+ * @route PUT /api/admin/content/:id/autosave
+ * @description Autosave the current user's working copy without changing the content.
+ * GET /api/admin/content/:id returns it as `autosave` while it is newer than the saved
+ * content, and a normal save (PUT /api/admin/content/:id) clears it.
+ * @access Private - Admin authentication required (author or editor)
+ *
+ * Body: the editor fields, plus `version` (the content version being edited, optional)
+ */
+router.put('/:id/autosave', autosaveRateLimit, canEdit, sanitizeRichTextInput, contentAutosaveController.saveAutosave);
+
+/**
+ * @route DELETE /api/admin/content/:id/autosave
+ * @description Discard the current user's working copy
+ * @access Private - Admin authentication required (author or editor)
+ */
+router.delete('/:id/autosave', autosaveRateLimit, canEdit, contentAutosaveController.discardAutosave);
+
 router.use(adminRateLimit);
 // Security error handler is applied globally in app.js
 
@@ -22,17 +79,79 @@ router.use(adminRateLimit);
  * Query params:
  * - page: Page number (default: 1)
  * - limit: Items per page (default: 10)
- * - status: Filter by status (PUBLISHED/DRAFT) - optional
+ * - status: Filter by status (PUBLISHED/SCHEDULED/IN_REVIEW/CHANGES_REQUESTED/DRAFT/ARCHIVED) - optional,
+ *   archived content is only listed with status=ARCHIVED
  * - category: Filter by category - optional
+ * - shared: "true" to list content shared with the admin as a collaborator instead of their own - optional
+ * - cursor: Cursor pagination instead of page; empty for the first page, then nextCursor/prevCursor - optional
  */
 router.get('/', contentController.getMyContent);
 
+/**
+ * @route GET /api/admin/content/trash
+ * @description List the current admin's trashed content, most recently deleted first, with `purgeAt`
+ * @access Private - Admin authentication required
+ *
+ * Query params:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 10)
+ */
+// Specific routes must come before parameterized routes
+router.get('/trash', contentController.getTrash);
+
+/**
+ * @route DELETE /api/admin/content/trash
+ * @description Permanently delete everything in the current admin's trash, images included
+ * @access Private - Admin authentication required
+ */
+router.delete('/trash', contentController.emptyTrash);
+
+/**
+ * @route POST /api/admin/content/bulk
+ * @description Apply one action to several content items. Each item must belong to
+ * the current admin; items that fail are reported per item and the rest are
+ * written in one transaction.
+ * @access Private - Admin authentication required (author only)
+ *
+ * Body:
+ * - ids: Content IDs (up to 100)
+ * - action: publish, unpublish, archive, delete, category or priority
+ * - category: New category (category action)
+ * - priority: New priority, a non-negative integer (priority action)
+ */
+router.post('/bulk', contentController.bulkUpdate);
+
+/**
+ * @route GET /api/admin/content/order
+ * @description Published content of the homepage or a category in reading order,
+ * with the order version as the ETag
+ * @access Private - Admin authentication required
+ *
+ * Query params:
+ * - category: Category to order; omit for the homepage
+ */
+router.get('/order', contentController.getContentOrder);
+
+/**
+ * @route PUT /api/admin/content/order
+ * @description Reorder the homepage or a category by rewriting priorities in one transaction.
+ * Fails with 409 if the list changed since it was loaded.
+ * @access Private - Admin authentication required
+ *
+ * Headers:
+ * - If-Match: ETag from GET /api/admin/content/order (or `version` in the body)
+ * Body:
+ * - category: Category to order; omit for the homepage
+ * - ids: Every published content ID in the scope, first one on top
+ */
+router.put('/order', contentController.updateContentOrder);
+
 /**
  * @route GET /api/admin/content/:id
  * @description Get content by ID (includes drafts)
  * @access Private - Admin authentication required
  */
-router.get('/:id', validateContentOwnership, contentController.getContentById);
+router.get('/:id', canView, contentController.getContentById);
 
 /**
  * @route POST /api/admin/content
@@ -46,20 +165,159 @@ router.post('/', sanitizeRichTextInput, contentController.createContent);
  * @description Update existing content
  * @access Private - Admin authentication required
  */
-router.put('/:id', validateContentOwnership, sanitizeRichTextInput, contentController.updateContent);
+router.put('/:id', canEdit, sanitizeRichTextInput, contentController.updateContent);
 
 /**
  * @route PATCH /api/admin/content/:id/status
- * @description Update content status (publish/unpublish)
+ * @description Update content status (publish/unpublish/archive/unarchive)
+ *
+ * Allowed transitions:
+ * - DRAFT -> PUBLISHED (not when CONTENT_REVIEW_REQUIRED is on), ARCHIVED
+ * - IN_REVIEW, CHANGES_REQUESTED -> DRAFT (withdraw), ARCHIVED
+ * - SCHEDULED -> DRAFT, PUBLISHED, ARCHIVED
+ * - PUBLISHED -> DRAFT, ARCHIVED
+ * - ARCHIVED -> DRAFT (unarchive)
  * @access Private - Admin authentication required
  */
 router.patch('/:id/status', validateContentOwnership, contentController.updateContentStatus);
 
+/**
+ * @route POST /api/admin/content/:id/review
+ * @description Submit a draft for review (DRAFT/CHANGES_REQUESTED -> IN_REVIEW)
+ * @access Private - Admin authentication required
+ *
+ * Body:
+ * - note: Note for the reviewer (optional)
+ *
+ * Reviewers act on it through /api/reviews.
+ */
+router.post('/:id/review', canEdit, contentReviewController.submitForReview);
+
+/**
+ * @route GET /api/admin/content/:id/transitions
+ * @description Status history (who changed the status, when, and review comments), newest first
+ * @access Private - Admin authentication required
+ */
+router.get('/:id/transitions', canView, contentReviewController.getTransitions);
+
+/**
+ * @route PUT /api/admin/content/:id/schedule
+ * @description Set or change when content is published and/or unpublished
+ * @access Private - Admin authentication required
+ *
+ * Body:
+ * - publishAt: ISO date in the future, moves a draft to SCHEDULED (optional)
+ * - unpublishAt: ISO date in the future, after publishAt (optional)
+ */
+router.put('/:id/schedule', validateContentOwnership, contentController.scheduleContent);
+
+/**
+ * @route DELETE /api/admin/content/:id/schedule
+ * @description Cancel the publishing schedule (SCHEDULED content goes back to DRAFT)
+ * @access Private - Admin authentication required
+ */
+router.delete('/:id/schedule', validateContentOwnership, contentController.cancelSchedule);
+
 /**
  * @route DELETE /api/admin/content/:id
- * @description Delete content
+ * @description Move content to the trash. It is hidden everywhere and purged
+ * (with its images) after CONTENT_TRASH_RETENTION_DAYS.
  * @access Private - Admin authentication required
  */
 router.delete('/:id', validateContentOwnership, contentController.deleteContent);
 
+/**
+ * @route POST /api/admin/content/:id/restore
+ * @description Restore content from the trash
+ * @access Private - Admin authentication required (author only)
+ */
+router.post('/:id/restore', validateContentAccess('OWNER', { inTrash: true }), contentController.restoreContent);
+
+/**
+ * @route GET /api/admin/content/:id/revisions
+ * @description List revisions of a content item, newest first
+ * @access Private - Admin authentication required
+ *
+ * Query params:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20)
+ */
+router.get('/:id/revisions', canView, contentRevisionController.getRevisions);
+
+/**
+ * @route GET /api/admin/content/:id/revisions/diff
+ * @description Word-level diff between two revisions
+ * @access Private - Admin authentication required
+ *
+ * Query params:
+ * - from: ID of the older revision
+ * - to: ID of the newer revision
+ */
+// Specific routes must come before parameterized routes
+router.get('/:id/revisions/diff', canView, contentRevisionController.diffRevisions);
+
+/**
+ * @route GET /api/admin/content/:id/revisions/:revisionId
+ * @description Get a single revision with its full snapshot
+ * @access Private - Admin authentication required
+ */
+router.get('/:id/revisions/:revisionId', canView, contentRevisionController.getRevisionById);
+
+/**
+ * @route POST /api/admin/content/:id/revisions/:revisionId/restore
+ * @description Restore a revision as the current version
+ * @access Private - Admin authentication required
+ */
+router.post('/:id/revisions/:revisionId/restore', canEdit, contentRevisionController.restoreRevision);
+
+/**
+ * @route GET /api/admin/content/:id/collaborators
+ * @description List the collaborators of a content item
+ * @access Private - Admin authentication required (author or collaborator)
+ */
+router.get('/:id/collaborators', canView, contentCollaboratorController.getCollaborators);
+
+/**
+ * @route PUT /api/admin/content/:id/collaborators
+ * @description Add a collaborator, or change their permission if already added
+ * @access Private - Admin authentication required (author only)
+ *
+ * Body:
+ * - email: Email of an existing admin user
+ * - permission: EDITOR (can edit) or VIEWER (read-only), default EDITOR
+ */
+router.put('/:id/collaborators', validateContentOwnership, contentCollaboratorController.addCollaborator);
+
+/**
+ * @route DELETE /api/admin/content/:id/collaborators/:userId
+ * @description Remove a collaborator
+ * @access Private - Admin authentication required (author only)
+ */
+router.delete('/:id/collaborators/:userId', validateContentOwnership, contentCollaboratorController.removeCollaborator);
+
+/**
+ * @route POST /api/admin/content/:id/preview-link
+ * @description Create a signed link that shows the content (drafts included) to anyone
+ * holding it, without logging in, through GET /api/content/preview/:token
+ * @access Private - Admin authentication required (author only)
+ *
+ * Body:
+ * - expiresInDays: Days until the link expires, 1-30 (default: 7)
+ */
+router.post('/:id/preview-link', validateContentOwnership, contentPreviewController.createPreviewLink);
+
+/**
+ * @route GET /api/admin/content/:id/preview-links
+ * @description List preview links that haven't expired or been revoked, with their URLs
+ * @access Private - Admin authentication required (author only)
+ */
+router.get('/:id/preview-links', validateContentOwnership, contentPreviewController.getPreviewLinks);
+
+/**
+ * @route DELETE /api/admin/content/:id/preview-links/:linkId
+ * @description Revoke a preview link before it expires
+ * @access Private - Admin authentication required (author only)
+ */
+router.delete('/:id/preview-links/:linkId', validateContentOwnership, contentPreviewController.revokePreviewLink);
+
 module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const contentController = require('../controllers/contentController');
-// Security middleware imported in other files
+const feedController = require('../controllers/feedController');
+const contentPreviewController = require('../controllers/contentPreviewController');
+const { previewHeaders } = require('../middleware/security');
 
 const router = express.Router();
 
@@ -43,12 +45,89 @@ const router = express.Router();
  * }
  */
 // Specific routes must come before parameterized routes
+/**
+ * @route GET /api/content/categories
+ * @description Category tree with the number of published articles in each category
+ * @access Public
+ *
+ * Each category: { id, key, name, description, icon, sortOrder, parentKey, count },
+ * top-level ones with their subcategories as `children`.
+ */
 router.get('/categories', contentController.getContentCategories);
 
+/**
+ * @route GET /api/content/tags
+ * @description List tags used by published content with usage counts
+ * @access Public
+ *
+ * @response
+ * success: {
+ *   success: true,
+ *   data: [{ id: string, name: string, slug: string, count: number }]
+ * }
+ */
+router.get('/tags', contentController.getContentTags);
+
+/**
+ * @route GET /api/content/search
+ * @description Full-text search over published content, ranked by relevance
+ * @access Public
+ *
+ * Query params:
+ * - q: Search text (required)
+ * - category: Filter by category (optional)
+ * - page, limit: Pagination (same as GET /api/content)
+ *
+ * Each item carries `rank` and `highlights: { title, content }`, where
+ * matched words are wrapped in <mark> tags.
+ */
+router.get('/search', contentController.searchContent);
+
+/**
+ * @route GET /api/content/feed.rss
+ * @route GET /api/content/feed.atom
+ * @description RSS 2.0 / Atom 1.0 feed of the latest published content
+ * @access Public
+ *
+ * Responds with XML (not JSON). Sends Cache-Control, ETag and Last-Modified;
+ * conditional requests get a 304 when the feed hasn't changed.
+ */
+router.get('/feed.:format', feedController.getFeed);
+
+/**
+ * @route GET /api/content/categories/:category/feed.rss
+ * @route GET /api/content/categories/:category/feed.atom
+ * @description Feed of the latest published content in one category
+ * @access Public
+ */
+router.get('/categories/:category/feed.:format', feedController.getFeed);
+
+/**
+ * @route GET /api/content/preview/:token
+ * @description Get content (drafts included) through a preview link created by its author
+ * @access Public - the token is the credential
+ *
+ * Responses are sent with X-Robots-Tag: noindex and Cache-Control: no-store.
+ * Invalid, expired and revoked tokens get 404 PREVIEW_NOT_FOUND.
+ */
+router.get('/preview/:token', previewHeaders, contentPreviewController.getPreview);
+
 // Parameterized routes
+/**
+ * @route GET /api/content/:slug
+ * @description Get published content by slug
+ * @access Public
+ *
+ * If the slug belonged to content that has since been renamed, the response is:
+ * { success: true, redirect: { slug: string, statusCode: 301 }, message: string }
+ */
 router.get('/:slug', contentController.getContentBySlug);
 
-// Root route
+// Root route (query params: category, subcategory, authorId, tag,
+// publishedAfter, publishedBefore, sort = priority|newest|oldest|title, page, limit)
+// Unknown or invalid params get 422 with every problem listed in details.
+// With `cursor` (empty for the first page) pages by cursor instead:
+// the response pagination carries nextCursor/prevCursor and no total
 router.get('/', contentController.getPublishedContent);
 
 // Security error handler is applied globally in app.js
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const contentReviewController = require('../controllers/contentReviewController');
+const { authenticateRoles } = require('../middleware/auth');
+const { adminRateLimit } = require('../middleware/security');
+
+// Reviewers are admins and mentors; self-review is rejected by the service
+router.use(authenticateRoles('ADMIN', 'MENTOR'));
+router.use(adminRateLimit);
+
+/**
+ * @route GET /api/reviews
+ * @description Content waiting for review, oldest first (excludes the reviewer's own content)
+ * @access Private - ADMIN or MENTOR
+ *
+ * Query params:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20, max: 100)
+ */
+router.get('/', contentReviewController.getReviewQueue);
+
+/**
+ * @route GET /api/reviews/:id
+ * @description Content in review, with its status history in `transitions`
+ * @access Private - ADMIN or MENTOR (not the author)
+ */
+router.get('/:id', contentReviewController.getContentForReview);
+
+/**
+ * @route POST /api/reviews/:id/approve
+ * @description Approve content: IN_REVIEW -> PUBLISHED, or SCHEDULED when publishAt is given
+ * @access Private - ADMIN or MENTOR (not the author)
+ *
+ * @request
+ * body: { comment?: string, publishAt?: string (ISO date in the future) }
+ */
+router.post('/:id/approve', contentReviewController.approveContent);
+
+/**
+ * @route POST /api/reviews/:id/request-changes
+ * @description Send content back to the author: IN_REVIEW -> CHANGES_REQUESTED
+ * @access Private - ADMIN or MENTOR (not the author)
+ *
+ * @request
+ * body: { comment: string (required, max 2000 characters) }
+ */
+router.post('/:id/request-changes', contentReviewController.requestChanges);
+
+module.exports = router;
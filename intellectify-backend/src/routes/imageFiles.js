@@ -0,0 +1,24 @@
+const express = require('express');
+const imageController = require('../controllers/imageController');
+const { identifyUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/images/*path
+ * @description Serve an uploaded content image, e.g. /api/images/general/2025/08/<contentId>/photo.jpg
+ * @access Public for published content; drafts only for users who can see them
+ *
+ * Query params:
+ * - preview: Preview token, for images of a draft shown through a preview link
+ *   (added to image URLs by GET /api/content/preview/:token)
+ *
+ * @response
+ * 200/206 with the image, Content-Type from its extension, a strong ETag,
+ * Accept-Ranges and Cache-Control: public|private, max-age=31536000, immutable.
+ * 304 for matching conditional requests, 416 for unsatisfiable ranges,
+ * 404 for missing images and images the user may not see.
+ */
+router.get('/*path', identifyUser, imageController.serveImage);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const sitemapController = require('../controllers/sitemapController');
+
+const router = express.Router();
+
+/**
+ * @route GET /sitemap.xml
+ * @description Sitemap of published articles and category pages
+ * @access Public
+ *
+ * Returns a <urlset>, or a <sitemapindex> pointing at /sitemaps/*.xml once
+ * there are more URLs than fit in one file.
+ */
+router.get('/sitemap.xml', sitemapController.getSitemap);
+
+/**
+ * @route GET /sitemaps/:name.xml
+ * @description One file of the sitemap index ('pages' or 'content-<n>')
+ * @access Public
+ */
+router.get('/sitemaps/:name.xml', sitemapController.getSitemapPage);
+
+/**
+ * @route GET /robots.txt
+ * @description Crawler rules with a link to the sitemap
+ * @access Public
+ */
+router.get('/robots.txt', sitemapController.getRobots);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const imageController = require('../controllers/imageController');
+
+const router = express.Router();
+
+/**
+ * @route GET /uploads/temp/*path
+ * @description Serve a temporary upload, e.g. /uploads/temp/temp/2025/08/photo.jpg
+ * (the path returned by POST /api/admin/content/images/upload-temp)
+ * @access Public
+ *
+ * @response
+ * 200/206 with the image, a strong ETag and Accept-Ranges.
+ * 304 for matching conditional requests, 416 for unsatisfiable ranges,
+ * 404 for missing images.
+ */
+router.get('/*path', imageController.serveTempImage);
+
+module.exports = router;
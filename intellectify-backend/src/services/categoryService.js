@@ -0,0 +1,305 @@
+const prisma = require('../config/database');
+const AppError = require('../utils/appError');
+
+// Keys are upper snake case; distinct keys always give distinct image folders and URLs
+const KEY_PATTERN = /^[A-Z0-9]+(?:_[A-Z0-9]+)*$/;
+const MAX_KEY_LENGTH = 50;
+
+// Taken by the homepage order scope and by temporary image uploads
+const RESERVED_KEYS = ['HOME', 'TEMP'];
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_ICON_LENGTH = 100;
+
+const categorySelect = {
+  id: true,
+  key: true,
+  name: true,
+  description: true,
+  icon: true,
+  sortOrder: true,
+  parentKey: true
+};
+
+/**
+ * Category Service
+ *
+ * Categories come in two levels: top-level categories (set as a content
+ * item's `category`) and their subcategories (its `subcategory`). Content
+ * stores the key, which can't be changed after creation: image folders and
+ * category URLs are built from it. Name, description, icon and sort order
+ * can be edited at any time.
+ *
+ * A category can only be deleted once nothing uses it: no subcategories and
+ * no content, including content in the trash.
+ */
+class CategoryService {
+  /**
+   * Get all categories as a tree, with the number of published articles in each
+   *
+   * @returns {Promise<Object[]>} - Top-level categories with their `children`, both sorted by sortOrder then name
+   */
+  async getTree() {
+    const [categories, counts] = await Promise.all([
+      prisma.category.findMany({
+        select: categorySelect,
+        orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }]
+      }),
+      prisma.content.groupBy({
+        by: ['category', 'subcategory'],
+        where: { status: 'PUBLISHED', deletedAt: null, category: { not: null } },
+        _count: { _all: true }
+      })
+    ]);
+
+    const countByKey = new Map();
+    counts.forEach(({ category, subcategory, _count }) => {
+      countByKey.set(category, (countByKey.get(category) || 0) + _count._all);
+      if (subcategory) {
+        countByKey.set(subcategory, (countByKey.get(subcategory) || 0) + _count._all);
+      }
+    });
+
+    const withCount = (category) => ({ ...category, count: countByKey.get(category.key) || 0 });
+
+    return categories
+      .filter((category) => !category.parentKey)
+      .map((category) => ({
+        ...withCount(category),
+        children: categories
+          .filter((child) => child.parentKey === category.key)
+          .map(withCount)
+      }));
+  }
+
+  /**
+   * Get a category by key
+   *
+   * @param {string} key - Category key
+   * @returns {Promise<Object|null>} - Category, or null if there is none
+   */
+  async getCategory(key) {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+      return null;
+    }
+
+    return await prisma.category.findUnique({
+      where: { key },
+      select: categorySelect
+    });
+  }
+
+  /**
+   * Whether a key is a top-level category
+   *
+   * @param {string} key - Category key
+   * @returns {Promise<boolean>}
+   */
+  async isTopLevel(key) {
+    const category = await this.getCategory(key);
+    return Boolean(category) && !category.parentKey;
+  }
+
+  /**
+   * Display names of all categories
+   *
+   * @returns {Promise<Map<string, string>>} - Name by key
+   */
+  async getNames() {
+    const categories = await prisma.category.findMany({
+      select: { key: true, name: true }
+    });
+
+    return new Map(categories.map(({ key, name }) => [key, name]));
+  }
+
+  /**
+   * Create a category
+   *
+   * @param {Object} data - Category fields
+   * @param {string} data.key - Key (upper snake case, can't be changed later)
+   * @param {string} data.name - Display name
+   * @param {string} [data.description] - Description
+   * @param {string} [data.icon] - Icon name
+   * @param {number} [data.sortOrder=0] - Position among its siblings
+   * @param {string} [data.parentKey] - Key of the top-level category, for a subcategory
+   * @returns {Promise<Object>} - Created category
+   * @throws {AppError} - 422 if a field is invalid, 409 CATEGORY_EXISTS if the key is taken
+   */
+  async createCategory(data) {
+    const { key, parentKey = null } = data || {};
+
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key) || key.length > MAX_KEY_LENGTH) {
+      throw new AppError(
+        `key must be upper snake case (e.g. WEB_DEVELOPMENT), at most ${MAX_KEY_LENGTH} characters`,
+        422,
+        'VALIDATION_ERROR'
+      );
+    }
+    if (RESERVED_KEYS.includes(key)) {
+      throw new AppError(`key ${key} is reserved`, 422, 'VALIDATION_ERROR');
+    }
+
+    const fields = this.validateFields(data);
+
+    if (parentKey !== null && !(await this.isTopLevel(parentKey))) {
+      throw new AppError('parentKey must be the key of a top-level category', 422, 'VALIDATION_ERROR');
+    }
+
+    if (await prisma.category.findUnique({ where: { key }, select: { id: true } })) {
+      throw new AppError(`Category ${key} already exists`, 409, 'CATEGORY_EXISTS');
+    }
+
+    return await prisma.category.create({
+      data: { ...fields, key, parentKey },
+      select: categorySelect
+    });
+  }
+
+  /**
+   * Update the display fields of a category
+   *
+   * @param {string} key - Category key
+   * @param {Object} data - Fields to change: name, description, icon, sortOrder
+   * @returns {Promise<Object>} - Updated category
+   * @throws {AppError} - 422 if a field is invalid or key/parentKey is sent, 404 if there is no such category
+   */
+  async updateCategory(key, data) {
+    const changes = data || {};
+
+    ['key', 'parentKey'].forEach((field) => {
+      if (changes[field] !== undefined) {
+        throw new AppError(`${field} cannot be changed`, 422, 'VALIDATION_ERROR');
+      }
+    });
+
+    const fields = this.validateFields(changes, true);
+
+    if (!(await this.getCategory(key))) {
+      throw new AppError('Category not found', 404, 'CATEGORY_NOT_FOUND');
+    }
+
+    return await prisma.category.update({
+      where: { key },
+      data: fields,
+      select: categorySelect
+    });
+  }
+
+  /**
+   * Delete a category nothing uses
+   *
+   * @param {string} key - Category key
+   * @throws {AppError} - 404 if there is no such category, 409 CATEGORY_IN_USE if it has subcategories or content
+   */
+  async deleteCategory(key) {
+    if (!(await this.getCategory(key))) {
+      throw new AppError('Category not found', 404, 'CATEGORY_NOT_FOUND');
+    }
+
+    const [children, contents] = await Promise.all([
+      prisma.category.count({ where: { parentKey: key } }),
+      prisma.content.count({ where: { OR: [{ category: key }, { subcategory: key }] } })
+    ]);
+
+    if (children > 0 || contents > 0) {
+      throw new AppError(
+        'Category has subcategories or content; move them to another category first',
+        409,
+        'CATEGORY_IN_USE'
+      );
+    }
+
+    await prisma.category.delete({ where: { key } });
+  }
+
+  /**
+   * Check the category and subcategory of content being saved
+   *
+   * Empty values clear the field. Changing the category without sending a
+   * subcategory clears the subcategory, as it belonged to the old category.
+   *
+   * @param {Object} data - { category, subcategory } as sent; undefined leaves a field unchanged
+   * @param {Object} [current] - { category, subcategory } of the saved content, for updates
+   * @returns {Promise<Object>} - Fields to write ({ category?, subcategory? })
+   * @throws {AppError} - 422 if the category isn't top-level or the subcategory isn't one of its children
+   */
+  async resolveContentCategory({ category, subcategory }, current = {}) {
+    const normalize = (value) => (value === undefined ? undefined : value || null);
+    const fields = {};
+
+    const newCategory = normalize(category);
+    const effectiveCategory = newCategory === undefined ? current.category || null : newCategory;
+    const categoryChanged = effectiveCategory !== (current.category || null);
+
+    if (newCategory !== undefined) {
+      if (categoryChanged && newCategory !== null && !(await this.isTopLevel(newCategory))) {
+        throw new AppError('category must be a valid category', 422, 'VALIDATION_ERROR');
+      }
+      fields.category = newCategory;
+    }
+
+    let newSubcategory = normalize(subcategory);
+    if (newSubcategory === undefined && categoryChanged && current.subcategory) {
+      newSubcategory = null;
+    }
+
+    if (newSubcategory !== undefined) {
+      const subcategoryChanged = newSubcategory !== (current.subcategory || null);
+
+      if (newSubcategory !== null && (subcategoryChanged || categoryChanged)) {
+        const child = await this.getCategory(newSubcategory);
+        if (!effectiveCategory || !child || child.parentKey !== effectiveCategory) {
+          throw new AppError('subcategory must be a subcategory of the category', 422, 'VALIDATION_ERROR');
+        }
+      }
+      fields.subcategory = newSubcategory;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Validate the display fields of a category
+   *
+   * @param {Object} data - Fields from the request
+   * @param {boolean} [isUpdate=false] - Whether only sent fields are checked
+   * @returns {Object} - Fields to write
+   * @throws {AppError} - 422 if a field is invalid
+   */
+  validateFields(data, isUpdate = false) {
+    const { name, description, icon, sortOrder } = data;
+    const fields = {};
+
+    if (name !== undefined || !isUpdate) {
+      if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+        throw new AppError(`name must be 1 to ${MAX_NAME_LENGTH} characters`, 422, 'VALIDATION_ERROR');
+      }
+      fields.name = name.trim();
+    }
+
+    const optionalText = (field, value, maxLength) => {
+      if (value === undefined) {
+        return;
+      }
+      if (value !== null && (typeof value !== 'string' || value.length > maxLength)) {
+        throw new AppError(`${field} must be at most ${maxLength} characters`, 422, 'VALIDATION_ERROR');
+      }
+      fields[field] = value?.trim() || null;
+    };
+    optionalText('description', description, MAX_DESCRIPTION_LENGTH);
+    optionalText('icon', icon, MAX_ICON_LENGTH);
+
+    if (sortOrder !== undefined) {
+      if (!Number.isInteger(sortOrder)) {
+        throw new AppError('sortOrder must be an integer', 422, 'VALIDATION_ERROR');
+      }
+      fields.sortOrder = sortOrder;
+    }
+
+    return fields;
+  }
+}
+
+module.exports = new CategoryService();
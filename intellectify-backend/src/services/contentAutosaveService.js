@@ -0,0 +1,164 @@
+const prisma = require('../config/database');
+const AppError = require('../utils/appError');
+
+// Editor fields kept in a working copy; anything else in the request is dropped
+const AUTOSAVE_FIELDS = [
+  'title',
+  'content',
+  'excerpt',
+  'category',
+  'subcategory',
+  'priority',
+  'metaTitle',
+  'metaDescription',
+  'tags',
+  'slug'
+];
+
+// Upper bound for a serialized working copy (the content body limit plus room for the other fields)
+const MAX_AUTOSAVE_LENGTH = 120000;
+
+const autosaveSelect = {
+  data: true,
+  baseVersion: true,
+  updatedAt: true
+};
+
+/**
+ * Content Autosave Service
+ *
+ * Keeps one working copy per user and article while the editor is open, so
+ * an expired session or a browser crash doesn't lose typing. Working copies
+ * live in their own table: the content row, its updatedAt, slug, images,
+ * revisions and search index are only touched by a normal save, which also
+ * clears the working copy.
+ *
+ * A user also has one working copy for an article that hasn't been created
+ * yet (contentId null).
+ */
+class ContentAutosaveService {
+  /**
+   * Save the user's working copy
+   *
+   * Fields are stored as sent (after input sanitization) without the checks of
+   * a normal save, since an article is often incomplete while being written.
+   *
+   * @param {Object} options - Autosave options
+   * @param {string} options.userId - ID of the user editing
+   * @param {string|null} [options.contentId] - ID of the content, null for new content
+   * @param {Object} options.data - Editor fields
+   * @param {number} [options.baseVersion] - Content version the editor started from
+   * @returns {Promise<Object>} - { data, baseVersion, updatedAt }
+   * @throws {AppError} - 422 if the data isn't an object or is too large
+   */
+  async saveAutosave({ userId, contentId = null, data, baseVersion = null }) {
+    const fields = this.pickFields(data);
+
+    if (baseVersion !== null && (!Number.isInteger(baseVersion) || baseVersion < 1)) {
+      throw new AppError('version must be a positive integer', 422, 'VALIDATION_ERROR');
+    }
+
+    const findExisting = () => prisma.contentAutosave.findFirst({
+      where: { userId, contentId },
+      select: { id: true }
+    });
+    const update = (id) => prisma.contentAutosave.update({
+      where: { id },
+      data: { data: fields, baseVersion },
+      select: autosaveSelect
+    });
+
+    const existing = await findExisting();
+    if (existing) {
+      return await update(existing.id);
+    }
+
+    try {
+      return await prisma.contentAutosave.create({
+        data: { userId, contentId, data: fields, baseVersion },
+        select: autosaveSelect
+      });
+    } catch (error) {
+      // P2002: another autosave (a second tab, a retry) created the working copy
+      // since the lookup; the unique index keeps one per user and article
+      const created = error.code === 'P2002' && await findExisting();
+      if (!created) {
+        throw error;
+      }
+      return await update(created.id);
+    }
+  }
+
+  /**
+   * Get the user's working copy
+   *
+   * @param {string} userId - ID of the user
+   * @param {string|null} [contentId] - ID of the content, null for new content
+   * @returns {Promise<Object|null>} - { data, baseVersion, updatedAt }, or null
+   */
+  async getAutosave(userId, contentId = null) {
+    return await prisma.contentAutosave.findFirst({
+      where: { userId, contentId },
+      select: autosaveSelect
+    });
+  }
+
+  /**
+   * Get the user's working copy of content if it is newer than the saved content
+   *
+   * An older working copy was already superseded by a save (possibly from
+   * another tab or device) and isn't offered for recovery.
+   *
+   * @param {string} userId - ID of the user
+   * @param {Object} content - Saved content ({ id, updatedAt })
+   * @returns {Promise<Object|null>} - { data, baseVersion, updatedAt }, or null
+   */
+  async getNewerAutosave(userId, content) {
+    const autosave = await this.getAutosave(userId, content.id);
+
+    if (!autosave || new Date(autosave.updatedAt) <= new Date(content.updatedAt)) {
+      return null;
+    }
+
+    return autosave;
+  }
+
+  /**
+   * Discard the user's working copy
+   *
+   * @param {string} userId - ID of the user
+   * @param {string|null} [contentId] - ID of the content, null for new content
+   */
+  async clearAutosave(userId, contentId = null) {
+    await prisma.contentAutosave.deleteMany({
+      where: { userId, contentId }
+    });
+  }
+
+  /**
+   * Keep only editor fields from an autosave request
+   *
+   * @param {*} data - Request body
+   * @returns {Object} - Editor fields that were sent
+   * @throws {AppError} - 422 if the data isn't an object or is too large
+   */
+  pickFields(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new AppError('Autosave data must be an object', 422, 'VALIDATION_ERROR');
+    }
+
+    const fields = Object.fromEntries(
+      AUTOSAVE_FIELDS
+        .filter((field) => data[field] !== undefined)
+        .map((field) => [field, data[field]])
+    );
+
+    if (JSON.stringify(fields).length > MAX_AUTOSAVE_LENGTH) {
+      throw new AppError('Autosave data is too large', 422, 'VALIDATION_ERROR');
+    }
+
+    return fields;
+  }
+}
+
+module.exports = new ContentAutosaveService();
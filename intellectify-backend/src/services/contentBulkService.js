@@ -0,0 +1,295 @@
+const validator = require('validator');
+const prisma = require('../config/database');
+const AppError = require('../utils/appError');
+const ContentService = require('./contentService');
+const RevisionService = require('./contentRevisionService');
+const CategoryService = require('./categoryService');
+
+// Most items accepted in one bulk request
+const MAX_BULK_ITEMS = 100;
+
+// Status each status action moves content to
+const STATUS_ACTIONS = {
+  publish: 'PUBLISHED',
+  unpublish: 'DRAFT',
+  archive: 'ARCHIVED'
+};
+
+// Field each field action sets (the value is sent under the same name)
+const FIELD_ACTIONS = {
+  category: 'category',
+  priority: 'priority'
+};
+
+const BULK_ACTIONS = [...Object.keys(STATUS_ACTIONS), 'delete', ...Object.keys(FIELD_ACTIONS)];
+
+/**
+ * Content Bulk Service
+ *
+ * Applies one action to many content items. Every item is checked on its own
+ * (it must exist, not be trashed, belong to the user and allow the change)
+ * and items that fail are reported without stopping the rest. The items that
+ * pass are then written in a single transaction: if any write fails (e.g.
+ * someone saved the item since it was checked) none of them are applied.
+ *
+ * Writes go through the same helpers as the single-item endpoints, so every
+ * change bumps the version and records a revision, and status changes are
+ * added to the transition log.
+ */
+class ContentBulkService {
+  /**
+   * Apply an action to several content items
+   *
+   * @param {Object} options - Bulk options
+   * @param {string[]} options.ids - IDs of the content items
+   * @param {string} options.action - publish, unpublish, archive, delete, category or priority
+   * @param {*} [options.value] - New category or priority for the field actions
+   * @param {string} options.userId - ID of the user; only their own content is changed
+   * @returns {Promise<Object>} - { action, results: [{ id, success, unchanged?, error?, code? }], succeeded, failed }
+   * @throws {AppError} - 422 if the ids, action or value are invalid
+   */
+  async bulkUpdate({ ids, action, value, userId }) {
+    const contentIds = this.validateIds(ids);
+    await this.validateAction(action, value);
+
+    const contents = await prisma.content.findMany({
+      where: { id: { in: contentIds } }
+    });
+    const contentById = new Map(contents.map((content) => [content.id, content]));
+
+    const results = new Map();
+    const pending = [];
+
+    contentIds.forEach((id) => {
+      try {
+        const content = contentById.get(id);
+        this.assertCanChange(content, userId);
+
+        if (this.isUnchanged(content, action, value)) {
+          results.set(id, { id, success: true, unchanged: true });
+          return;
+        }
+
+        this.assertActionAllowed(content, action);
+        pending.push(content);
+      } catch (error) {
+        if (!(error instanceof AppError)) {
+          throw error;
+        }
+        results.set(id, this.toFailure(id, error));
+      }
+    });
+
+    if (pending.length > 0) {
+      await this.applyAll(pending, action, value, userId, results);
+    }
+
+    const ordered = contentIds.map((id) => results.get(id));
+    const succeeded = ordered.filter((result) => result.success).length;
+
+    return {
+      action,
+      results: ordered,
+      succeeded,
+      failed: ordered.length - succeeded
+    };
+  }
+
+  /**
+   * Write the checked items in one transaction and record the outcome
+   *
+   * @param {Object[]} pending - Content rows that passed the checks
+   * @param {string} action - Bulk action
+   * @param {*} value - Value for the field actions
+   * @param {string} userId - ID of the user
+   * @param {Map} results - Results by content ID, filled in for every pending item
+   */
+  async applyAll(pending, action, value, userId, results) {
+    let current = null;
+
+    try {
+      await prisma.$transaction(async (tx) => {
+        for (const content of pending) {
+          current = content;
+          await this.applyAction(content, action, value, userId, tx);
+        }
+      });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        throw error;
+      }
+
+      // Nothing was written: report the item that failed and roll back the rest
+      pending.forEach(({ id }) => {
+        results.set(id, id === current.id
+          ? this.toFailure(id, error)
+          : this.toFailure(id, new AppError('Not applied because another item failed', 409, 'ROLLED_BACK')));
+      });
+      return;
+    }
+
+    pending.forEach((content) => {
+      ContentService.refreshSitemap(content, { status: STATUS_ACTIONS[action] || content.status });
+      results.set(content.id, { id: content.id, success: true });
+    });
+  }
+
+  /**
+   * Apply the action to one item
+   *
+   * Writes are tied to the version that was checked, so a save made in the
+   * meantime fails the item with VERSION_CONFLICT.
+   *
+   * @param {Object} content - Content row as checked
+   * @param {string} action - Bulk action
+   * @param {*} value - Value for the field actions
+   * @param {string} userId - ID of the user
+   * @param {Object} db - Transaction client
+   */
+  async applyAction(content, action, value, userId, db) {
+    if (STATUS_ACTIONS[action]) {
+      await ContentService.applyStatusChange(content, STATUS_ACTIONS[action], userId, {
+        expectedVersion: content.version,
+        db
+      });
+      return;
+    }
+
+    if (action === 'delete') {
+      await ContentService.writeContent(content.id, content.version, {
+        data: { deletedAt: new Date() }
+      }, db);
+      return;
+    }
+
+    const updatedContent = await ContentService.writeContent(content.id, content.version, {
+      data: {
+        [FIELD_ACTIONS[action]]: value,
+        // The subcategory belonged to the old category
+        ...(action === 'category' && { subcategory: null })
+      }
+    }, db);
+
+    await RevisionService.recordRevision(updatedContent, userId, db);
+  }
+
+  /**
+   * Check that the user may change an item
+   *
+   * Bulk actions include publishing and deleting, so only the author qualifies.
+   *
+   * @param {Object|undefined} content - Content row, undefined if it doesn't exist
+   * @param {string} userId - ID of the user
+   * @throws {AppError} - 404 if missing or trashed, 403 if not the author
+   */
+  assertCanChange(content, userId) {
+    if (!content || content.deletedAt) {
+      throw new AppError('Content not found', 404, 'CONTENT_NOT_FOUND');
+    }
+
+    if (content.authorId !== userId) {
+      throw new AppError('You do not have permission to access this content', 403, 'FORBIDDEN');
+    }
+  }
+
+  /**
+   * Check that the action may be applied to an item in its current status
+   *
+   * Unpublishing only takes published or scheduled content back to draft;
+   * other drafts-in-progress (review) are withdrawn through the status endpoint.
+   *
+   * @param {Object} content - Content row
+   * @param {string} action - Bulk action
+   * @throws {AppError} - 400 INVALID_STATUS_TRANSITION or REVIEW_REQUIRED
+   */
+  assertActionAllowed(content, action) {
+    if (action === 'unpublish' && !['PUBLISHED', 'SCHEDULED'].includes(content.status)) {
+      throw new AppError(
+        `Cannot unpublish content with status ${content.status}`,
+        400,
+        'INVALID_STATUS_TRANSITION'
+      );
+    }
+
+    if (STATUS_ACTIONS[action]) {
+      ContentService.assertStatusTransition(content.status, STATUS_ACTIONS[action]);
+    }
+  }
+
+  /**
+   * Whether an item already has the requested status or value
+   *
+   * @param {Object} content - Content row
+   * @param {string} action - Bulk action
+   * @param {*} value - Value for the field actions
+   * @returns {boolean} - True if there is nothing to change
+   */
+  isUnchanged(content, action, value) {
+    if (STATUS_ACTIONS[action]) {
+      return content.status === STATUS_ACTIONS[action];
+    }
+    if (FIELD_ACTIONS[action]) {
+      return content[FIELD_ACTIONS[action]] === value;
+    }
+    return false;
+  }
+
+  /**
+   * Validate the list of IDs
+   *
+   * @param {*} ids - IDs from the request
+   * @returns {string[]} - IDs without duplicates
+   * @throws {AppError} - 422 if not a non-empty array of UUIDs within the limit
+   */
+  validateIds(ids) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new AppError('ids must be a non-empty array', 422, 'VALIDATION_ERROR');
+    }
+
+    const uniqueIds = [...new Set(ids)];
+
+    if (uniqueIds.length > MAX_BULK_ITEMS) {
+      throw new AppError(`At most ${MAX_BULK_ITEMS} items can be changed at once`, 422, 'VALIDATION_ERROR');
+    }
+
+    if (!uniqueIds.every((id) => typeof id === 'string' && validator.isUUID(id))) {
+      throw new AppError('ids must be content IDs', 422, 'VALIDATION_ERROR');
+    }
+
+    return uniqueIds;
+  }
+
+  /**
+   * Validate the action and its value
+   *
+   * @param {*} action - Action from the request
+   * @param {*} value - Value for the field actions
+   * @throws {AppError} - 422 if the action or value is invalid
+   */
+  async validateAction(action, value) {
+    if (!BULK_ACTIONS.includes(action)) {
+      throw new AppError(`action must be one of: ${BULK_ACTIONS.join(', ')}`, 422, 'VALIDATION_ERROR');
+    }
+
+    if (action === 'category' && !(await CategoryService.isTopLevel(value))) {
+      throw new AppError('category must be a valid category', 422, 'VALIDATION_ERROR');
+    }
+
+    if (action === 'priority' && (!Number.isInteger(value) || value < 0)) {
+      throw new AppError('priority must be a non-negative integer', 422, 'VALIDATION_ERROR');
+    }
+  }
+
+  /**
+   * Build a failed result from an error
+   *
+   * @param {string} id - Content ID
+   * @param {AppError} error - Why the item failed
+   * @returns {Object} - { id, success: false, error, code }
+   */
+  toFailure(id, error) {
+    return { id, success: false, error: error.message, code: error.code };
+  }
+}
+
+module.exports = new ContentBulkService();
@@ -0,0 +1,140 @@
+const validator = require('validator');
+const prisma = require('../config/database');
+const AppError = require('../utils/appError');
+
+const PERMISSIONS = ['EDITOR', 'VIEWER'];
+
+const userSelect = {
+  select: {
+    id: true,
+    name: true,
+    email: true,
+  },
+};
+
+/**
+ * Content Collaborator Service
+ *
+ * Manages who besides the author has access to a content item:
+ * - EDITOR collaborators can edit the content and are shown as co-authors
+ * - VIEWER collaborators can read drafts, revisions and status history
+ *
+ * Collaborators must be admin users, since the admin content API is the only
+ * place content is edited. Access itself is enforced by validateContentAccess.
+ */
+class ContentCollaboratorService {
+  /**
+   * List the collaborators of a content item, oldest first
+   *
+   * @param {string} contentId - ID of the content
+   * @returns {Promise<Object[]>} - Collaborators with their user
+   */
+  async getCollaborators(contentId) {
+    return await prisma.contentCollaborator.findMany({
+      where: { contentId },
+      orderBy: { createdAt: 'asc' },
+      select: {
+        permission: true,
+        createdAt: true,
+        updatedAt: true,
+        user: userSelect,
+      },
+    });
+  }
+
+  /**
+   * Add a collaborator, or change the permission of an existing one
+   *
+   * @param {Object} content - Content being shared ({ id, authorId })
+   * @param {Object} data - Collaborator data
+   * @param {string} data.email - Email of the user to add
+   * @param {string} [data.permission='EDITOR'] - EDITOR or VIEWER
+   * @returns {Promise<Object>} - Collaborator with their user
+   * @throws {AppError} - 422 for invalid input, 404 if there is no such admin, 400 for the author
+   */
+  async addCollaborator(content, { email, permission = 'EDITOR' } = {}) {
+    if (typeof email !== 'string' || !validator.isEmail(email.trim())) {
+      throw new AppError('A valid email is required', 422, 'VALIDATION_ERROR');
+    }
+
+    if (!PERMISSIONS.includes(permission)) {
+      throw new AppError(`Permission must be one of: ${PERMISSIONS.join(', ')}`, 422, 'VALIDATION_ERROR');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email: email.trim().toLowerCase() },
+      select: { id: true, role: true },
+    });
+
+    if (!user || user.role !== 'ADMIN') {
+      throw new AppError('No admin user with that email', 404, 'USER_NOT_FOUND');
+    }
+
+    if (user.id === content.authorId) {
+      throw new AppError('The author cannot be added as a collaborator', 400, 'INVALID_COLLABORATOR');
+    }
+
+    return await prisma.contentCollaborator.upsert({
+      where: {
+        contentId_userId: { contentId: content.id, userId: user.id },
+      },
+      create: {
+        contentId: content.id,
+        userId: user.id,
+        permission,
+      },
+      update: { permission },
+      select: {
+        permission: true,
+        createdAt: true,
+        updatedAt: true,
+        user: userSelect,
+      },
+    });
+  }
+
+  /**
+   * Remove a collaborator
+   *
+   * @param {string} contentId - ID of the content
+   * @param {string} userId - ID of the collaborator to remove
+   * @throws {AppError} - 404 if the user isn't a collaborator
+   */
+  async removeCollaborator(contentId, userId) {
+    const { count } = await prisma.contentCollaborator.deleteMany({
+      where: { contentId, userId },
+    });
+
+    if (count === 0) {
+      throw new AppError('Collaborator not found', 404, 'COLLABORATOR_NOT_FOUND');
+    }
+  }
+
+  /**
+   * Get the co-authors (EDITOR collaborators) of several content items at once
+   *
+   * @param {string[]} contentIds - IDs of the content
+   * @returns {Promise<Map<string, Object[]>>} - Content ID -> [{ id, name }]
+   */
+  async getCoAuthors(contentIds) {
+    const coAuthors = new Map(contentIds.map((id) => [id, []]));
+    if (contentIds.length === 0) {
+      return coAuthors;
+    }
+
+    const rows = await prisma.contentCollaborator.findMany({
+      where: { contentId: { in: contentIds }, permission: 'EDITOR' },
+      orderBy: { createdAt: 'asc' },
+      select: {
+        contentId: true,
+        user: { select: { id: true, name: true } },
+      },
+    });
+
+    rows.forEach(({ contentId, user }) => coAuthors.get(contentId)?.push(user));
+
+    return coAuthors;
+  }
+}
+
+module.exports = new ContentCollaboratorService();
@@ -1,4 +1,9 @@
+const prisma = require('../config/database');
 const fileStorageService = require('./fileStorageService');
+const previewService = require('./contentPreviewService');
+
+// Roles that review content waiting for review (see contentReviewService)
+const REVIEWER_ROLES = ['ADMIN', 'MENTOR'];
 
 /**
  * Image Management Module for Content
@@ -14,6 +19,9 @@ const fileStorageService = require('./fileStorageService');
  * 2. When content is created/updated, images are moved to permanent location
  * 3. Content HTML is updated with new image paths
  * 4. Unused images are cleaned up to prevent storage bloat
+ *
+ * Images are served by GET /api/images/*, with the same visibility as the
+ * content they belong to (see getImageAccess).
  */
 class ImageManager {
   /**
@@ -103,12 +111,14 @@ class ImageManager {
    * Process:
    * 1. Extract image paths from old and new content
    * 2. Find images that exist in old but not in new content
-   * 3. Delete unused images (excluding temp files)
-   * 4. Log cleanup results
+   * 3. Keep images a revision of the content still shows, so restoring
+   *    it doesn't bring back broken images (they go when the content is purged)
+   * 4. Delete unused images (excluding temp files)
+   * 5. Log cleanup results
    * 
    * @param {string} oldContent - Previous content HTML
    * @param {string} newContent - New content HTML
-   * @param {string} contentId - Content ID for logging
+   * @param {string} contentId - Content ID (to look up its revisions)
    */
   static async cleanupUnusedImages(oldContent, newContent, contentId) {
     try {
@@ -127,7 +137,16 @@ class ImageManager {
       const newImages = extractAndCleanPaths(newContent);
       
       // Find images that were in old content but not in new content
-      const imagesToDelete = oldImages.filter(img => !newImages.includes(img));
+      let imagesToDelete = oldImages.filter(img => !newImages.includes(img));
+
+      if (imagesToDelete.length > 0) {
+        const revisions = await prisma.contentRevision.findMany({
+          where: { contentId },
+          select: { content: true }
+        });
+        const revisionImages = new Set(revisions.flatMap(revision => extractAndCleanPaths(revision.content)));
+        imagesToDelete = imagesToDelete.filter(img => !revisionImages.has(img));
+      }
       
       // Delete the unused images
       const deleted = [];
@@ -154,17 +173,81 @@ class ImageManager {
 
   /**
    * Clean up all images associated with content when deleting
+   *
+   * Every image was saved with a body that names it, and every save is kept
+   * as a revision, so the folders named by the image paths of the content
+   * and its revisions hold all of its images.
+   *
    * @param {string} contentId - Content ID
-   * @param {string} category - Content category
+   * @param {string[]} contents - HTML of the content and of each of its revisions
    */
-  static async cleanupContentImages(contentId, category) {
+  static async cleanupContentImages(contentId, contents) {
     try {
-      await fileStorageService.cleanupContentImages(contentId, category || 'general');
+      const imagePaths = contents.flatMap((html) => fileStorageService.extractImagePaths(html));
+      await fileStorageService.cleanupContentImages(contentId, imagePaths);
     } catch (error) {
       console.error(`Warning: Failed to cleanup images for content ${contentId}:`, error);
       // Continue with content deletion even if image cleanup fails
     }
   }
+
+  /**
+   * Decide who may see an uploaded image
+   *
+   * Images of published content are public. Images of anything else (drafts,
+   * scheduled, archived or trashed content) are only served to the author and
+   * collaborators, to reviewers while the content is in review, and with an
+   * active preview token for the content. Images outside a content folder
+   * aren't tied to any content and are public.
+   *
+   * @param {string} relativePath - Path of the image
+   * @param {Object} [viewer] - Who is asking
+   * @param {Object} [viewer.user] - Signed-in user ({ id, role })
+   * @param {string} [viewer.previewToken] - Preview token sent with the image URL
+   * @returns {Promise<string|null>} - 'public', 'private' (only this viewer) or null if not allowed
+   */
+  static async getImageAccess(relativePath, { user, previewToken } = {}) {
+    const contentId = fileStorageService.getImageContentId(relativePath);
+    if (!contentId) {
+      return 'public';
+    }
+
+    const content = await prisma.content.findUnique({
+      where: { id: contentId },
+      select: {
+        status: true,
+        deletedAt: true,
+        authorId: true,
+        collaborators: user ? { where: { userId: user.id }, select: { permission: true } } : false
+      }
+    });
+
+    if (!content) {
+      return null;
+    }
+
+    if (content.status === 'PUBLISHED' && !content.deletedAt) {
+      return 'public';
+    }
+
+    if (user && (content.authorId === user.id || content.collaborators?.length > 0)) {
+      return 'private';
+    }
+
+    if (content.deletedAt) {
+      return null;
+    }
+
+    if (user && content.status === 'IN_REVIEW' && REVIEWER_ROLES.includes(user.role)) {
+      return 'private';
+    }
+
+    if (previewToken && await previewService.canPreview(previewToken, contentId)) {
+      return 'private';
+    }
+
+    return null;
+  }
 }
 
 module.exports = ImageManager;
\ No newline at end of file
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const validator = require('validator');
+const prisma = require('../config/database');
+const AppError = require('../utils/appError');
+const CategoryService = require('./categoryService');
+
+// Scope of the homepage list (all published content); other scopes are categories
+const HOME_SCOPE = 'HOME';
+
+const orderItemSelect = {
+  id: true,
+  title: true,
+  slug: true,
+  category: true,
+  priority: true,
+  publishedAt: true,
+  updatedAt: true
+};
+
+/**
+ * Content Order Service
+ *
+ * Lets editors set the order of published content by drag and drop instead
+ * of typing priorities. A scope is a list as readers see it with the
+ * default (priority) sort: the homepage, or one category.
+ *
+ * There is a single priority per article, so a reorder doesn't assign fresh
+ * numbers: it hands the scope's current priority values out again in the
+ * new order. Reordering a category then only swaps its articles among the
+ * homepage positions they already hold.
+ *
+ * Each list has a version, a hash of its ids and priorities in order. A
+ * reorder must be based on the current version, so it fails when anything
+ * changed the list in the meantime: another reorder (of this list, or of the
+ * homepage or a category it shares articles with), a priority edit, or
+ * content being published or unpublished.
+ */
+class ContentOrderService {
+  /**
+   * Get the current order of a scope
+   *
+   * @param {string} [category] - Category to order; omit for the homepage
+   * @returns {Promise<Object>} - { scope, version, items } with items in reading order
+   * @throws {AppError} - 422 if the category is invalid
+   */
+  async getOrder(category) {
+    const scope = await this.getScope(category);
+    const items = await this.findScopeItems(prisma, scope);
+
+    return { scope, version: this.getVersion(items), items };
+  }
+
+  /**
+   * Rewrite priorities so a scope reads in the given order
+   *
+   * Runs in a serializable transaction, so two reorders that touch the same
+   * articles can't both commit; the loser gets 409 ORDER_CONFLICT.
+   *
+   * @param {Object} options - Reorder options
+   * @param {string} [options.category] - Category to order; omit for the homepage
+   * @param {string[]} options.ids - Every published content ID in the scope, first one on top
+   * @param {string} [options.expectedVersion] - Version the editor loaded; undefined skips the check
+   * @returns {Promise<Object>} - { scope, version, items } after the reorder
+   * @throws {AppError} - 422 if the input is invalid, 409 ORDER_CONFLICT if the list changed
+   */
+  async reorder({ category, ids, expectedVersion }) {
+    const scope = await this.getScope(category);
+    this.validateIds(ids);
+
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const items = await this.findScopeItems(tx, scope);
+
+        if (expectedVersion !== undefined && this.getVersion(items) !== expectedVersion) {
+          throw new AppError('The order was changed by someone else', 409, 'ORDER_CONFLICT');
+        }
+
+        const itemById = new Map(items.map((item) => [item.id, item]));
+        if (ids.length !== items.length || !ids.every((id) => itemById.has(id))) {
+          throw new AppError(
+            'ids must list every published item in the scope exactly once',
+            422,
+            'VALIDATION_ERROR'
+          );
+        }
+
+        const priorities = this.assignPriorities(items.map((item) => item.priority));
+        const reordered = [];
+
+        for (const [index, id] of ids.entries()) {
+          const item = itemById.get(id);
+          const priority = priorities[index];
+
+          // Ordering is tracked by the list version, not the content version,
+          // and isn't an edit: keep version and updatedAt so open editors don't
+          // conflict, autosaves stay newer and sitemap lastmod doesn't move
+          if (item.priority !== priority) {
+            await tx.content.update({
+              where: { id },
+              data: { priority, updatedAt: item.updatedAt }
+            });
+          }
+
+          reordered.push({ ...item, priority });
+        }
+
+        return { scope, version: this.getVersion(reordered), items: reordered };
+      }, { isolationLevel: 'Serializable' });
+    } catch (error) {
+      // P2034: serialization failure, another transaction changed the same rows
+      if (error.code === 'P2034') {
+        throw new AppError('The order was changed by someone else', 409, 'ORDER_CONFLICT');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Published content of a scope in reading order
+   *
+   * Same order as the default sort of the public listing.
+   *
+   * @param {Object} db - Prisma client (or transaction client)
+   * @param {string} scope - HOME or a category
+   * @returns {Promise<Object[]>} - Items with id, title, slug, category, priority, publishedAt and updatedAt
+   */
+  async findScopeItems(db, scope) {
+    return await db.content.findMany({
+      where: {
+        status: 'PUBLISHED',
+        deletedAt: null,
+        ...(scope !== HOME_SCOPE && { category: scope })
+      },
+      orderBy: [
+        { priority: 'desc' },
+        { publishedAt: 'desc' },
+        { createdAt: 'desc' }
+      ],
+      select: orderItemSelect
+    });
+  }
+
+  /**
+   * Version of a list: a hash of its ids and priorities in order
+   *
+   * @param {Object[]} items - Items in reading order
+   * @returns {string} - Version string, used as the ETag
+   */
+  getVersion(items) {
+    return crypto
+      .createHash('sha256')
+      .update(items.map((item) => `${item.id}:${item.priority}`).join(','))
+      .digest('base64url')
+      .slice(0, 22);
+  }
+
+  /**
+   * Priorities for a list, top first
+   *
+   * Reuses the list's current values from highest to lowest. Equal values are
+   * raised just enough for the order to be strict (all-zero priorities become
+   * n-1 ... 0), since ties would fall back to the publish date.
+   *
+   * @param {number[]} current - Current priorities of the scope's items
+   * @returns {number[]} - Strictly decreasing, non-negative priorities
+   */
+  assignPriorities(current) {
+    const priorities = [...current].sort((a, b) => b - a);
+
+    for (let i = priorities.length - 2; i >= 0; i--) {
+      priorities[i] = Math.max(priorities[i], priorities[i + 1] + 1);
+    }
+
+    return priorities;
+  }
+
+  /**
+   * Resolve the scope of a request
+   *
+   * @param {string} [category] - Category, or nothing for the homepage
+   * @returns {Promise<string>} - HOME or the category
+   * @throws {AppError} - 422 if the category is invalid
+   */
+  async getScope(category) {
+    if (category === undefined || category === null || category === '') {
+      return HOME_SCOPE;
+    }
+
+    if (!(await CategoryService.isTopLevel(category))) {
+      throw new AppError('category must be a valid category', 422, 'VALIDATION_ERROR');
+    }
+
+    return category;
+  }
+
+  /**
+   * Validate the list of IDs
+   *
+   * @param {*} ids - IDs from the request
+   * @throws {AppError} - 422 if not an array of distinct content IDs
+   */
+  validateIds(ids) {
+    if (!Array.isArray(ids) || !ids.every((id) => typeof id === 'string' && validator.isUUID(id))) {
+      throw new AppError('ids must be an array of content IDs', 422, 'VALIDATION_ERROR');
+    }
+
+    if (new Set(ids).size !== ids.length) {
+      throw new AppError('ids must not contain duplicates', 422, 'VALIDATION_ERROR');
+    }
+  }
+}
+
+module.exports = new ContentOrderService();
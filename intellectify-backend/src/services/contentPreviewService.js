@@ -0,0 +1,275 @@
+const jwt = require('jsonwebtoken');
+const prisma = require('../config/database');
+const AppError = require('../utils/appError');
+const fileStorageService = require('./fileStorageService');
+const { previewTokenSecret, frontendUrl } = require('../config/oauth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a preview link lasts unless the author asks otherwise, and the longest allowed
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 30;
+
+const linkSelect = {
+  id: true,
+  contentId: true,
+  expiresAt: true,
+  lastViewedAt: true,
+  createdAt: true,
+  createdBy: {
+    select: {
+      id: true,
+      name: true
+    }
+  }
+};
+
+// What a preview shows: the article as it would be published, without admin-only fields
+const previewSelect = {
+  id: true,
+  title: true,
+  content: true,
+  excerpt: true,
+  category: true,
+  subcategory: true,
+  status: true,
+  slug: true,
+  metaTitle: true,
+  metaDescription: true,
+  publishedAt: true,
+  updatedAt: true,
+  author: {
+    select: {
+      id: true,
+      name: true
+    }
+  },
+  tags: {
+    select: {
+      id: true,
+      name: true,
+      slug: true
+    },
+    orderBy: { name: 'asc' }
+  }
+};
+
+/**
+ * Content Preview Service
+ *
+ * Shareable links that show content (usually a draft) to anyone holding
+ * them, without logging in. The token is a JWT signed with
+ * PREVIEW_TOKEN_SECRET carrying the content ID, with the link ID as jti and
+ * the link's expiry as exp. The signature and expiry are checked first; the
+ * link row is then looked up so the author can revoke a link before it expires.
+ *
+ * Tokens are signed without a timestamp, so a link always has the same token
+ * and the author's list of active links can show each link's URL again.
+ *
+ * Images in a preview carry the token (?preview=<token>), which lets the
+ * image route serve images of the draft to someone who isn't logged in.
+ */
+class ContentPreviewService {
+  /**
+   * Create a preview link
+   *
+   * @param {string} contentId - ID of the content
+   * @param {string} userId - ID of the user creating the link
+   * @param {Object} [options] - Link options
+   * @param {number} [options.expiresInDays=7] - Days until the link expires (1-30)
+   * @returns {Promise<Object>} - Link with token and url
+   * @throws {AppError} - 422 if expiresInDays is invalid
+   */
+  async createLink(contentId, userId, { expiresInDays = DEFAULT_EXPIRY_DAYS } = {}) {
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+      throw new AppError(
+        `expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}`,
+        422,
+        'VALIDATION_ERROR'
+      );
+    }
+
+    const link = await prisma.contentPreviewLink.create({
+      data: {
+        contentId,
+        createdById: userId,
+        expiresAt: new Date(Date.now() + expiresInDays * DAY_MS)
+      },
+      select: linkSelect
+    });
+
+    return this.withToken(link);
+  }
+
+  /**
+   * List the links of content that haven't expired or been revoked, newest first
+   *
+   * @param {string} contentId - ID of the content
+   * @param {Date} [now] - Reference time (defaults to current time)
+   * @returns {Promise<Object[]>} - Links with token and url
+   */
+  async getActiveLinks(contentId, now = new Date()) {
+    const links = await prisma.contentPreviewLink.findMany({
+      where: {
+        contentId,
+        revokedAt: null,
+        expiresAt: { gt: now }
+      },
+      orderBy: { createdAt: 'desc' },
+      select: linkSelect
+    });
+
+    return links.map((link) => this.withToken(link));
+  }
+
+  /**
+   * Revoke a link so its token stops working
+   *
+   * @param {string} contentId - ID of the content
+   * @param {string} linkId - ID of the link
+   * @throws {AppError} - 404 if the content has no such active link
+   */
+  async revokeLink(contentId, linkId) {
+    const { count } = await prisma.contentPreviewLink.updateMany({
+      where: { id: linkId, contentId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+      throw new AppError('Preview link not found', 404, 'PREVIEW_LINK_NOT_FOUND');
+    }
+  }
+
+  /**
+   * Get the content a preview token points to
+   *
+   * Invalid, expired and revoked tokens all answer 404, as does content that
+   * has been moved to the trash.
+   *
+   * @param {string} token - Preview token
+   * @param {Date} [now] - Reference time (defaults to current time)
+   * @returns {Promise<Object>} - Content as it would be published, plus its status
+   * @throws {AppError} - 404 PREVIEW_NOT_FOUND if the token doesn't give access
+   */
+  async getPreview(token, now = new Date()) {
+    const notFound = new AppError('Preview not found or expired', 404, 'PREVIEW_NOT_FOUND');
+
+    const payload = this.verifyToken(token);
+    if (!payload) {
+      throw notFound;
+    }
+
+    // Links to content in the trash don't match
+    const link = await prisma.contentPreviewLink.findUnique({
+      where: { id: payload.jti, contentItem: { deletedAt: null } },
+      select: {
+        id: true,
+        contentId: true,
+        expiresAt: true,
+        revokedAt: true,
+        contentItem: { select: previewSelect }
+      }
+    });
+
+    if (
+      !link ||
+      link.contentId !== payload.contentId ||
+      link.revokedAt ||
+      link.expiresAt <= now
+    ) {
+      throw notFound;
+    }
+
+    await prisma.contentPreviewLink.update({
+      where: { id: link.id },
+      data: { lastViewedAt: now }
+    });
+
+    const content = link.contentItem;
+    return {
+      ...content,
+      content: this.addTokenToImages(await fileStorageService.addResponsiveImages(content.content), token),
+      previewExpiresAt: link.expiresAt
+    };
+  }
+
+  /**
+   * Whether a preview token currently gives access to content
+   *
+   * @param {string} token - Preview token
+   * @param {string} contentId - ID of the content
+   * @param {Date} [now] - Reference time (defaults to current time)
+   * @returns {Promise<boolean>} - True if the token is for this content and its link is active
+   */
+  async canPreview(token, contentId, now = new Date()) {
+    const payload = this.verifyToken(token);
+    if (!payload || payload.contentId !== contentId) {
+      return false;
+    }
+
+    const link = await prisma.contentPreviewLink.findUnique({
+      where: { id: payload.jti },
+      select: { contentId: true, expiresAt: true, revokedAt: true }
+    });
+
+    return Boolean(link) && link.contentId === contentId && !link.revokedAt && link.expiresAt > now;
+  }
+
+  /**
+   * Check the signature and expiry of a preview token
+   *
+   * @param {*} token - Preview token
+   * @returns {Object|null} - Token payload, or null if the token is invalid or expired
+   */
+  verifyToken(token) {
+    try {
+      return jwt.verify(String(token), previewTokenSecret);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Add the preview token to the uploaded images of a body, so they load for the previewer
+   *
+   * @param {string} html - Content body
+   * @param {string} token - Preview token
+   * @returns {string} - Body with preview=<token> on the /api/images/ URLs of src and srcset
+   */
+  addTokenToImages(html, token) {
+    const param = `preview=${encodeURIComponent(token)}`;
+
+    return (html || '').replace(
+      /(\s(?:src|srcset)=)(["'])(.*?)\2/g,
+      (attribute, name, quote, value) => name + quote + value.replace(
+        /(\/api\/images\/[^\s"'?#,]+)(\?w=\d+)?/g,
+        (url, imagePath, width) => `${imagePath}${width ? `${width}&` : '?'}${param}`
+      ) + quote
+    );
+  }
+
+  /**
+   * Add the token and shareable URL to a link
+   *
+   * @param {Object} link - Link row ({ id, contentId, expiresAt, ... })
+   * @returns {Object} - Link with token and url
+   */
+  withToken(link) {
+    const token = jwt.sign(
+      {
+        contentId: link.contentId,
+        exp: Math.floor(new Date(link.expiresAt).getTime() / 1000)
+      },
+      previewTokenSecret,
+      { jwtid: link.id, noTimestamp: true }
+    );
+
+    return {
+      ...link,
+      token,
+      url: `${frontendUrl}/preview/${token}`
+    };
+  }
+}
+
+module.exports = new ContentPreviewService();
@@ -0,0 +1,260 @@
+const prisma = require('../config/database');
+const AppError = require('../utils/appError');
+const contentService = require('./contentService');
+const TransitionService = require('./contentTransitionService');
+
+// Roles allowed to review content (never their own)
+const REVIEWER_ROLES = ['ADMIN', 'MENTOR'];
+
+const MAX_COMMENT_LENGTH = 2000;
+
+// Co-authors (EDITOR collaborators) count as authors when reviewing
+const coAuthorsSelect = {
+  where: { permission: 'EDITOR' },
+  select: { userId: true }
+};
+
+const reviewInclude = {
+  author: {
+    select: {
+      id: true,
+      name: true,
+      email: true
+    }
+  },
+  tags: {
+    select: {
+      id: true,
+      name: true,
+      slug: true
+    },
+    orderBy: { name: 'asc' }
+  }
+};
+
+/**
+ * Content Review Service
+ *
+ * Editorial review on top of the content status flow:
+ *
+ *   DRAFT / CHANGES_REQUESTED --submit--> IN_REVIEW
+ *   IN_REVIEW --approve--> PUBLISHED (or SCHEDULED when approved with publishAt)
+ *   IN_REVIEW --request changes--> CHANGES_REQUESTED
+ *
+ * Reviewers are ADMIN or MENTOR users other than the author and co-authors. Every step goes
+ * through ContentService.applyStatusChange, so it is logged as a transition
+ * (with the reviewer's comment) and snapshotted as a revision.
+ */
+class ContentReviewService {
+  /**
+   * Submit content for review
+   *
+   * @param {string} contentId - ID of the content
+   * @param {string} userId - ID of the author submitting it
+   * @param {string} [note] - Optional note for the reviewer
+   * @returns {Promise<Object>} - Updated content
+   */
+  async submitForReview(contentId, userId, note) {
+    const existingContent = await this.findContent(contentId);
+
+    if (!['DRAFT', 'CHANGES_REQUESTED'].includes(existingContent.status)) {
+      throw new AppError(
+        `Cannot submit ${existingContent.status} content for review`,
+        400,
+        'INVALID_STATUS_TRANSITION'
+      );
+    }
+
+    return await contentService.applyStatusChange(existingContent, 'IN_REVIEW', userId, {
+      comment: this.normalizeComment(note)
+    });
+  }
+
+  /**
+   * List content waiting for review, oldest submission first
+   *
+   * The reviewer's own and co-authored content is left out since they can't review it.
+   *
+   * @param {Object} options - Query options
+   * @param {string} options.reviewerId - ID of the reviewer
+   * @param {number} [options.page=1] - Page number (1-based)
+   * @param {number} [options.limit=20] - Items per page
+   * @returns {Promise<Object>} - Paginated content with metadata
+   */
+  async getReviewQueue({ reviewerId, page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+    const where = {
+      status: 'IN_REVIEW',
+      deletedAt: null,
+      authorId: { not: reviewerId },
+      NOT: { collaborators: { some: { userId: reviewerId, permission: 'EDITOR' } } }
+    };
+
+    const [items, total] = await Promise.all([
+      prisma.content.findMany({
+        where,
+        orderBy: { updatedAt: 'asc' },
+        skip,
+        take,
+        include: reviewInclude
+      }),
+      prisma.content.count({ where })
+    ]);
+
+    return {
+      items,
+      pagination: {
+        total,
+        totalPages: Math.ceil(total / take),
+        currentPage: page,
+        limit: take
+      }
+    };
+  }
+
+  /**
+   * Get content in review with its status history
+   *
+   * @param {string} contentId - ID of the content
+   * @param {Object} reviewer - Authenticated user ({ id, role })
+   * @returns {Promise<Object>} - Content with `transitions`
+   */
+  async getContentForReview(contentId, reviewer) {
+    const content = await this.findContent(contentId, { include: reviewInclude });
+    this.assertInReview(content);
+    this.assertCanReview(content, reviewer);
+
+    const transitions = await TransitionService.getTransitions(contentId);
+
+    return { ...content, transitions };
+  }
+
+  /**
+   * Approve content in review
+   *
+   * @param {string} contentId - ID of the content
+   * @param {Object} reviewer - Authenticated user ({ id, role })
+   * @param {Object} [options] - Approval options
+   * @param {string} [options.comment] - Optional comment for the author
+   * @param {string|Date} [options.publishAt] - Schedule instead of publishing now
+   * @returns {Promise<Object>} - Updated content
+   */
+  async approveContent(contentId, reviewer, { comment, publishAt } = {}) {
+    const existingContent = await this.findContent(contentId);
+    this.assertInReview(existingContent);
+    this.assertCanReview(existingContent, reviewer);
+
+    const options = { comment: this.normalizeComment(comment) };
+
+    if (publishAt) {
+      const schedule = contentService.validateSchedule({ publishAt });
+      return await contentService.applyStatusChange(existingContent, 'SCHEDULED', reviewer.id, {
+        ...options,
+        data: { publishAt: schedule.publishAt }
+      });
+    }
+
+    return await contentService.applyStatusChange(existingContent, 'PUBLISHED', reviewer.id, options);
+  }
+
+  /**
+   * Send content back to the author
+   *
+   * @param {string} contentId - ID of the content
+   * @param {Object} reviewer - Authenticated user ({ id, role })
+   * @param {string} comment - What needs to change (required)
+   * @returns {Promise<Object>} - Updated content
+   */
+  async requestChanges(contentId, reviewer, comment) {
+    const normalizedComment = this.normalizeComment(comment);
+    if (!normalizedComment) {
+      throw new AppError('A comment is required when requesting changes', 400, 'VALIDATION_ERROR');
+    }
+
+    const existingContent = await this.findContent(contentId);
+    this.assertInReview(existingContent);
+    this.assertCanReview(existingContent, reviewer);
+
+    return await contentService.applyStatusChange(existingContent, 'CHANGES_REQUESTED', reviewer.id, {
+      comment: normalizedComment
+    });
+  }
+
+  /**
+   * Check that a user may review the given content
+   *
+   * @param {Object} content - Content being reviewed
+   * @param {Object} reviewer - Authenticated user ({ id, role })
+   * @throws {AppError} - 403 if the user isn't a reviewer or is the author or a co-author
+   */
+  assertCanReview(content, reviewer) {
+    if (!REVIEWER_ROLES.includes(reviewer?.role)) {
+      throw new AppError('Only admins and mentors can review content', 403, 'REVIEWER_ROLE_REQUIRED');
+    }
+
+    const isCoAuthor = (content.collaborators || []).some(({ userId }) => userId === reviewer.id);
+    if (content.authorId === reviewer.id || isCoAuthor) {
+      throw new AppError('You cannot review your own content', 403, 'SELF_REVIEW_NOT_ALLOWED');
+    }
+  }
+
+  /**
+   * @param {Object} content - Content to check
+   * @throws {AppError} - 400 if the content isn't waiting for review
+   */
+  assertInReview(content) {
+    if (content.status !== 'IN_REVIEW') {
+      throw new AppError('Content is not waiting for review', 400, 'NOT_IN_REVIEW');
+    }
+  }
+
+  /**
+   * Trim a review comment and enforce its length
+   *
+   * @param {*} comment - Comment from the request
+   * @returns {string|null} - Trimmed comment, or null if empty
+   * @throws {AppError} - If the comment isn't a string or is too long
+   */
+  normalizeComment(comment) {
+    if (comment === undefined || comment === null) {
+      return null;
+    }
+
+    if (typeof comment !== 'string') {
+      throw new AppError('Comment must be a string', 400, 'VALIDATION_ERROR');
+    }
+
+    const trimmed = comment.trim();
+    if (trimmed.length > MAX_COMMENT_LENGTH) {
+      throw new AppError(`Comment must be ${MAX_COMMENT_LENGTH} characters or less`, 400, 'VALIDATION_ERROR');
+    }
+
+    return trimmed || null;
+  }
+
+  /**
+   * @param {string} contentId - ID of the content
+   * @param {Object} [query] - Extra Prisma query options
+   * @returns {Promise<Object>} - Content, including its co-authors' IDs as `collaborators`
+   * @throws {AppError} - 404 if the content doesn't exist or is in the trash
+   */
+  async findContent(contentId, query = {}) {
+    const content = await prisma.content.findUnique({
+      where: { id: contentId },
+      ...query,
+      include: {
+        ...query.include,
+        collaborators: coAuthorsSelect
+      }
+    });
+
+    if (!content || content.deletedAt) {
+      throw new AppError('Content not found', 404, 'CONTENT_NOT_FOUND');
+    }
+
+    return content;
+  }
+}
+
+module.exports = new ContentReviewService();
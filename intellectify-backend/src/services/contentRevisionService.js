@@ -0,0 +1,186 @@
+const { diffWords } = require('diff');
+const prisma = require('../config/database');
+const AppError = require('../utils/appError');
+const { stripHtml } = require('../utils/htmlHelper');
+
+/**
+ * Content Revision Service
+ *
+ * Keeps an append-only history of content snapshots so changes can be
+ * reviewed and undone. A revision is recorded after every create, update
+ * and status change, capturing the editable fields and who made the change.
+ *
+ * Restoring a revision is handled by ContentService.restoreRevision so it
+ * goes through the normal update path (slug and image bookkeeping).
+ */
+
+// Fields copied from the Content row into each snapshot
+const SNAPSHOT_FIELDS = [
+  'title',
+  'content',
+  'excerpt',
+  'category',
+  'subcategory',
+  'status',
+  'metaTitle',
+  'metaDescription',
+];
+
+// Fields compared when diffing two revisions
+const DIFF_FIELDS = SNAPSHOT_FIELDS.filter((field) => field !== 'status');
+
+const editorSelect = {
+  select: {
+    id: true,
+    name: true,
+    email: true,
+  },
+};
+
+class ContentRevisionService {
+  /**
+   * Record a snapshot of the given content
+   *
+   * @param {Object} content - Content row as returned by Prisma after the change
+   * @param {string} editorId - ID of the user who made the change
+   * @param {Object} [db] - Prisma client to write with (a transaction client inside $transaction)
+   * @returns {Promise<Object>} - Created revision
+   */
+  async recordRevision(content, editorId, db = prisma) {
+    const snapshot = {};
+    SNAPSHOT_FIELDS.forEach((field) => {
+      snapshot[field] = content[field];
+    });
+
+    return await db.contentRevision.create({
+      data: {
+        ...snapshot,
+        contentId: content.id,
+        editorId,
+      },
+    });
+  }
+
+  /**
+   * List revisions of a content item, newest first
+   *
+   * The body is left out of the listing; fetch a single revision for it.
+   *
+   * @param {Object} options - Query options
+   * @param {string} options.contentId - ID of the content
+   * @param {number} [options.page=1] - Page number (1-based)
+   * @param {number} [options.limit=20] - Items per page
+   * @returns {Promise<Object>} - Paginated revisions with metadata
+   */
+  async getRevisions({ contentId, page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+    const where = { contentId };
+
+    const [items, total] = await Promise.all([
+      prisma.contentRevision.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take,
+        select: {
+          id: true,
+          contentId: true,
+          title: true,
+          status: true,
+          category: true,
+          createdAt: true,
+          editor: editorSelect,
+        },
+      }),
+      prisma.contentRevision.count({ where }),
+    ]);
+
+    return {
+      items,
+      pagination: {
+        total,
+        totalPages: Math.ceil(total / take),
+        currentPage: page,
+        limit: take,
+      },
+    };
+  }
+
+  /**
+   * Get a single revision belonging to a content item
+   *
+   * @param {string} contentId - ID of the content
+   * @param {string} revisionId - ID of the revision
+   * @returns {Promise<Object>} - Full revision snapshot
+   * @throws {AppError} - If the revision doesn't exist for this content
+   */
+  async getRevisionById(contentId, revisionId) {
+    const revision = await prisma.contentRevision.findFirst({
+      where: { id: revisionId, contentId },
+      include: { editor: editorSelect },
+    });
+
+    if (!revision) {
+      throw new AppError('Revision not found', 404, 'REVISION_NOT_FOUND');
+    }
+
+    return revision;
+  }
+
+  /**
+   * Word-level diff between two revisions of the same content
+   *
+   * The body is compared as plain text so markup changes don't drown out
+   * the wording changes editors care about. Only fields that differ are
+   * included in `changes`.
+   *
+   * @param {string} contentId - ID of the content
+   * @param {string} fromId - ID of the older revision
+   * @param {string} toId - ID of the newer revision
+   * @returns {Promise<Object>} - { from, to, changes: { [field]: parts[] } }
+   */
+  async diffRevisions(contentId, fromId, toId) {
+    const [from, to] = await Promise.all([
+      this.getRevisionById(contentId, fromId),
+      this.getRevisionById(contentId, toId),
+    ]);
+
+    return {
+      from: { id: from.id, createdAt: from.createdAt, editor: from.editor },
+      to: { id: to.id, createdAt: to.createdAt, editor: to.editor },
+      changes: this.compareSnapshots(from, to),
+    };
+  }
+
+  /**
+   * Compare two snapshots field by field
+   *
+   * @param {Object} from - Older snapshot
+   * @param {Object} to - Newer snapshot
+   * @returns {Object} - Map of changed field name to diff parts
+   */
+  compareSnapshots(from, to) {
+    const changes = {};
+
+    DIFF_FIELDS.forEach((field) => {
+      const toText = (snapshot) =>
+        field === 'content' ? stripHtml(snapshot[field]) : snapshot[field] || '';
+
+      const before = toText(from);
+      const after = toText(to);
+      if (before === after) {
+        return;
+      }
+
+      changes[field] = diffWords(before, after).map((part) => ({
+        type: part.added ? 'added' : part.removed ? 'removed' : 'unchanged',
+        value: part.value,
+      }));
+    });
+
+    return changes;
+  }
+}
+
+module.exports = new ContentRevisionService();
@@ -0,0 +1,130 @@
+const prisma = require('../config/database');
+const { stripHtml } = require('../utils/htmlHelper');
+
+/**
+ * Content Search Module
+ *
+ * Full-text search over published content using PostgreSQL's built-in
+ * text search. Each content row carries a `searchVector` column built from:
+ * - title (weight A, ranks highest)
+ * - excerpt (weight B)
+ * - HTML-stripped body (weight C)
+ *
+ * Prisma can't write tsvector columns, so the vector is maintained with raw
+ * SQL. ContentService calls indexContent after every create and update;
+ * deleting a row removes its vector along with it.
+ */
+
+// ts_headline options: wrap matches in <mark> and return up to two short fragments
+const TITLE_HEADLINE_OPTIONS = 'HighlightAll=true, StartSel=<mark>, StopSel=</mark>';
+const BODY_HEADLINE_OPTIONS =
+  'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=35, MinWords=15, FragmentDelimiter=" ... "';
+
+class ContentSearchService {
+  /**
+   * Rebuild the search vector of a content item
+   *
+   * @param {Object} content - Content with id, title, excerpt and content (HTML body)
+   */
+  static async indexContent(content) {
+    try {
+      const bodyText = stripHtml(content.content);
+
+      await prisma.$executeRaw`
+        UPDATE "content" SET "searchVector" =
+          setweight(to_tsvector('english', ${content.title || ''}), 'A') ||
+          setweight(to_tsvector('english', ${content.excerpt || ''}), 'B') ||
+          setweight(to_tsvector('english', ${bodyText}), 'C')
+        WHERE "id" = ${content.id}
+      `;
+    } catch (error) {
+      console.error(`Error indexing content ${content.id} for search:`, error);
+      // Don't fail content operation if indexing fails
+    }
+  }
+
+  /**
+   * Search published content
+   *
+   * Accepts web-search style queries: plain words, "quoted phrases",
+   * `or` and `-excluded` terms. Results are ranked by relevance, then by
+   * publish date.
+   *
+   * @param {Object} options - Search options
+   * @param {string} options.query - Search text
+   * @param {string} [options.category] - Filter by category
+   * @param {number} [options.page=1] - Page number (1-based)
+   * @param {number} [options.limit=10] - Items per page
+   * @returns {Promise<Object>} - Paginated results with highlighted snippets
+   */
+  static async search({ query, category = null, page = 1, limit = 10 } = {}) {
+    const take = parseInt(limit);
+    const skip = (page - 1) * take;
+    const categoryFilter = category || null;
+
+    const [rows, countResult] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT
+          c."id", c."title", c."slug", c."excerpt", c."category", c."subcategory",
+          c."priority", c."publishedAt", c."createdAt", c."updatedAt",
+          u."id" AS "authorId", u."name" AS "authorName", u."email" AS "authorEmail",
+          ts_rank_cd(c."searchVector", q.query) AS "rank",
+          ts_headline('english', c."title", q.query, ${TITLE_HEADLINE_OPTIONS}) AS "titleHighlight",
+          ts_headline(
+            'english',
+            regexp_replace(c."content", '<[^>]*>', ' ', 'g'),
+            q.query,
+            ${BODY_HEADLINE_OPTIONS}
+          ) AS "snippet"
+        FROM "content" c
+        JOIN "users" u ON u."id" = c."authorId",
+          websearch_to_tsquery('english', ${query}) AS q(query)
+        WHERE c."status" = 'PUBLISHED'
+          AND c."deletedAt" IS NULL
+          AND c."searchVector" @@ q.query
+          AND (${categoryFilter}::text IS NULL OR c."category"::text = ${categoryFilter})
+        ORDER BY "rank" DESC, c."publishedAt" DESC NULLS LAST, c."id"
+        LIMIT ${take} OFFSET ${skip}
+      `,
+      prisma.$queryRaw`
+        SELECT COUNT(*)::int AS "total"
+        FROM "content" c, websearch_to_tsquery('english', ${query}) AS q(query)
+        WHERE c."status" = 'PUBLISHED'
+          AND c."deletedAt" IS NULL
+          AND c."searchVector" @@ q.query
+          AND (${categoryFilter}::text IS NULL OR c."category"::text = ${categoryFilter})
+      `
+    ]);
+
+    const total = countResult[0]?.total || 0;
+    const totalPages = Math.ceil(total / take);
+
+    const items = rows.map(({ authorId, authorName, authorEmail, rank, titleHighlight, snippet, ...item }) => ({
+      ...item,
+      author: {
+        id: authorId,
+        name: authorName,
+        email: authorEmail
+      },
+      rank: Number(rank),
+      highlights: {
+        title: titleHighlight,
+        content: snippet
+      }
+    }));
+
+    return {
+      items,
+      pagination: {
+        total,
+        totalPages,
+        currentPage: page,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
+        limit: take
+      }
+    };
+  }
+}
+
+module.exports = ContentSearchService;
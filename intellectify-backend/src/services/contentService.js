@@ -3,6 +3,92 @@ const AppError = require('../utils/appError');
 const ValidationHelper = require('../utils/validationHelper');
 const SlugGenerator = require('./slugGenerator');
 const ImageManager = require('./contentImageService');
+const RevisionService = require('./contentRevisionService');
+const ContentSearchService = require('./contentSearchService');
+const TagService = require('./tagService');
+const SitemapService = require('./sitemapService');
+const TransitionService = require('./contentTransitionService');
+const CollaboratorService = require('./contentCollaboratorService');
+const AutosaveService = require('./contentAutosaveService');
+const CategoryService = require('./categoryService');
+const workflowConfig = require('../config/workflow');
+const { getCursorQuery, getCursorPage, getOrderBy } = require('../utils/cursorHelper');
+
+// Tag fields returned with content
+const tagSelect = {
+  select: {
+    id: true,
+    name: true,
+    slug: true
+  },
+  orderBy: { name: 'asc' }
+};
+
+// EDITOR collaborators shown publicly as co-authors
+const coAuthorsInclude = {
+  where: { permission: 'EDITOR' },
+  orderBy: { createdAt: 'asc' },
+  select: {
+    user: {
+      select: {
+        id: true,
+        name: true
+      }
+    }
+  }
+};
+
+/**
+ * Replace the included collaborators of public content with a `coAuthors` list
+ *
+ * @param {Object} content - Content loaded with coAuthorsInclude
+ * @returns {Object} - Content with coAuthors: [{ id, name }]
+ */
+const withCoAuthors = ({ collaborators = [], ...content }) => ({
+  ...content,
+  coAuthors: collaborators.map(({ user }) => user)
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sort keys of the content listings (priority, then newest first) for cursor
+// pagination, with id added so rows with equal keys keep a fixed order
+const CONTENT_CURSOR_KEYS = [
+  { field: 'priority' },
+  { field: 'publishedAt', type: 'date', nullable: true },
+  { field: 'createdAt', type: 'date' },
+  { field: 'id' }
+];
+
+// Sort modes of the public listing, as sort keys (see utils/cursorHelper)
+const PUBLIC_SORT_KEYS = {
+  priority: CONTENT_CURSOR_KEYS,
+  newest: CONTENT_CURSOR_KEYS.slice(1),
+  oldest: [
+    { field: 'publishedAt', type: 'date', nullable: true, order: 'asc' },
+    { field: 'createdAt', type: 'date', order: 'asc' },
+    { field: 'id', order: 'asc' }
+  ],
+  title: [
+    { field: 'title', order: 'asc' },
+    { field: 'id', order: 'asc' }
+  ]
+};
+
+// Status changes allowed from each status (setting the same status is always allowed).
+// SCHEDULED is only entered through scheduleContent, and archived content
+// has to go back to DRAFT before it can be published again.
+// IN_REVIEW is entered through ContentReviewService.submitForReview and only a
+// reviewer can move it on to PUBLISHED or CHANGES_REQUESTED; the author can
+// only withdraw (DRAFT) or archive it.
+const STATUS_TRANSITIONS = {
+  DRAFT: ['PUBLISHED', 'ARCHIVED'],
+  IN_REVIEW: ['DRAFT', 'ARCHIVED'],
+  CHANGES_REQUESTED: ['DRAFT', 'ARCHIVED'],
+  SCHEDULED: ['DRAFT', 'PUBLISHED', 'ARCHIVED'],
+  PUBLISHED: ['DRAFT', 'ARCHIVED'],
+  ARCHIVED: ['DRAFT']
+};
 
 /**
  * Content Service - Main Content Management Service
@@ -12,7 +98,9 @@ const ImageManager = require('./contentImageService');
  * - Content validation
  * - Image management and cleanup
  * - Content retrieval with filtering and pagination
- * - Status management (draft/published)
+ * - Full-text search index maintenance
+ * - Status management (draft/scheduled/published/archived)
+ * - Revision history (snapshot on every change, restore old versions)
  */
 class ContentService {
   /**
@@ -24,7 +112,7 @@ class ContentService {
    * @throws {AppError} - If validation fails
    */
   validateContent(data, isUpdate = false) {
-    const { title, content, category, priority, status, tags } = data;
+    const { title, content, category, subcategory, priority, status, tags, slug } = data;
 
     // Required field validation for creation
     if (!isUpdate && (!title || !content)) {
@@ -59,7 +147,15 @@ class ContentService {
       throw new AppError('Invalid status. Must be DRAFT, PUBLISHED, or ARCHIVED', 400, 'VALIDATION_ERROR');
     }
 
+    // Custom slug format is checked by SlugGenerator.validateCustomSlug
+    if (slug !== undefined && slug !== null && typeof slug !== 'string') {
+      throw new AppError('Slug must be a string', 400, 'VALIDATION_ERROR');
+    }
+
     // Tags validation
+    if (tags !== undefined && !Array.isArray(tags)) {
+      throw new AppError('Tags must be an array of strings', 400, 'VALIDATION_ERROR');
+    }
     if (tags && Array.isArray(tags)) {
       if (tags.length > 10) {
         throw new AppError('Maximum 10 tags allowed', 400, 'VALIDATION_ERROR');
@@ -78,9 +174,14 @@ class ContentService {
       title: title?.trim(),
       content: content?.trim(),
       category: category?.trim(),
+      subcategory: subcategory?.trim(),
       priority: priority || 0,
-      status: status || 'DRAFT',
-      tags: tags || []
+      // Only default the status on create, otherwise every save would reset it to DRAFT
+      status: isUpdate ? status : status || 'DRAFT',
+      // Leave tags untouched on update unless they were sent
+      tags: isUpdate ? tags : tags || [],
+      // Empty slug means "generate one from the title"
+      slug: slug?.trim() || undefined
     };
   }
 
@@ -89,14 +190,19 @@ class ContentService {
    * 
    * Process:
    * 1. Extract content data from input
-   * 2. Generate unique URL-friendly slug from title
-   * 3. Create content record in database
-   * 4. Move temporary images to permanent location
-   * 5. Return created content with author information
+   * 2. Check the initial status as a change from DRAFT (so the review workflow applies)
+   * 3. Validate the custom slug, or generate a unique URL-friendly slug from the title
+   * 4. Create content record in database
+   * 5. Move temporary images to permanent location
+   * 6. Index content for full-text search
+   * 7. Record the initial revision, and the status change if it isn't created as a draft
+   * 8. Return created content with author information
    * 
    * @param {string} authorId - ID of the content author
    * @param {Object} contentData - Content data including title, content, category, etc.
    * @returns {Promise<Object>} - Created content with author information
+   * @throws {AppError} - 400 REVIEW_REQUIRED if it would be published without review
+   * @throws {AppError} - 422 if the category or subcategory is invalid
    */
   async createContent(authorId, contentData) {
     const { 
@@ -108,26 +214,37 @@ class ContentService {
       priority = 0, 
       metaTitle, 
       metaDescription,
-      status
+      status,
+      tags = [],
+      slug: customSlug
     } = contentData;
 
-    // Generate unique slug using SlugGenerator module
-    const baseSlug = SlugGenerator.generateSlug(title);
-    const slug = await SlugGenerator.ensureUniqueSlug(baseSlug);
+    // New content starts out as a draft, so publishing it right away needs the same review
+    this.assertStatusTransition('DRAFT', status || 'DRAFT');
+
+    // Use the admin's slug if given, otherwise generate a unique one from the title
+    const slug = customSlug
+      ? await SlugGenerator.validateCustomSlug(customSlug)
+      : await SlugGenerator.ensureUniqueSlug(SlugGenerator.generateSlug(title));
+
+    const categoryFields = await CategoryService.resolveContentCategory({ category, subcategory });
+
+    // Find or create tags by normalised slug
+    const tagIds = await TagService.resolveTags(tags);
 
     const newContent = await prisma.content.create({
       data: {
         title,
         content,
         excerpt,
-        category,
-        subcategory,
+        ...categoryFields,
         priority,
         slug,
         metaTitle,
         metaDescription,
         authorId,
         status,
+        ...(tagIds.length > 0 && { tags: { connect: tagIds } }),
         // Set publishedAt if status is PUBLISHED
         ...(status === 'PUBLISHED' && { publishedAt: new Date() })
       },
@@ -138,12 +255,23 @@ class ContentService {
             name: true,
             email: true
           }
-        }
+        },
+        tags: tagSelect
       }
     });
 
     // Move any temporary images to permanent location using ImageManager
-    await ImageManager.moveTemporaryImages(newContent.content, category, newContent.id);
+    await ImageManager.moveTemporaryImages(newContent.content, newContent.category, newContent.id);
+
+    await ContentSearchService.indexContent(newContent);
+
+    await RevisionService.recordRevision(newContent, authorId);
+    await this.recordTransition({ id: newContent.id, status: 'DRAFT' }, newContent, authorId);
+
+    // The new article is saved, so the author's working copy of it is done with
+    await AutosaveService.clearAutosave(authorId);
+
+    this.refreshSitemap(newContent);
 
     return newContent;
   }
@@ -152,17 +280,25 @@ class ContentService {
    * Update existing content with image management and slug regeneration
    * 
    * Process:
-   * 1. Retrieve existing content to compare changes
-   * 2. Handle image updates (move temp images, update paths, cleanup unused)
-   * 3. Generate new slug if title changed
+   * 1. Retrieve existing content to compare changes (and check the version the editor saw)
+   * 2. Use the custom slug, or generate a new slug if title changed (old slug is kept as a redirect)
+   * 3. Handle image updates (move temp images, update paths, cleanup unused)
    * 4. Set publishedAt timestamp when publishing for first time
    * 5. Update content record with new data
+   * 6. Refresh the full-text search index
+   * 7. Record a revision of the updated content
+   * 8. Clear the editor's autosaved working copy
    * 
    * @param {string} contentId - ID of content to update
    * @param {Object} contentData - Updated content data
+   * @param {string} editorId - ID of the user making the change
+   * @param {Object} [options] - Update options
+   * @param {number} [options.expectedVersion] - Version the editor started from; omit to skip the check
    * @returns {Promise<Object>} - Updated content with author information
+   * @throws {AppError} - 409 VERSION_CONFLICT if someone saved the content in the meantime
+   * @throws {AppError} - 422 if the category or subcategory is invalid
    */
-  async updateContent(contentId, contentData) {
+  async updateContent(contentId, contentData, editorId, { expectedVersion } = {}) {
     // First, get the existing content to compare changes
     const existingContent = await prisma.content.findUnique({
       where: { id: contentId },
@@ -171,10 +307,12 @@ class ContentService {
         title: true,
         content: true,
         category: true,
+        subcategory: true,
         authorId: true,
         slug: true,
         status: true,
-        publishedAt: true
+        publishedAt: true,
+        version: true
       }
     });
 
@@ -182,9 +320,29 @@ class ContentService {
       throw new AppError('Content not found', 404, 'CONTENT_NOT_FOUND');
     }
 
-    const { title, excerpt, category, subcategory, priority, status, metaTitle, metaDescription } = contentData;
+    // Fail before touching images or slugs if the editor's copy is stale
+    this.assertVersion(existingContent, expectedVersion);
+
+    const { title, excerpt, category, subcategory, priority, status, metaTitle, metaDescription, tags, slug: customSlug } = contentData;
     let { content } = contentData;
 
+    if (status) {
+      this.assertStatusTransition(existingContent.status, status);
+    }
+
+    const categoryFields = await CategoryService.resolveContentCategory({ category, subcategory }, existingContent);
+
+    // A custom slug wins; otherwise generate a new slug if the title changed
+    let { slug } = existingContent;
+    if (customSlug) {
+      if (customSlug !== existingContent.slug) {
+        slug = await SlugGenerator.validateCustomSlug(customSlug, contentId);
+      }
+    } else if (title && title !== existingContent.title) {
+      const baseSlug = SlugGenerator.generateSlug(title);
+      slug = await SlugGenerator.ensureUniqueSlug(baseSlug, contentId);
+    }
+
     // Handle image updates using ImageManager
     if (content !== undefined) {
       // Move any new temporary images and update content with new paths
@@ -198,33 +356,25 @@ class ContentService {
       await ImageManager.cleanupUnusedImages(existingContent.content, content, contentId);
     }
 
-    // Generate new slug if title changed using SlugGenerator
-    let { slug } = existingContent;
-    if (title && title !== existingContent.title) {
-      const baseSlug = SlugGenerator.generateSlug(title);
-      slug = await SlugGenerator.ensureUniqueSlug(baseSlug, contentId);
-    }
-
     // Set publishedAt when publishing for the first time
-    let { publishedAt } = existingContent;
-    if (status === 'PUBLISHED' && existingContent.status === 'DRAFT' && !publishedAt) {
-      publishedAt = new Date();
-    }
+    const publishedAt = status ? this.resolvePublishedAt(existingContent, status) : existingContent.publishedAt;
 
-    return await prisma.content.update({
-      where: { id: contentId },
+    // Replace tags only when a new list was sent
+    const tagIds = tags !== undefined ? await TagService.resolveTags(tags) : undefined;
+
+    const updatedContent = await this.writeContent(contentId, expectedVersion, {
       data: {
         // Only update fields that are provided (using conditional spread)
         ...(title && { title }),
         ...(content !== undefined && { content }),
         ...(excerpt !== undefined && { excerpt }),
-        ...(category !== undefined && { category }),
-        ...(subcategory !== undefined && { subcategory }),
+        ...categoryFields,
         ...(priority !== undefined && { priority: parseInt(priority) || 0 }),
-        ...(status && { status }),
+        ...(status && { status, ...this.getScheduleReset(status) }),
         ...(metaTitle !== undefined && { metaTitle }),
         ...(metaDescription !== undefined && { metaDescription }),
         slug,
+        ...(tagIds && { tags: { set: tagIds } }),
         ...(publishedAt && { publishedAt })
       },
       include: {
@@ -234,19 +384,61 @@ class ContentService {
             name: true,
             email: true
           }
-        }
+        },
+        tags: tagSelect
       }
     });
+
+    // Keep the old slug as a redirect to the new one
+    await SlugGenerator.recordSlugChange(contentId, existingContent.slug, slug);
+
+    await ContentSearchService.indexContent(updatedContent);
+
+    await RevisionService.recordRevision(updatedContent, editorId || existingContent.authorId);
+
+    await this.recordTransition(existingContent, updatedContent, editorId || existingContent.authorId);
+
+    if (editorId) {
+      await AutosaveService.clearAutosave(editorId, contentId);
+    }
+
+    this.refreshSitemap(existingContent, updatedContent);
+
+    return updatedContent;
   }
 
   /**
-   * Delete content and clean up associated images
-   * 
-   * Process:
-   * 1. Verify content exists
-   * 2. Clean up all associated images using ImageManager
-   * 3. Delete content record from database
-   * 
+   * Restore an old revision as the current version
+   *
+   * The snapshot is applied through updateContent, so images go through the
+   * same bookkeeping as a normal save and the restore itself is recorded as
+   * a new revision. Publication status is left unchanged.
+   *
+   * @param {string} contentId - ID of the content
+   * @param {string} revisionId - ID of the revision to restore
+   * @param {string} editorId - ID of the user restoring the revision
+   * @returns {Promise<Object>} - Updated content with author information
+   */
+  async restoreRevision(contentId, revisionId, editorId) {
+    const revision = await RevisionService.getRevisionById(contentId, revisionId);
+
+    return await this.updateContent(contentId, {
+      title: revision.title,
+      content: revision.content,
+      excerpt: revision.excerpt,
+      category: revision.category,
+      subcategory: revision.subcategory,
+      metaTitle: revision.metaTitle,
+      metaDescription: revision.metaDescription
+    }, editorId);
+  }
+
+  /**
+   * Move content to the trash
+   *
+   * Trashed content is hidden everywhere (public pages, feeds, sitemap, search,
+   * admin lists) but keeps its row and images until it is restored or purged.
+   *
    * @param {string} contentId - ID of content to delete
    * @returns {Promise<boolean>} - Success status
    */
@@ -255,18 +447,176 @@ class ContentService {
       where: { id: contentId }
     });
 
-    if (!existingContent) {
+    if (!existingContent || existingContent.deletedAt) {
       throw new AppError('Content not found', 404, 'CONTENT_NOT_FOUND');
     }
 
-    // Clean up associated images before deleting content using ImageManager
-    await ImageManager.cleanupContentImages(contentId, existingContent.category);
+    await this.writeContent(contentId, undefined, {
+      data: { deletedAt: new Date() }
+    });
+
+    this.refreshSitemap(existingContent);
+
+    return true;
+  }
+
+  /**
+   * List an author's trashed content, most recently deleted first
+   *
+   * @param {Object} options - Query options
+   * @param {string} options.authorId - ID of the author
+   * @param {number} [options.page=1] - Page number (1-based)
+   * @param {number} [options.limit=10] - Items per page
+   * @returns {Promise<Object>} - Paginated items (with `purgeAt`) and metadata
+   */
+  async getTrash({ authorId, page = 1, limit = 10 } = {}) {
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+    const where = { authorId, deletedAt: { not: null } };
+
+    const [items, total] = await Promise.all([
+      prisma.content.findMany({
+        where,
+        orderBy: { deletedAt: 'desc' },
+        skip,
+        take,
+        select: {
+          id: true,
+          title: true,
+          slug: true,
+          status: true,
+          category: true,
+          deletedAt: true,
+          updatedAt: true
+        }
+      }),
+      prisma.content.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(total / take);
+
+    return {
+      items: items.map((item) => ({ ...item, purgeAt: this.getPurgeDate(item.deletedAt) })),
+      pagination: {
+        total,
+        totalPages,
+        currentPage: page,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
+        limit: take
+      }
+    };
+  }
 
-    await prisma.content.delete({
+  /**
+   * Take content out of the trash, back to the status it had when deleted
+   *
+   * @param {string} contentId - ID of trashed content
+   * @returns {Promise<Object>} - Restored content
+   * @throws {AppError} - 404 if the content isn't in the trash
+   */
+  async restoreContent(contentId) {
+    const existingContent = await prisma.content.findUnique({
       where: { id: contentId }
     });
 
-    return true;
+    if (!existingContent || !existingContent.deletedAt) {
+      throw new AppError('Content not found in trash', 404, 'CONTENT_NOT_FOUND');
+    }
+
+    const restoredContent = await this.writeContent(contentId, undefined, {
+      data: { deletedAt: null },
+      include: {
+        author: {
+          select: {
+            id: true,
+            name: true,
+            email: true
+          }
+        },
+        tags: tagSelect
+      }
+    });
+
+    this.refreshSitemap(restoredContent);
+
+    return restoredContent;
+  }
+
+  /**
+   * Permanently delete everything in an author's trash
+   *
+   * @param {string} authorId - ID of the author
+   * @returns {Promise<Object>} - { purged: [ids], errors: [{ id, error }] }
+   */
+  async emptyTrash(authorId) {
+    const items = await prisma.content.findMany({
+      where: { authorId, deletedAt: { not: null } },
+      select: { id: true, content: true, revisions: { select: { content: true } } }
+    });
+
+    return await this.purgeContent(items);
+  }
+
+  /**
+   * Purge content that has been in the trash longer than the retention period
+   *
+   * Run by the scheduler job.
+   *
+   * @param {Date} [now=new Date()] - Current time (injectable for tests)
+   * @returns {Promise<Object>} - { purged: [ids], errors: [{ id, error }] }
+   */
+  async purgeExpiredTrash(now = new Date()) {
+    const cutoff = new Date(now.getTime() - workflowConfig.trashRetentionDays * DAY_MS);
+
+    const items = await prisma.content.findMany({
+      where: { deletedAt: { lte: cutoff } },
+      select: { id: true, content: true, revisions: { select: { content: true } } }
+    });
+
+    return await this.purgeContent(items);
+  }
+
+  /**
+   * Delete trashed content rows, then their images
+   *
+   * The row goes first so a failed delete never leaves an article without
+   * its images. Its search vector, revisions, transitions, slug history,
+   * collaborators and autosaves are deleted with it.
+   *
+   * @param {Object[]} items - Content to purge ({ id, content, revisions: [{ content }] })
+   * @returns {Promise<Object>} - { purged: [ids], errors: [{ id, error }] }
+   */
+  async purgeContent(items) {
+    const results = { purged: [], errors: [] };
+
+    for (const item of items) {
+      try {
+        await prisma.content.delete({
+          where: { id: item.id }
+        });
+
+        // Images a revision still shows were kept when they left the body
+        const contents = [item.content, ...(item.revisions || []).map((revision) => revision.content)];
+        await ImageManager.cleanupContentImages(item.id, contents);
+        results.purged.push(item.id);
+      } catch (error) {
+        console.error(`Failed to purge content ${item.id}:`, error);
+        results.errors.push({ id: item.id, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * When trashed content will be purged
+   *
+   * @param {Date} deletedAt - When the content was trashed
+   * @returns {Date} - Purge date
+   */
+  getPurgeDate(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + workflowConfig.trashRetentionDays * DAY_MS);
   }
 
   /**
@@ -286,7 +636,8 @@ class ContentService {
                 name: true,
                 email: true
               }
-            }
+            },
+            tags: tagSelect
           }
         });
   }
@@ -297,22 +648,45 @@ class ContentService {
    * @param {string} options.authorId - ID of the author
    * @param {number} [options.page=1] - Page number (1-based)
    * @param {number} [options.limit=10] - Items per page
-   * @param {string} [options.status] - Filter by status ('DRAFT' or 'PUBLISHED')
+   * @param {string} [options.status] - Filter by status (archived content is only listed when asked for)
    * @param {string} [options.category] - Filter by category
+   * @param {boolean} [options.shared=false] - List content the user collaborates on instead of their own
+   * @param {string} [options.cursor] - Use cursor pagination from this cursor ('' for the first page) instead of pages
    * @returns {Promise<Object>} - Paginated content results with metadata
+   *   (with a cursor: `pagination` is { nextCursor, prevCursor, limit })
+   * @throws {AppError} - 400 INVALID_CURSOR if the cursor is invalid
    */
-  async getContentByAuthor({ authorId, page = 1, limit = 10, status, category } = {}) {
+  async getContentByAuthor({ authorId, page = 1, limit = 10, status, category, shared = false, cursor } = {}) {
     const skip = (page - 1) * limit;
     const take = parseInt(limit);
     
-    const where = { authorId };
+    const where = shared
+      ? { collaborators: { some: { userId: authorId } }, deletedAt: null }
+      : { authorId, deletedAt: null };
     if (status) {
       where.status = status;
+    } else {
+      where.status = { not: 'ARCHIVED' };
     }
     if (category) {
       where.category = category;
     }
 
+    const include = {
+      author: {
+        select: {
+          id: true,
+          name: true,
+          email: true
+        }
+      },
+      tags: tagSelect
+    };
+
+    if (cursor !== undefined) {
+      return await this.findCursorPage({ where, keys: CONTENT_CURSOR_KEYS, cursor, limit: take, include });
+    }
+
     const [items, total] = await Promise.all([
       prisma.content.findMany({
         where,
@@ -323,15 +697,7 @@ class ContentService {
         ],
         skip,
         take,
-        include: {
-          author: {
-            select: {
-              id: true,
-              name: true,
-              email: true
-            }
-          }
-        }
+        include
       }),
       prisma.content.count({ where })
     ]);
@@ -352,13 +718,44 @@ class ContentService {
   }
 
   /**
-   * Update content status (publish/unpublish)
+   * Read one page of a content listing with cursor pagination
+   *
+   * There is no total count: counting is what makes deep offset pages slow.
+   *
+   * @param {Object} options - Query options
+   * @param {Object} options.where - Filters of the listing
+   * @param {Object[]} options.keys - Sort keys (see utils/cursorHelper)
+   * @param {string} options.cursor - Cursor from the request ('' for the first page)
+   * @param {number} options.limit - Items per page
+   * @param {Object} options.include - Relations to include
+   * @returns {Promise<Object>} - { items, pagination: { nextCursor, prevCursor, limit } }
+   * @throws {AppError} - 400 INVALID_CURSOR if the cursor is invalid
+   */
+  async findCursorPage({ where, keys, cursor, limit, include }) {
+    const rows = await prisma.content.findMany({
+      ...getCursorQuery(where, keys, cursor, limit),
+      include
+    });
+
+    const { items, nextCursor, prevCursor } = getCursorPage(rows, keys, cursor, limit);
+
+    return {
+      items,
+      pagination: { nextCursor, prevCursor, limit }
+    };
+  }
+
+  /**
+   * Update content status (publish/unpublish/archive/unarchive)
    * @param {string} contentId - ID of content to update
-   * @param {string} status - New status ('DRAFT' or 'PUBLISHED')
-   * @param {string} authorId - ID of the author (for ownership validation)
+   * @param {string} status - New status ('DRAFT', 'PUBLISHED' or 'ARCHIVED')
+   * @param {string} editorId - ID of the user making the change
+   * @param {Object} [options] - Update options
+   * @param {number} [options.expectedVersion] - Version the editor started from; omit to skip the check
    * @returns {Promise<Object>} - Updated content
+   * @throws {AppError} - 409 VERSION_CONFLICT if someone saved the content in the meantime
    */
-  async updateContentStatus(contentId, status) {
+  async updateContentStatus(contentId, status, editorId, { expectedVersion } = {}) {
     const existingContent = await prisma.content.findUnique({
       where: { id: contentId }
     });
@@ -367,17 +764,38 @@ class ContentService {
       throw new AppError('Content not found', 404, 'CONTENT_NOT_FOUND');
     }
 
+    this.assertVersion(existingContent, expectedVersion);
+    this.assertStatusTransition(existingContent.status, status);
+
+    return await this.applyStatusChange(existingContent, status, editorId, { expectedVersion });
+  }
+
+  /**
+   * Write a status change that has already been checked
+   *
+   * Shared by updateContentStatus and the review actions. Handles publishedAt,
+   * schedule reset, the revision snapshot, the transition log and the sitemap.
+   *
+   * @param {Object} existingContent - Content before the change
+   * @param {string} status - New status
+   * @param {string|null} userId - Who made the change (null for the scheduler)
+   * @param {Object} [options] - Extra options
+   * @param {string} [options.comment] - Comment stored with the transition
+   * @param {Object} [options.data] - Extra fields to update (e.g. publishAt)
+   * @param {number} [options.expectedVersion] - Only write if the content is still at this version
+   * @param {Object} [options.db] - Prisma client to write with (a transaction client inside $transaction)
+   * @returns {Promise<Object>} - Updated content
+   */
+  async applyStatusChange(existingContent, status, userId, { comment = null, data = {}, expectedVersion, db = prisma } = {}) {
     // Set publishedAt when publishing for the first time
-    let {publishedAt} = existingContent;
-    if (status === 'PUBLISHED' && existingContent.status === 'DRAFT' && !publishedAt) {
-      publishedAt = new Date();
-    }
+    const publishedAt = this.resolvePublishedAt(existingContent, status);
 
-    return await prisma.content.update({
-          where: { id: contentId },
+    const updatedContent = await this.writeContent(existingContent.id, expectedVersion, {
           data: {
             status,
-            ...(publishedAt && { publishedAt })
+            ...this.getScheduleReset(status),
+            ...(publishedAt && { publishedAt }),
+            ...data
           },
           include: {
             author: {
@@ -386,47 +804,447 @@ class ContentService {
                 name: true,
                 email: true
               }
-            }
+            },
+            tags: tagSelect
           }
-        });
+        }, db);
+
+    await RevisionService.recordRevision(updatedContent, userId || existingContent.authorId, db);
+
+    await this.recordTransition(existingContent, updatedContent, userId, comment, db);
+
+    this.refreshSitemap(existingContent, updatedContent);
+
+    return updatedContent;
+  }
+
+  /**
+   * Log a status change, if there was one
+   *
+   * @param {Object} before - Content before the change
+   * @param {Object} after - Content after the change
+   * @param {string|null} userId - Who made the change (null for the scheduler)
+   * @param {string} [comment] - Optional comment
+   * @param {Object} [db] - Prisma client to write with
+   */
+  async recordTransition(before, after, userId, comment = null, db = prisma) {
+    if (before.status === after.status) {
+      return;
+    }
+
+    await TransitionService.recordTransition({
+      contentId: before.id,
+      fromStatus: before.status,
+      toStatus: after.status,
+      userId,
+      comment
+    }, db);
+  }
+
+  /**
+   * Clear the cached sitemap when a change is visible on the public site
+   *
+   * That is any change to content that is (or was) published: publishing,
+   * unpublishing, archiving, or a new slug or lastmod on a live article.
+   *
+   * @param {Object} before - Content before the change
+   * @param {Object} [after] - Content after the change (omit for deletions)
+   */
+  refreshSitemap(before, after) {
+    if (before.status === 'PUBLISHED' || after?.status === 'PUBLISHED') {
+      SitemapService.clearCache();
+    }
+  }
+
+  /**
+   * Check that content is still at the version an editor started from
+   *
+   * @param {Object} existingContent - Content as stored (with version)
+   * @param {number} [expectedVersion] - Version the editor saw; undefined skips the check
+   * @throws {AppError} - 409 VERSION_CONFLICT if the content has been saved since
+   */
+  assertVersion(existingContent, expectedVersion) {
+    if (expectedVersion !== undefined && existingContent.version !== expectedVersion) {
+      throw new AppError('Content was changed by someone else', 409, 'VERSION_CONFLICT');
+    }
+  }
+
+  /**
+   * Update a content row and bump its version
+   *
+   * With an expected version the update only matches while the row is still
+   * at that version, so two saves racing past assertVersion can't both win.
+   *
+   * @param {string} contentId - ID of content to update
+   * @param {number|undefined} expectedVersion - Version the write is based on
+   * @param {Object} query - Prisma update arguments without `where`
+   * @param {Object} [db] - Prisma client to write with (a transaction client inside $transaction)
+   * @returns {Promise<Object>} - Updated content
+   * @throws {AppError} - 409 VERSION_CONFLICT if the version changed in between
+   */
+  async writeContent(contentId, expectedVersion, { data, ...query }, db = prisma) {
+    try {
+      return await db.content.update({
+        where: {
+          id: contentId,
+          ...(expectedVersion !== undefined && { version: expectedVersion })
+        },
+        data: {
+          ...data,
+          version: { increment: 1 }
+        },
+        ...query
+      });
+    } catch (error) {
+      // P2025: no row matched, i.e. the version moved on since it was checked
+      if (error.code === 'P2025' && expectedVersion !== undefined) {
+        throw new AppError('Content was changed by someone else', 409, 'VERSION_CONFLICT');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check that content may move from one status to another
+   *
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @throws {AppError} - If the transition isn't allowed, or skips a required review
+   */
+  assertStatusTransition(from, to) {
+    if (from !== to && !(STATUS_TRANSITIONS[from] || []).includes(to)) {
+      throw new AppError(
+        `Cannot change status from ${from} to ${to}`,
+        400,
+        'INVALID_STATUS_TRANSITION'
+      );
+    }
+
+    // With the review workflow on, drafts reach PUBLISHED only through approval
+    if (workflowConfig.reviewRequired && from === 'DRAFT' && to === 'PUBLISHED') {
+      throw new AppError(
+        'Content must be submitted for review and approved before it is published',
+        400,
+        'REVIEW_REQUIRED'
+      );
+    }
+  }
+
+  /**
+   * Work out publishedAt for a status change
+   *
+   * publishedAt records when content was *first* published, so it is only
+   * set when content goes live and has never been published before.
+   *
+   * @param {Object} existingContent - Content before the change
+   * @param {string} status - New status
+   * @returns {Date|null} - publishedAt value to store
+   */
+  resolvePublishedAt(existingContent, status) {
+    if (status === 'PUBLISHED' && existingContent.status !== 'PUBLISHED' && !existingContent.publishedAt) {
+      return new Date();
+    }
+    return existingContent.publishedAt;
+  }
+
+  /**
+   * Schedule fields to clear when the status is changed directly
+   *
+   * - Publishing now makes a pending publishAt meaningless (unpublishAt still applies)
+   * - Moving back to DRAFT or archiving cancels the whole schedule
+   *
+   * @param {string} status - New status
+   * @returns {Object} - Prisma data to spread into the update
+   */
+  getScheduleReset(status) {
+    if (status === 'PUBLISHED') {
+      return { publishAt: null };
+    }
+    if (status === 'DRAFT' || status === 'ARCHIVED') {
+      return { publishAt: null, unpublishAt: null };
+    }
+    return {};
+  }
+
+  /**
+   * Validate and normalise schedule input
+   *
+   * @param {Object} schedule - Schedule data
+   * @param {string|Date} [schedule.publishAt] - When to publish
+   * @param {string|Date} [schedule.unpublishAt] - When to unpublish
+   * @param {Date} [now] - Reference time (defaults to current time)
+   * @returns {Object} - { publishAt, unpublishAt } as Date objects (undefined if not provided)
+   * @throws {AppError} - If a date is invalid or in the past
+   */
+  validateSchedule({ publishAt, unpublishAt } = {}, now = new Date()) {
+    const parseDate = (value, field) => {
+      if (value === undefined || value === null || value === '') {
+        return undefined;
+      }
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw new AppError(`${field} must be a valid date`, 400, 'VALIDATION_ERROR');
+      }
+      if (date <= now) {
+        throw new AppError(`${field} must be in the future`, 400, 'VALIDATION_ERROR');
+      }
+      return date;
+    };
+
+    const schedule = {
+      publishAt: parseDate(publishAt, 'publishAt'),
+      unpublishAt: parseDate(unpublishAt, 'unpublishAt')
+    };
+
+    if (!schedule.publishAt && !schedule.unpublishAt) {
+      throw new AppError('publishAt or unpublishAt is required', 400, 'VALIDATION_ERROR');
+    }
+
+    if (schedule.publishAt && schedule.unpublishAt && schedule.unpublishAt <= schedule.publishAt) {
+      throw new AppError('unpublishAt must be after publishAt', 400, 'VALIDATION_ERROR');
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Set or change the publishing schedule of content
+   *
+   * - publishAt moves DRAFT content to SCHEDULED (not allowed once published)
+   * - unpublishAt sets when published content goes back to DRAFT
+   *
+   * @param {string} contentId - ID of content to schedule
+   * @param {Object} scheduleData - { publishAt, unpublishAt }
+   * @param {string} editorId - ID of the user making the change
+   * @returns {Promise<Object>} - Updated content
+   */
+  async scheduleContent(contentId, scheduleData, editorId) {
+    const existingContent = await prisma.content.findUnique({
+      where: { id: contentId }
+    });
+
+    if (!existingContent) {
+      throw new AppError('Content not found', 404, 'CONTENT_NOT_FOUND');
+    }
+
+    const { publishAt, unpublishAt } = this.validateSchedule(scheduleData);
+
+    if (existingContent.status === 'ARCHIVED') {
+      throw new AppError('Archived content must be unarchived before it can be scheduled', 400, 'CONTENT_ARCHIVED');
+    }
+
+    if (publishAt && existingContent.status === 'PUBLISHED') {
+      throw new AppError('Content is already published. Only unpublishAt can be scheduled', 400, 'ALREADY_PUBLISHED');
+    }
+
+    // A reviewer schedules content when approving it; the author can't skip the review
+    if (publishAt && ['IN_REVIEW', 'CHANGES_REQUESTED'].includes(existingContent.status)) {
+      throw new AppError('Content is in review and cannot be scheduled', 400, 'CONTENT_IN_REVIEW');
+    }
+
+    if (publishAt && existingContent.status === 'DRAFT' && workflowConfig.reviewRequired) {
+      throw new AppError(
+        'Content must be submitted for review and approved before it is scheduled',
+        400,
+        'REVIEW_REQUIRED'
+      );
+    }
+
+    // unpublishAt must still come after an existing publishAt that isn't being changed
+    const effectivePublishAt = publishAt || existingContent.publishAt;
+    if (unpublishAt && effectivePublishAt && unpublishAt <= effectivePublishAt) {
+      throw new AppError('unpublishAt must be after publishAt', 400, 'VALIDATION_ERROR');
+    }
+
+    const updatedContent = await this.writeContent(contentId, undefined, {
+      data: {
+        ...(publishAt && { publishAt, status: 'SCHEDULED' }),
+        ...(unpublishAt && { unpublishAt })
+      },
+      include: {
+        author: {
+          select: {
+            id: true,
+            name: true,
+            email: true
+          }
+        },
+        tags: tagSelect
+      }
+    });
+
+    if (updatedContent.status !== existingContent.status) {
+      await RevisionService.recordRevision(updatedContent, editorId || existingContent.authorId);
+      await this.recordTransition(existingContent, updatedContent, editorId);
+    }
+
+    return updatedContent;
+  }
+
+  /**
+   * Cancel any pending schedule of content
+   *
+   * SCHEDULED content goes back to DRAFT; published content stays live.
+   *
+   * @param {string} contentId - ID of content
+   * @param {string} editorId - ID of the user making the change
+   * @returns {Promise<Object>} - Updated content
+   */
+  async cancelSchedule(contentId, editorId) {
+    const existingContent = await prisma.content.findUnique({
+      where: { id: contentId }
+    });
+
+    if (!existingContent) {
+      throw new AppError('Content not found', 404, 'CONTENT_NOT_FOUND');
+    }
+
+    const updatedContent = await this.writeContent(contentId, undefined, {
+      data: {
+        publishAt: null,
+        unpublishAt: null,
+        ...(existingContent.status === 'SCHEDULED' && { status: 'DRAFT' })
+      },
+      include: {
+        author: {
+          select: {
+            id: true,
+            name: true,
+            email: true
+          }
+        },
+        tags: tagSelect
+      }
+    });
+
+    if (updatedContent.status !== existingContent.status) {
+      await RevisionService.recordRevision(updatedContent, editorId || existingContent.authorId);
+      await this.recordTransition(existingContent, updatedContent, editorId);
+    }
+
+    return updatedContent;
+  }
+
+  /**
+   * Publish and unpublish content whose scheduled time has passed
+   *
+   * Called by the scheduler. Each item goes through updateContentStatus so it
+   * gets the same first-publish and revision handling as a manual change.
+   * One failing item doesn't stop the rest.
+   *
+   * @param {Date} [now] - Reference time (defaults to current time)
+   * @returns {Promise<Object>} - { published: string[], unpublished: string[], errors: Object[] }
+   */
+  async processScheduledContent(now = new Date()) {
+    const results = { published: [], unpublished: [], errors: [] };
+
+    const [dueToPublish, dueToUnpublish] = await Promise.all([
+      prisma.content.findMany({
+        where: { status: 'SCHEDULED', publishAt: { lte: now }, deletedAt: null },
+        select: { id: true }
+      }),
+      prisma.content.findMany({
+        where: { status: 'PUBLISHED', unpublishAt: { lte: now }, deletedAt: null },
+        select: { id: true }
+      })
+    ]);
+
+    const run = async (items, status, bucket) => {
+      for (const item of items) {
+        try {
+          // No user: revisions fall back to the author, transitions are logged as the scheduler
+          await this.updateContentStatus(item.id, status, null);
+          bucket.push(item.id);
+        } catch (error) {
+          console.error(`Failed to apply schedule for content ${item.id}:`, error);
+          results.errors.push({ id: item.id, error: error.message });
+        }
+      }
+    };
+
+    await run(dueToPublish, 'PUBLISHED', results.published);
+    await run(dueToUnpublish, 'DRAFT', results.unpublished);
+
+    return results;
   }
 
   /**
    * Get published content for public display
    * @param {Object} options - Query options
    * @param {string} [options.category] - Filter by category
+   * @param {string} [options.subcategory] - Filter by subcategory (case-insensitive)
+   * @param {string} [options.authorId] - Filter by author
+   * @param {string} [options.tag] - Filter by tag slug
+   * @param {Date} [options.publishedAfter] - Only content published at or after this time
+   * @param {Date} [options.publishedBefore] - Only content published before this time
    * @param {number} [options.page=1] - Page number (1-based)
    * @param {number} [options.limit=10] - Items per page
+   * @param {string} [options.sort='priority'] - 'priority' (featured first), 'newest', 'oldest' or 'title' (A-Z)
+   * @param {string} [options.cursor] - Use cursor pagination from this cursor ('' for the first page) instead of pages
    * @returns {Promise<Object>} - Paginated content results with metadata
+   *   (with a cursor: `pagination` is { nextCursor, prevCursor, limit })
+   * @throws {AppError} - 400 INVALID_CURSOR if the cursor is invalid
    */
-  async getPublishedContent({ category, page = 1, limit = 10 } = {}) {
+  async getPublishedContent({
+    category,
+    subcategory,
+    authorId,
+    tag,
+    publishedAfter,
+    publishedBefore,
+    page = 1,
+    limit = 10,
+    sort = 'priority',
+    cursor
+  } = {}) {
     const skip = (page - 1) * limit;
     const take = parseInt(limit);
+    const keys = PUBLIC_SORT_KEYS[sort] || PUBLIC_SORT_KEYS.priority;
     
-    const where = { status: 'PUBLISHED' };
+    const where = { status: 'PUBLISHED', deletedAt: null };
     if (category) {
       where.category = category;
     }
+    if (subcategory) {
+      where.subcategory = { equals: subcategory, mode: 'insensitive' };
+    }
+    if (authorId) {
+      where.authorId = authorId;
+    }
+    if (tag) {
+      where.tags = { some: { slug: tag } };
+    }
+    if (publishedAfter || publishedBefore) {
+      where.publishedAt = {
+        ...(publishedAfter && { gte: publishedAfter }),
+        ...(publishedBefore && { lt: publishedBefore })
+      };
+    }
+
+    const include = {
+      author: {
+        select: {
+          id: true,
+          name: true,
+          email: true
+        }
+      },
+      tags: tagSelect,
+      collaborators: coAuthorsInclude
+    };
+
+    if (cursor !== undefined) {
+      const result = await this.findCursorPage({ where, keys, cursor, limit: take, include });
+      return { ...result, items: result.items.map(withCoAuthors) };
+    }
 
     const [items, total] = await Promise.all([
       prisma.content.findMany({
         where,
-        orderBy: [
-          { priority: 'desc' },
-          { publishedAt: 'desc' },
-          { createdAt: 'desc' }
-        ],
+        orderBy: getOrderBy(keys),
         skip,
         take,
-        include: {
-          author: {
-            select: {
-              id: true,
-              name: true,
-              email: true
-            }
-          }
-        }
+        include
       }),
       prisma.content.count({ where })
     ]);
@@ -434,7 +1252,7 @@ class ContentService {
     const totalPages = Math.ceil(total / take);
     
     return {
-      items,
+      items: items.map(withCoAuthors),
       pagination: {
         total,
         totalPages,
@@ -446,16 +1264,37 @@ class ContentService {
     };
   }
 
+  /**
+   * Full-text search over published content
+   *
+   * @param {Object} options - Search options
+   * @param {string} options.query - Search text
+   * @param {string} [options.category] - Filter by category
+   * @param {number} [options.page=1] - Page number (1-based)
+   * @param {number} [options.limit=10] - Items per page
+   * @returns {Promise<Object>} - Ranked, paginated results with highlighted snippets
+   */
+  async searchPublishedContent({ query, category, page = 1, limit = 10 } = {}) {
+    const result = await ContentSearchService.search({ query, category, page, limit });
+    const coAuthors = await CollaboratorService.getCoAuthors(result.items.map((item) => item.id));
+
+    return {
+      ...result,
+      items: result.items.map((item) => ({ ...item, coAuthors: coAuthors.get(item.id) || [] }))
+    };
+  }
+
   /**
    * Get content by slug (for public access)
    * @param {string} slug - Slug of content to retrieve
-   * @returns {Promise<Object|null>} - Published content or null if not found
+   * @returns {Promise<Object|null>} - Published content (with coAuthors) or null if not found
    */
   async getContentBySlug(slug) {
-    return await prisma.content.findFirst({
+    const content = await prisma.content.findFirst({
           where: {
             slug,
-            status: 'PUBLISHED'
+            status: 'PUBLISHED',
+            deletedAt: null
           },
           include: {
             author: {
@@ -464,47 +1303,42 @@ class ContentService {
                 name: true,
                 email: true
               }
-            }
+            },
+            tags: tagSelect,
+            collaborators: coAuthorsInclude
           }
         });
+
+    return content ? withCoAuthors(content) : null;
   }
 
   /**
-   * Get available content categories using ContentValidator
-   * 
-   * Delegates to ContentValidator to maintain consistency with validation logic.
-   * 
-   * @returns {string[]} - Array of all available category enum values
+   * Get tags used by published content with usage counts
+   *
+   * @returns {Promise<Object[]>} - Array of { id, name, slug, count }
    */
+  async getContentTags() {
+    return await TagService.getTagsWithCounts();
+  }
+
   /**
-   * Get all available content categories
-   * 
-   * @returns {string[]} - Array of all available category enum values
+   * Find where an old slug now lives (for permanent redirects)
+   *
+   * @param {string} slug - Slug that didn't match any published content
+   * @returns {Promise<string|null>} - Current slug of the published content, or null
+   */
+  async getRedirectSlug(slug) {
+    return await SlugGenerator.findRedirectSlug(slug);
+  }
+
+  /**
+   * Get the category tree with the number of published articles in each category
+   *
+   * @returns {Promise<Object[]>} - Top-level categories with their subcategories as `children`
    */
   async getContentCategories() {
     try {
-      // Get all unique categories from the database
-      const categories = await prisma.content.findMany({
-        distinct: ['category'],
-        select: {
-          category: true
-        },
-        where: {
-          status: 'PUBLISHED',
-          category: {
-            not: null
-          }
-        },
-        orderBy: {
-          category: 'asc'
-        }
-      });
-      
-      // Extract just the category strings and remove any null/undefined values
-      return categories
-        .map(item => item.category)
-        .filter(Boolean)
-        .sort();
+      return await CategoryService.getTree();
     } catch (error) {
       console.error('Error fetching content categories:', error);
       throw new AppError('Failed to fetch content categories', 500, 'CATEGORIES_FETCH_ERROR');
@@ -0,0 +1,65 @@
+const prisma = require('../config/database');
+
+const userSelect = {
+  select: {
+    id: true,
+    name: true,
+    email: true,
+  },
+};
+
+/**
+ * Content Transition Service
+ *
+ * Append-only log of status changes. Every change records the old and new
+ * status, who made it (null for the scheduler) and, for review decisions,
+ * the reviewer's comment.
+ */
+class ContentTransitionService {
+  /**
+   * Record a status change
+   *
+   * @param {Object} transition - Transition data
+   * @param {string} transition.contentId - ID of the content
+   * @param {string} transition.fromStatus - Status before the change
+   * @param {string} transition.toStatus - Status after the change
+   * @param {string|null} transition.userId - Who made the change (null for the scheduler)
+   * @param {string} [transition.comment] - Optional comment (e.g. review feedback)
+   * @param {Object} [db] - Prisma client to write with (a transaction client inside $transaction)
+   * @returns {Promise<Object>} - Created transition
+   */
+  async recordTransition({ contentId, fromStatus, toStatus, userId, comment = null }, db = prisma) {
+    return await db.contentTransition.create({
+      data: {
+        contentId,
+        fromStatus,
+        toStatus,
+        userId: userId || null,
+        comment,
+      },
+    });
+  }
+
+  /**
+   * List the status history of a content item, newest first
+   *
+   * @param {string} contentId - ID of the content
+   * @returns {Promise<Object[]>} - Transitions with the user who made them
+   */
+  async getTransitions(contentId) {
+    return await prisma.contentTransition.findMany({
+      where: { contentId },
+      orderBy: { createdAt: 'desc' },
+      select: {
+        id: true,
+        fromStatus: true,
+        toStatus: true,
+        comment: true,
+        createdAt: true,
+        user: userSelect,
+      },
+    });
+  }
+}
+
+module.exports = new ContentTransitionService();
@@ -0,0 +1,187 @@
+const contentService = require('./contentService');
+const categoryService = require('./categoryService');
+const { sanitizeRichText, absolutizeUrls } = require('../utils/htmlHelper');
+const { escapeXml } = require('../utils/xmlHelper');
+const { getContentUrl, getApiUrl } = require('../utils/urlHelper');
+const { frontendUrl, backendUrl } = require('../config/oauth');
+
+const SITE_TITLE = 'Intellectify';
+const SITE_DESCRIPTION = 'Latest articles from Intellectify';
+
+// Number of items in each feed
+const FEED_SIZE = 20;
+
+const CONTENT_TYPES = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8'
+};
+
+/**
+ * Feed Service
+ *
+ * Builds RSS 2.0 and Atom 1.0 feeds of the latest published content, for the
+ * whole site or a single category. Bodies are sanitized with the same rules
+ * as editor input and image/link URLs are made absolute so they work in feed
+ * readers.
+ */
+class FeedService {
+  /**
+   * Build a feed of the latest published content
+   *
+   * @param {Object} options - Feed options
+   * @param {string} options.format - 'rss' or 'atom'
+   * @param {string} [options.category] - Only include this category
+   * @returns {Promise<Object>} - { xml, contentType, lastModified }
+   */
+  async getFeed({ format, category = null }) {
+    const [{ items }, categoryNames] = await Promise.all([
+      contentService.getPublishedContent({
+        category,
+        page: 1,
+        limit: FEED_SIZE,
+        sort: 'newest'
+      }),
+      categoryService.getNames()
+    ]);
+
+    const feedPath = category
+      ? `/api/content/categories/${encodeURIComponent(category)}/feed.${format}`
+      : `/api/content/feed.${format}`;
+
+    const channel = {
+      title: category ? `${SITE_TITLE} - ${categoryNames.get(category) || category}` : SITE_TITLE,
+      description: SITE_DESCRIPTION,
+      link: frontendUrl,
+      selfUrl: getApiUrl(feedPath),
+      updated: this.getLastModified(items)
+    };
+
+    const entries = items.map((item) => this.toEntry(item, categoryNames));
+
+    return {
+      xml: format === 'atom' ? this.buildAtom(channel, entries) : this.buildRss(channel, entries),
+      contentType: CONTENT_TYPES[format],
+      lastModified: channel.updated
+    };
+  }
+
+  /**
+   * Map a content item to the fields shared by both feed formats
+   *
+   * @param {Object} item - Published content with author, coAuthors and tags
+   * @param {Map<string, string>} categoryNames - Category display names by key
+   * @returns {Object} - Feed entry
+   */
+  toEntry(item, categoryNames) {
+    return {
+      id: item.id,
+      title: item.title,
+      link: getContentUrl(item.slug),
+      summary: item.excerpt ? sanitizeRichText(item.excerpt) : null,
+      content: absolutizeUrls(sanitizeRichText(item.content || ''), backendUrl),
+      author: item.author?.name || null,
+      contributors: (item.coAuthors || []).map((user) => user.name).filter(Boolean),
+      categories: [
+        ...(item.category ? [categoryNames.get(item.category) || item.category] : []),
+        ...(item.tags || []).map((tag) => tag.name)
+      ],
+      published: new Date(item.publishedAt || item.createdAt),
+      updated: new Date(item.updatedAt || item.publishedAt || item.createdAt)
+    };
+  }
+
+  /**
+   * Build an RSS 2.0 document
+   *
+   * @param {Object} channel - Feed metadata
+   * @param {Object[]} entries - Feed entries
+   * @returns {string} - RSS XML
+   */
+  buildRss(channel, entries) {
+    const items = entries.map((entry) => [
+      '    <item>',
+      `      <title>${escapeXml(entry.title)}</title>`,
+      `      <link>${escapeXml(entry.link)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>`,
+      `      <pubDate>${entry.published.toUTCString()}</pubDate>`,
+      ...(entry.author ? [`      <dc:creator>${escapeXml(entry.author)}</dc:creator>`] : []),
+      ...entry.contributors.map((name) => `      <dc:contributor>${escapeXml(name)}</dc:contributor>`),
+      ...entry.categories.map((name) => `      <category>${escapeXml(name)}</category>`),
+      ...(entry.summary ? [`      <description>${escapeXml(entry.summary)}</description>`] : []),
+      `      <content:encoded>${escapeXml(entry.content)}</content:encoded>`,
+      '    </item>'
+    ].join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      '  <channel>',
+      `    <title>${escapeXml(channel.title)}</title>`,
+      `    <link>${escapeXml(channel.link)}</link>`,
+      `    <description>${escapeXml(channel.description)}</description>`,
+      `    <atom:link href="${escapeXml(channel.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+      ...(channel.updated ? [`    <lastBuildDate>${channel.updated.toUTCString()}</lastBuildDate>`] : []),
+      ...items,
+      '  </channel>',
+      '</rss>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Build an Atom 1.0 document
+   *
+   * @param {Object} channel - Feed metadata
+   * @param {Object[]} entries - Feed entries
+   * @returns {string} - Atom XML
+   */
+  buildAtom(channel, entries) {
+    const items = entries.map((entry) => [
+      '  <entry>',
+      `    <id>urn:uuid:${escapeXml(entry.id)}</id>`,
+      `    <title>${escapeXml(entry.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>`,
+      `    <published>${entry.published.toISOString()}</published>`,
+      `    <updated>${entry.updated.toISOString()}</updated>`,
+      ...(entry.author ? [`    <author><name>${escapeXml(entry.author)}</name></author>`] : []),
+      ...entry.contributors.map((name) => `    <contributor><name>${escapeXml(name)}</name></contributor>`),
+      ...entry.categories.map((name) => `    <category term="${escapeXml(name)}"/>`),
+      ...(entry.summary ? [`    <summary type="html">${escapeXml(entry.summary)}</summary>`] : []),
+      `    <content type="html">${escapeXml(entry.content)}</content>`,
+      '  </entry>'
+    ].join('\n'));
+
+    // Atom requires <updated>; an empty feed has nothing newer than "now"
+    const updated = channel.updated || new Date();
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <id>${escapeXml(channel.selfUrl)}</id>`,
+      `  <title>${escapeXml(channel.title)}</title>`,
+      `  <subtitle>${escapeXml(channel.description)}</subtitle>`,
+      `  <link rel="self" type="application/atom+xml" href="${escapeXml(channel.selfUrl)}"/>`,
+      `  <link rel="alternate" type="text/html" href="${escapeXml(channel.link)}"/>`,
+      `  <updated>${updated.toISOString()}</updated>`,
+      ...items,
+      '</feed>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Most recent change among the feed items (drives Last-Modified)
+   *
+   * @param {Object[]} items - Content items
+   * @returns {Date|null} - Latest updatedAt, or null for an empty feed
+   */
+  getLastModified(items) {
+    const times = items
+      .map((item) => new Date(item.updatedAt || item.publishedAt || item.createdAt).getTime())
+      .filter((time) => !Number.isNaN(time));
+
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+  }
+}
+
+module.exports = new FeedService();
@@ -1,14 +1,50 @@
-const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const { JSDOM } = require('jsdom');
+const sharp = require('sharp');
+const validator = require('validator');
 const AppError = require('../utils/appError');
 const ValidationHelper = require('../utils/validationHelper');
-
+const { createStorageDriver } = require('./storage');
+
+// A path segment of a stored image: no "..", hidden files or separators
+const SAFE_SEGMENT_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._-]*$/;
+
+// Encoder settings for re-encoding uploads without their metadata, by format
+const UPLOAD_ENCODERS = {
+  jpeg: { quality: 90, mozjpeg: true },
+  png: { compressionLevel: 9 },
+  webp: { quality: 90 },
+  gif: {}
+};
+
+// Encoder settings for resized variants, by file extension
+const VARIANT_ENCODERS = {
+  avif: ['avif', { quality: 50 }],
+  webp: ['webp', { quality: 80 }],
+  jpg: ['jpeg', { quality: 80, mozjpeg: true }],
+  jpeg: ['jpeg', { quality: 80, mozjpeg: true }],
+  png: ['png', { compressionLevel: 9 }]
+};
+
+// Layout hint sent with srcset: images fill the screen on phones and the
+// article column (768px) on wider screens
+const RESPONSIVE_IMAGE_SIZES = '(max-width: 768px) 100vw, 768px';
+
+// Number of images whose variant list is kept in memory (oldest dropped first)
+const VARIANT_CACHE_SIZE = 5000;
+
+/**
+ * Image Storage Service
+ *
+ * Stores uploaded images through the storage driver chosen in config/storage
+ * (local disk or an S3-compatible bucket). Permanent images are kept under
+ * "content/<path>" and temporary uploads under "temp/<path>", where <path>
+ * is what appears in image URLs.
+ */
 class ImageService {
   constructor() {
-    this.baseUploadPath = path.join(process.cwd(), 'uploads', 'content'); // Base directory for permanent images
-    this.tempUploadPath = path.join(process.cwd(), 'uploads', 'temp'); // Temporary directory for uploaded images
+    this.driver = createStorageDriver();
     this.allowedMimeTypes = [
       'image/jpeg',
       'image/jpg',
@@ -17,16 +53,18 @@ class ImageService {
       'image/webp',
     ];
     this.maxFileSize = 5 * 1024 * 1024; // 5MB
+    this.variantWidths = [320, 640, 960, 1280, 1920]; // Widths of resized copies (never upscaled)
+    this.variantFormats = ['avif', 'webp']; // Extra encodings, in order of preference
+    this.variantCache = new Map(); // Storage key of an image -> { version, variants }, see getImageVariants
   }
 
   /**
-   * Initialize upload directories
+   * Prepare the storage (create the upload directory, or check the bucket is reachable)
    * @returns {Promise<void>}
    */
   async initializeDirectories() {
     try {
-      await fs.mkdir(this.baseUploadPath, { recursive: true });
-      await fs.mkdir(this.tempUploadPath, { recursive: true });
+      await this.driver.initialize();
     } catch (error) {
       console.error('Error creating upload directories:', error);
       throw new AppError(
@@ -81,21 +119,39 @@ class ImageService {
       '.png': 'image/png',
       '.gif': 'image/gif',
       '.webp': 'image/webp',
+      '.avif': 'image/avif',
     };
 
     return mimeTypes[extension.toLowerCase()] || 'application/octet-stream';
   }
 
+  /**
+   * Get the file extension to store an image type with
+   *
+   * @param {string} mimetype - The MIME type
+   * @returns {string|null} - The extension with its dot, or null for unsupported types
+   */
+  getExtensionFromMimeType(mimetype) {
+    const extensions = {
+      'image/jpeg': '.jpg',
+      'image/png': '.png',
+      'image/gif': '.gif',
+      'image/webp': '.webp',
+    };
+
+    return extensions[mimetype] || null;
+  }
+
   /**
    * Generate a unique filename with timestamp and random string
    * @param {string} originalname - Original filename
+   * @param {string} [extension] - Extension to use instead of the original one
    * @returns {string} - Generated unique filename
    */
-  generateUniqueFilename(originalFilename) {
+  generateUniqueFilename(originalFilename, extension = path.extname(originalFilename)) {
     const timestamp = Date.now();
     const randomString = crypto.randomBytes(8).toString('hex');
-    const extension = path.extname(originalFilename);
-    const baseName = path.basename(originalFilename, extension);
+    const baseName = path.basename(originalFilename, path.extname(originalFilename));
 
     // Sanitize filename
     const sanitizedBaseName = baseName
@@ -106,11 +162,32 @@ class ImageService {
     return `${sanitizedBaseName}-${timestamp}-${randomString}${extension}`;
   }
 
+  /**
+   * Folder name of a category key (first segment of image paths)
+   * Example: WEB_DEVELOPMENT -> web-development
+   *
+   * @param {string} category - The category key
+   * @returns {string} - The folder name
+   */
+  getCategoryFolder(category) {
+    // Convert the key to lowercase for path
+    const categoryName = typeof category === 'string' ? category : 'GENERAL';
+    return categoryName
+      .toLowerCase()
+      .replace(/[^a-zA-Z0-9-_]/g, '-') // Replace special characters with hyphens
+      .replace(/_/g, '-') // Convert underscores to hyphens for URL-friendliness
+      .replace(/-+/g, '-') // Replace multiple hyphens with single hyphen
+      .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
+  }
+
   /**
    * Generate organized file path based on category and date
    * Example: general/2025/08/18
    *
-   * @param {string} category - The category of the content
+   * The folder comes from the category key, which never changes, so
+   * renaming a category doesn't move its images.
+   *
+   * @param {string} category - The category key of the content
    * @param {string} contentId - The ID of the content
    * @returns {string} - The generated file path
    */
@@ -118,15 +195,7 @@ class ImageService {
     const now = new Date();
     const year = now.getFullYear();
     const month = String(now.getMonth() + 1).padStart(2, '0');
-
-    // Convert enum to lowercase for path
-    const categoryName = typeof category === 'string' ? category : 'GENERAL';
-    const sanitizedCategory = categoryName
-      .toLowerCase()
-      .replace(/[^a-zA-Z0-9-_]/g, '-') // Replace special characters with hyphens
-      .replace(/_/g, '-') // Convert underscores to hyphens for URL-friendliness
-      .replace(/-+/g, '-') // Replace multiple hyphens with single hyphen
-      .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
+    const sanitizedCategory = this.getCategoryFolder(category);
 
     if (contentId) {
       return path.join(sanitizedCategory, String(year), month, contentId);
@@ -149,13 +218,332 @@ class ImageService {
   }
 
   /**
-   * Get full file system path from relative path
+   * Whether a relative path only has plain names as segments
+   * (letters, numbers, dots, hyphens and underscores, not starting with a
+   * dot), so it can't climb out of its folder through "..", name hidden
+   * files or smuggle in encoded separators
+   *
+   * @param {string} relativePath - Path to check
+   * @returns {boolean}
+   */
+  isSafeRelativePath(relativePath) {
+    return typeof relativePath === 'string' &&
+      relativePath.split('/').every((segment) => SAFE_SEGMENT_PATTERN.test(segment));
+  }
+
+  /**
+   * Storage key of a permanent image
    *
    * @param {string} relativePath - The relative path of the image file
-   * @returns {string} - The full file system path
+   * @returns {string} - The storage key
+   */
+  getContentKey(relativePath) {
+    return `content/${relativePath.replace(/\\/g, '/').replace(/^\/+/, '')}`;
+  }
+
+  /**
+   * Storage key of a temporary image
+   *
+   * @param {string} relativePath - The relative path of the image file inside temporary storage
+   * @returns {string} - The storage key
+   */
+  getTempKey(relativePath) {
+    return `temp/${relativePath.replace(/\\/g, '/').replace(/^\/+/, '')}`;
+  }
+
+  /**
+   * Resolve the path of an image URL to a stored image
+   *
+   * The path must pass isSafeRelativePath and have an image extension.
+   *
+   * @param {string} relativePath - Path after /api/images/ (e.g. "general/2025/08/<contentId>/a.jpg"),
+   *   or after /uploads/temp/ for temporary images
+   * @param {Object} [options]
+   * @param {boolean} [options.temp=false] - Look in temporary storage
+   * @returns {Promise<Object|null>} - { key, size, lastModified } of the file, or null if there is no such image
+   */
+  async resolveImagePath(relativePath, { temp = false } = {}) {
+    if (
+      !this.isSafeRelativePath(relativePath) ||
+      this.getMimeTypeFromExtension(path.extname(relativePath)) === 'application/octet-stream'
+    ) {
+      return null;
+    }
+
+    const key = temp ? this.getTempKey(relativePath) : this.getContentKey(relativePath);
+    const stats = await this.driver.stat(key);
+
+    return stats ? { key, ...stats } : null;
+  }
+
+  /**
+   * Open a stored file for streaming
+   *
+   * @param {string} key - Storage key (from resolveImagePath or resolveImageVariant)
+   * @param {Object} [range] - { start, end } byte offsets, both inclusive
+   * @returns {Promise<stream.Readable|null>} - File content, or null if it is gone
+   */
+  async streamFile(key, range) {
+    return await this.driver.stream(key, range);
+  }
+
+  /**
+   * Get the ID of the content an image belongs to
+   * Content images are stored as <category>/<year>/<month>/<contentId>/<file>
+   *
+   * @param {string} relativePath - Path of the image
+   * @returns {string|null} - Content ID, or null for images outside a content folder
+   */
+  getImageContentId(relativePath) {
+    const contentId = String(relativePath).split('/')[3];
+    return contentId && validator.isUUID(contentId) ? contentId : null;
+  }
+
+  /**
+   * Strong ETag of an image file
+   * Uploaded files are never rewritten in place (every upload gets a new
+   * unique name), so size and modification time identify the bytes.
+   *
+   * @param {Object} file - { size, lastModified } of the file
+   * @returns {string} - Quoted ETag
+   */
+  getImageETag(file) {
+    return `"${file.size.toString(16)}-${file.lastModified.getTime().toString(16)}"`;
+  }
+
+  /**
+   * Re-encode an uploaded image without its metadata
+   *
+   * Drops EXIF (GPS position, camera serial numbers...), XMP and IPTC data.
+   * The EXIF orientation is applied to the pixels first, so photos still
+   * display the right way up. The ICC colour profile is kept.
+   *
+   * @param {Buffer} buffer - Uploaded file
+   * @returns {Promise<Object>} - { buffer, mimetype }: the image in the same format, without metadata
+   * @throws {AppError} - 400 INVALID_IMAGE if the file isn't an image we can decode
+   */
+  async stripImageMetadata(buffer) {
+    let image;
+    let format;
+    try {
+      image = sharp(buffer, { animated: true });
+      ({ format } = await image.metadata());
+    } catch {
+      format = null;
+    }
+
+    if (!UPLOAD_ENCODERS[format]) {
+      throw new AppError('The file is not a valid image', 400, 'INVALID_IMAGE');
+    }
+
+    const stripped = await image
+      .rotate()
+      .keepIccProfile()
+      .toFormat(format, UPLOAD_ENCODERS[format])
+      .toBuffer();
+
+    return { buffer: stripped, mimetype: `image/${format}` };
+  }
+
+  /**
+   * Path of a resized or re-encoded copy of an image
+   * Variants sit next to the original: photo-123-abc.jpg -> photo-123-abc.w640.webp
+   *
+   * @param {string} imageKey - Storage key of the original
+   * @param {number} width - Width of the variant
+   * @param {string} extension - Extension of the variant, without the dot
+   * @returns {string} - Storage key of the variant
+   */
+  getVariantPath(imageKey, width, extension) {
+    const { dir, name } = path.posix.parse(imageKey);
+    return path.posix.join(dir, `${name}.w${width}.${extension}`);
+  }
+
+  /**
+   * Create the resized and re-encoded copies of a saved image
+   *
+   * Every width in variantWidths below the image's own width gets a copy in
+   * the original format and in each of variantFormats; the full width gets
+   * the variantFormats encodings only. GIFs and animated WebPs are left
+   * alone, as resizing would lose animation.
+   *
+   * @param {string} imageKey - Storage key of the original
+   * @param {Buffer} buffer - Content of the original
+   * @returns {Promise<string[]>} - Storage keys of the variants created
+   */
+  async generateImageVariants(imageKey, buffer) {
+    const extension = path.extname(imageKey).slice(1).toLowerCase();
+    if (!VARIANT_ENCODERS[extension]) {
+      return [];
+    }
+
+    const metadata = await sharp(buffer).metadata();
+    if (metadata.pages > 1) {
+      return [];
+    }
+
+    const { width } = metadata.autoOrient || metadata;
+    const widths = this.variantWidths.filter((variantWidth) => variantWidth < width);
+    this.variantCache.delete(imageKey);
+
+    const created = [];
+    for (const variantWidth of [...widths, width]) {
+      const extensions = variantWidth === width
+        ? this.variantFormats.filter((format) => format !== extension)
+        : [...new Set([...this.variantFormats, extension])];
+
+      const resized = sharp(buffer).rotate().resize({ width: variantWidth });
+      for (const variantExtension of extensions) {
+        const [format, options] = VARIANT_ENCODERS[variantExtension];
+        const variantKey = this.getVariantPath(imageKey, variantWidth, variantExtension);
+
+        await this.driver.put(variantKey, await resized.clone().toFormat(format, options).toBuffer(), {
+          contentType: this.getMimeTypeFromExtension(`.${variantExtension}`)
+        });
+        created.push(variantKey);
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * List the variants of an image that are in storage
+   *
+   * Variants are written before their original (see saveImage and
+   * moveImageFromTemp), so once the original is in storage its list is
+   * final. Given the original's modification time, the list (empty or not)
+   * is kept in variantCache for that version of the image: callers stat the
+   * original first, so an image deleted or replaced through another
+   * instance isn't served from the cache.
+   *
+   * @param {string} imageKey - Storage key of the original
+   * @param {Date} [lastModified] - Modification time of the original, from resolveImagePath;
+   *   omit to list storage without the cache
+   * @returns {Promise<Object[]>} - Array of { width, extension, key, size, lastModified }
    */
-  getFullImagePath(relativePath) {
-    return path.join(this.baseUploadPath, relativePath);
+  async getImageVariants(imageKey, lastModified) {
+    const version = lastModified?.getTime();
+    const cached = this.variantCache.get(imageKey);
+    if (version !== undefined && cached?.version === version) {
+      return cached.variants;
+    }
+
+    const { dir, name } = path.posix.parse(imageKey);
+    const prefix = path.posix.join(dir, `${name}.w`);
+    const variantPattern = /^(\d+)\.([a-z]+)$/;
+
+    const files = await this.driver.list(prefix);
+
+    const variants = files
+      .map((file) => ({ ...file, match: file.key.slice(prefix.length).match(variantPattern) }))
+      .filter(({ match }) => match)
+      .map(({ match, ...file }) => ({
+        width: Number(match[1]),
+        extension: match[2],
+        ...file
+      }));
+
+    if (version !== undefined) {
+      this.variantCache.delete(imageKey);
+      if (this.variantCache.size >= VARIANT_CACHE_SIZE) {
+        this.variantCache.delete(this.variantCache.keys().next().value);
+      }
+      this.variantCache.set(imageKey, { version, variants });
+    }
+
+    return variants;
+  }
+
+  /**
+   * Pick the file to send for an image request
+   *
+   * Serves the variant of the requested width (or the full width when none
+   * is asked for) in the first of variantFormats the client lists in its
+   * Accept header, then in the original format. Falls back to the original
+   * when the image has no such variant, e.g. because it is narrower than
+   * the requested width.
+   *
+   * @param {Object} image - { key, size, lastModified } from resolveImagePath
+   * @param {Object} [options]
+   * @param {number} [options.width] - Requested width (one of variantWidths)
+   * @param {string} [options.accept] - Accept header of the request
+   * @returns {Promise<Object>} - { key, size, lastModified } of the file to send
+   */
+  async resolveImageVariant(image, { width, accept = '' } = {}) {
+    const variants = await this.getImageVariants(image.key, image.lastModified);
+    if (variants.length === 0) {
+      return image;
+    }
+
+    const fullWidth = Math.max(...variants.map((variant) => variant.width));
+    const candidates = variants.filter((variant) => variant.width === (width || fullWidth));
+
+    const accepted = accept
+      .split(',')
+      .map((range) => range.trim().split(';'))
+      .filter(([, ...params]) => !params.some((param) => /^\s*q=0(\.0*)?\s*$/.test(param)))
+      .map(([type]) => type.trim().toLowerCase());
+
+    const originalExtension = path.extname(image.key).slice(1).toLowerCase();
+    const preferred = [
+      ...this.variantFormats.filter((format) => accepted.includes(`image/${format}`)),
+      originalExtension
+    ];
+
+    for (const extension of preferred) {
+      const variant = candidates.find((candidate) => candidate.extension === extension);
+      if (variant) {
+        return { key: variant.key, size: variant.size, lastModified: variant.lastModified };
+      }
+    }
+
+    return image;
+  }
+
+  /**
+   * Add srcset and sizes to the uploaded images of a content body
+   *
+   * Output transform for content responses: stored bodies keep plain
+   * <img src="/api/images/..."> tags, and the widths are listed from the
+   * variants in storage when the body is sent. Images that already have a
+   * srcset, have no variants or aren't uploads are left as they are.
+   *
+   * @param {string} html - Content body
+   * @returns {Promise<string>} - Body with responsive images
+   */
+  async addResponsiveImages(html) {
+    if (!html || !html.includes('/api/images/')) {
+      return html || '';
+    }
+
+    const { document } = new JSDOM(html).window;
+    const images = document.querySelectorAll('img[src^="/api/images/"]:not([srcset])');
+    let changed = false;
+
+    for (const img of images) {
+      const src = img.getAttribute('src');
+      const image = await this.resolveImagePath(src.slice('/api/images/'.length));
+      if (!image) {
+        continue;
+      }
+
+      const variants = await this.getImageVariants(image.key, image.lastModified);
+      const widths = [...new Set(variants.map((variant) => variant.width))].sort((a, b) => a - b);
+      if (widths.length < 2) {
+        continue;
+      }
+
+      const fullWidth = widths.pop();
+      img.setAttribute(
+        'srcset',
+        [...widths.map((width) => `${src}?w=${width} ${width}w`), `${src} ${fullWidth}w`].join(', ')
+      );
+      img.setAttribute('sizes', RESPONSIVE_IMAGE_SIZES);
+      changed = true;
+    }
+
+    return changed ? document.body.innerHTML : html;
   }
 
   /**
@@ -207,13 +595,22 @@ class ImageService {
    * @param {Object} file - The uploaded file object with { originalname, buffer, size, mimetype }
    * @param {string} [category='GENERAL'] - The category of the content or 'TEMP' for temporary storage
    * @param {string} [contentId] - The ID of the content (for permanent storage)
+   * @param {Object} [options]
+   * @param {boolean} [options.stripMetadata=true] - Whether to remove EXIF/XMP/IPTC data first
+   *   (false for files that went through saveImage before, to avoid re-encoding twice)
    * @returns {Promise<Object>} - The saved image object
    */
-  async saveImage(file, category = 'GENERAL', contentId = null) {
+  async saveImage(file, category = 'GENERAL', contentId = null, { stripMetadata = true } = {}) {
     try {
       // Validate file first
       this.validateFile(file);
 
+      // Never store location or device data from the uploader's camera. The
+      // format is the one decoded from the content, not the one the client claimed.
+      const { buffer, mimetype } = stripMetadata
+        ? await this.stripImageMetadata(file.buffer)
+        : { buffer: file.buffer, mimetype: file.mimetype };
+
       // Determine if this is a temporary upload
       const isTemp = category === 'TEMP';
 
@@ -222,13 +619,35 @@ class ImageService {
         ? this.generateImagePath('temp')
         : this.generateImagePath(category, contentId);
 
-      const basePath = isTemp ? this.tempUploadPath : this.baseUploadPath;
-      const fullDirectoryPath = path.join(basePath, relativePath);
+      // Generate unique filename
+      const uniqueFilename = this.generateUniqueFilename(
+        file.originalname,
+        this.getExtensionFromMimeType(mimetype) || undefined
+      );
+
+      // Generate relative path for database storage
+      const relativeFilePath = path.posix.join(relativePath, uniqueFilename);
+      const key = isTemp
+        ? this.getTempKey(relativeFilePath)
+        : this.getContentKey(relativeFilePath);
+
+      // Resized copies for permanent images, written before the original so it
+      // never appears without them (see getImageVariants). The original is
+      // still served if they fail.
+      let variantKeys = [];
+      if (!isTemp) {
+        try {
+          variantKeys = await this.generateImageVariants(key, buffer);
+        } catch (error) {
+          console.error(`Error creating variants of ${uniqueFilename}:`, error);
+        }
+      }
 
       try {
-        // Create directory if it doesn't exist
-        await fs.mkdir(fullDirectoryPath, { recursive: true });
+        // Save file
+        await this.driver.put(key, buffer, { contentType: mimetype });
       } catch (error) {
+        await this.deleteFiles(variantKeys);
         if (error.code === 'EACCES') {
           throw new AppError(
             'Permission denied when creating upload directory',
@@ -236,17 +655,6 @@ class ImageService {
             'DIRECTORY_CREATION_ERROR'
           );
         }
-        throw error;
-      }
-
-      // Generate unique filename
-      const uniqueFilename = this.generateUniqueFilename(file.originalname);
-      const fullFilePath = path.join(fullDirectoryPath, uniqueFilename);
-
-      try {
-        // Save file
-        await fs.writeFile(fullFilePath, file.buffer);
-      } catch (error) {
         if (error.code === 'ENOSPC') {
           throw new AppError(
             'Not enough disk space to save the file',
@@ -257,15 +665,12 @@ class ImageService {
         throw error;
       }
 
-      // Generate relative path for database storage
-      const relativeFilePath = path.join(relativePath, uniqueFilename);
-
       return {
         filename: uniqueFilename,
         path: relativeFilePath,
         url: this.generateImageUrl(relativeFilePath),
-        size: file.size,
-        mimetype: file.mimetype,
+        size: buffer.length,
+        mimetype,
       };
     } catch (error) {
       console.error('Error saving image:', error);
@@ -281,29 +686,33 @@ class ImageService {
    * @returns {Promise<boolean>} - True if image exists, false otherwise
    */
   async imageExists(relativePath) {
-    try {
-      const fullPath = this.getFullImagePath(relativePath);
-      await fs.access(fullPath);
-      return true;
-    } catch {
+    if (!this.isSafeRelativePath(relativePath)) {
       return false;
     }
+
+    return Boolean(await this.driver.stat(this.getContentKey(relativePath)));
   }
 
   /**
    * Move image from temp to permanent location
    *
+   * The file keeps its name and is moved inside the storage (a rename on
+   * disk, a server-side copy in a bucket); only the variants are created,
+   * just before the move.
+   *
    * @param {string} tempPath - The relative path of the temporary image file
-   * @param {string} [category='GENERAL'] - The category of the content (must be a valid Category enum value)
+   * @param {string} [category='GENERAL'] - The category key of the content
    * @param {string} contentId - The ID of the content
    * @returns {Promise<Object>} - The saved image object
    */
   async moveImageFromTemp(tempPath, category = 'GENERAL', contentId) {
     try {
-      const tempFullPath = path.join(this.tempUploadPath, tempPath);
+      // The path comes from content HTML, so it must not reach outside temporary storage
+      const tempKey = this.isSafeRelativePath(tempPath) ? this.getTempKey(tempPath) : null;
+      const fileBuffer = tempKey ? await this.driver.get(tempKey) : null;
 
       // Check if temp file exists
-      if (!(await this.imageExists(path.join('..', 'temp', tempPath)))) {
+      if (!fileBuffer) {
         throw new AppError(
           'Temporary image file not found',
           404,
@@ -311,27 +720,35 @@ class ImageService {
         );
       }
 
-      // Read temp file
-      const fileBuffer = await fs.readFile(tempFullPath);
+      const filename = path.posix.basename(tempPath);
+      const mimetype = this.getMimeTypeFromExtension(path.extname(filename));
+      this.validateFile({ originalname: filename, buffer: fileBuffer, size: fileBuffer.length, mimetype });
 
-      // Create file object for saveImage
-      const filename = path.basename(tempPath);
-      const stats = await fs.stat(tempFullPath);
+      const relativeFilePath = path.posix.join(this.generateImagePath(category, contentId), filename);
+      const key = this.getContentKey(relativeFilePath);
 
-      const file = {
-        originalname: filename,
-        buffer: fileBuffer,
-        size: stats.size,
-        mimetype: this.getMimeTypeFromExtension(path.extname(filename)),
-      };
-
-      // Save to permanent location
-      const savedImage = await this.saveImage(file, category, contentId);
+      // Variants go first, as in saveImage
+      let variantKeys = [];
+      try {
+        variantKeys = await this.generateImageVariants(key, fileBuffer);
+      } catch (error) {
+        console.error(`Error creating variants of ${filename}:`, error);
+      }
 
-      // Delete temp file
-      await fs.unlink(tempFullPath);
+      try {
+        await this.driver.move(tempKey, key);
+      } catch (error) {
+        await this.deleteFiles(variantKeys);
+        throw error;
+      }
 
-      return savedImage;
+      return {
+        filename,
+        path: relativeFilePath,
+        url: this.generateImageUrl(relativeFilePath),
+        size: fileBuffer.length,
+        mimetype,
+      };
     } catch (error) {
       console.error('Error moving image from temp:', error);
       throw error;
@@ -339,62 +756,32 @@ class ImageService {
   }
 
   /**
-   * Deletes files or directories at the specified paths
-   * @param {string|string[]} paths - Single path or array of paths to delete
-   * @param {Object} options - Configuration options
-   * @param {boolean} [options.recursive=false] - Whether to delete directories recursively
-   * @param {boolean} [options.force=false] - Whether to ignore errors if files don't exist
+   * Deletes stored files
+   * @param {string|string[]} keys - Single storage key or array of keys to delete
    * @returns {Promise<Object>} Results of the deletion operation
    */
-  async deleteFiles(paths, { recursive = false, force = false } = {}) {
-    // Convert single path to array for uniform processing
-    const pathsArray = Array.isArray(paths) ? paths : [paths];
+  async deleteFiles(keys) {
+    // Convert single key to array for uniform processing
+    const keysArray = Array.isArray(keys) ? keys : [keys];
     // Initialize result object
     const results = { success: true, deleted: [], errors: [] };
 
-    // Process each path
-    for (const filePath of pathsArray) {
+    // Process each key
+    for (const key of keysArray) {
       try {
-        if (!filePath) {
+        if (!key) {
           continue;
         }
 
-        // Determine full path, handling both temp and base upload paths
-        const fullPath =
-          filePath.startsWith(this.baseUploadPath) ||
-          filePath.startsWith(this.tempUploadPath)
-            ? filePath
-            : this.getFullImagePath(filePath);
-
-        try {
-          const stats = await fs.stat(fullPath);
-
-          // Handle directory deletion
-          if (stats.isDirectory()) {
-            if (recursive) {
-              await fs.rm(fullPath, { recursive: true, force });
-            } else {
-              await fs.rmdir(fullPath);
-            }
-          } else {
-            // Handle file deletion
-            await fs.unlink(fullPath);
-          }
-
-          results.deleted.push(filePath);
-        } catch (error) {
-          // Handle case where file doesn't exist and force is true
-          if (error.code === 'ENOENT' && force) {
-            results.deleted.push(filePath);
-            continue;
-          }
-          throw error;
-        }
+        // Missing files are ignored by the driver
+        await this.driver.delete(key);
+        this.variantCache.delete(key);
+        results.deleted.push(key);
       } catch (error) {
-        // Record errors but continue processing other paths
+        // Record errors but continue processing other keys
         results.success = false;
-        results.errors.push({ path: filePath, error });
-        console.error(`Error deleting ${filePath}:`, error);
+        results.errors.push({ path: key, error });
+        console.error(`Error deleting ${key}:`, error);
       }
     }
 
@@ -402,12 +789,18 @@ class ImageService {
   }
 
   /**
-   * Alias for backward compatibility
+   * Delete an image together with its variants
    * @param {string} relativePath - Path to the image to delete
    * @returns {Promise<Object>} Deletion result
    */
   async deleteImage(relativePath) {
-    const result = await this.deleteFiles(relativePath, { force: true });
+    if (!this.isSafeRelativePath(relativePath)) {
+      return { success: true, deleted: false };
+    }
+
+    const key = this.getContentKey(relativePath);
+    const variants = await this.getImageVariants(key);
+    const result = await this.deleteFiles([key, ...variants.map((variant) => variant.key)]);
     return {
       success: result.errors.length === 0,
       deleted: result.deleted.length > 0,
@@ -416,22 +809,32 @@ class ImageService {
 
   /**
    * Clean up all images for a specific content ID
+   *
+   * Images are stored under the category and month they were saved in
+   * (<category>/<year>/<month>/<contentId>/), so each folder named by one of
+   * the content's image paths is listed and emptied.
+   *
    * @param {string} contentId - The ID of the content
-   * @param {string} [category='GENERAL'] - Content category (must be valid Category enum)
+   * @param {string[]} imagePaths - Image paths found in the content (and its revisions)
    * @returns {Promise<Object>} Deletion results
    */
-  async cleanupContentImages(contentId, category = 'GENERAL') {
-    // Generate and clean up the content directory
-    const contentPath = this.generateImagePath(category, contentId);
-    const fullContentPath = path.join(this.baseUploadPath, contentPath);
+  async cleanupContentImages(contentId, imagePaths) {
+    const folders = new Set(
+      imagePaths
+        .filter((imgPath) => this.isSafeRelativePath(imgPath) && this.getImageContentId(imgPath) === contentId)
+        .map((imgPath) => imgPath.split('/').slice(0, 4).join('/'))
+    );
+
+    const keys = [];
+    for (const folder of folders) {
+      const files = await this.driver.list(this.getContentKey(`${folder}/`));
+      keys.push(...files.map((file) => file.key));
+    }
 
-    const result = await this.deleteFiles(fullContentPath, {
-      recursive: true,
-      force: true,
-    });
+    const result = await this.deleteFiles(keys);
 
     if (result.deleted.length > 0) {
-      console.log(`Cleaned up content directory: ${contentPath}`);
+      console.log(`Cleaned up ${result.deleted.length} images of content ${contentId}`);
     }
 
     return {
@@ -481,66 +884,24 @@ class ImageService {
    * @returns {Promise<Object>} Results of cleanup operation
    */
   async cleanupTempFiles() {
-    const tempPath = this.tempUploadPath;
     const cutoffTime = Date.now() - 24 * 60 * 60 * 1000; // 24 hours ago
 
     try {
-      // Recursively find files older than cutoff time
-      const findOldFiles = async (dir) => {
-        const oldFiles = [];
-        try {
-          const items = await fs.readdir(dir, { withFileTypes: true });
-
-          for (const item of items) {
-            const itemPath = path.join(dir, item.name);
-
-            if (item.isDirectory()) {
-              // Process subdirectories
-              const subDirFiles = await findOldFiles(itemPath);
-              oldFiles.push(...subDirFiles);
-
-              // Check if directory is now empty
-              try {
-                const remaining = await fs.readdir(itemPath);
-                if (remaining.length === 0) {
-                  oldFiles.push(itemPath);
-                }
-              } catch (e) {
-                // Directory might have been deleted
-              }
-            } else {
-              // Check file modification time
-              const stats = await fs.stat(itemPath);
-              if (stats.mtime.getTime() < cutoffTime) {
-                oldFiles.push(itemPath);
-              }
-            }
-          }
-        } catch (error) {
-          if (error.code !== 'ENOENT') {
-            console.error(`Error scanning directory ${dir}:`, error);
-            throw error;
-          }
-        }
-        return oldFiles;
-      };
-
-      const filesToDelete = await findOldFiles(tempPath);
+      // Find files older than cutoff time (the local driver removes emptied directories itself)
+      const files = await this.driver.list('temp/');
+      const filesToDelete = files
+        .filter((file) => file.lastModified.getTime() < cutoffTime)
+        .map((file) => file.key);
 
       if (filesToDelete.length === 0) {
         return { success: true, deleted: [], errors: [] };
       }
 
-      // Delete all old files and empty directories
-      const result = await this.deleteFiles(filesToDelete, {
-        recursive: true,
-        force: true,
-      });
+      // Delete all old files
+      const result = await this.deleteFiles(filesToDelete);
 
       if (result.deleted.length > 0) {
-        console.log(
-          `Cleaned up ${result.deleted.length} temporary files and directories`
-        );
+        console.log(`Cleaned up ${result.deleted.length} temporary files`);
       }
 
       return result;
@@ -549,7 +910,7 @@ class ImageService {
       return {
         success: false,
         deleted: [],
-        errors: [{ path: tempPath, error }],
+        errors: [{ path: 'temp/', error }],
       };
     }
   }
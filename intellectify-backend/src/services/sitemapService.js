@@ -0,0 +1,218 @@
+const prisma = require('../config/database');
+const { escapeXml } = require('../utils/xmlHelper');
+const { getSiteUrl, getContentUrl, getCategoryUrl } = require('../utils/urlHelper');
+
+// Protocol limit for a single sitemap file
+const SITEMAP_MAX_URLS = 50000;
+
+// How long generated files are reused before hitting the database again.
+// Publishing or unpublishing content clears the cache right away.
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+
+/**
+ * Sitemap Service
+ *
+ * Generates sitemap.xml and robots.txt for the public site from the Content
+ * table. Small sites get a single <urlset>; once the URL count passes the
+ * per-file limit, /sitemap.xml becomes a <sitemapindex> pointing at:
+ * - /sitemaps/pages.xml (home page and category landing pages)
+ * - /sitemaps/content-1.xml, content-2.xml, ... (published articles)
+ *
+ * URLs point at the webapp (FRONTEND_URL), which is expected to proxy
+ * /sitemap.xml, /sitemaps/* and /robots.txt to this service.
+ */
+class SitemapService {
+  constructor() {
+    this.cache = new Map();
+    this.maxUrlsPerSitemap = SITEMAP_MAX_URLS;
+  }
+
+  /**
+   * Get /sitemap.xml (a urlset, or a sitemap index for large sites)
+   *
+   * @returns {Promise<string>} - Sitemap XML
+   */
+  async getSitemap() {
+    return this.cached('sitemap.xml', async () => {
+      const [pages, total] = await Promise.all([
+        this.getPageEntries(),
+        prisma.content.count({ where: { status: 'PUBLISHED', deletedAt: null } })
+      ]);
+
+      if (pages.length + total <= this.maxUrlsPerSitemap) {
+        const articles = await this.getContentEntries();
+        return this.buildUrlset([...pages, ...articles]);
+      }
+
+      const chunks = Math.ceil(total / this.maxUrlsPerSitemap);
+      const sitemaps = [
+        { loc: getSiteUrl('/sitemaps/pages.xml'), lastmod: pages[0]?.lastmod },
+        ...Array.from({ length: chunks }, (_, index) => ({
+          loc: getSiteUrl(`/sitemaps/content-${index + 1}.xml`)
+        }))
+      ];
+
+      return this.buildIndex(sitemaps);
+    });
+  }
+
+  /**
+   * Get one file of a sitemap index
+   *
+   * @param {string} name - 'pages' or 'content-<n>'
+   * @returns {Promise<string|null>} - Sitemap XML, or null if there is no such file
+   */
+  async getSitemapPage(name) {
+    if (name === 'pages') {
+      return this.cached(name, async () => this.buildUrlset(await this.getPageEntries()));
+    }
+
+    const match = /^content-([1-9]\d*)$/.exec(name);
+    if (!match) {
+      return null;
+    }
+
+    const page = parseInt(match[1]);
+
+    return this.cached(name, async () => {
+      const articles = await this.getContentEntries(page);
+      // Page 1 always exists (possibly empty); later pages only when they have items
+      return page === 1 || articles.length > 0 ? this.buildUrlset(articles) : null;
+    });
+  }
+
+  /**
+   * Get /robots.txt
+   *
+   * @returns {string} - robots.txt body
+   */
+  getRobots() {
+    return [
+      'User-agent: *',
+      'Disallow: /admin',
+      'Disallow: /api/admin/',
+      '',
+      `Sitemap: ${getSiteUrl('/sitemap.xml')}`,
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Drop all generated sitemaps so the next request rebuilds them
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Home page and category landing pages that have published content
+   *
+   * @returns {Promise<Object[]>} - Entries of { loc, lastmod }
+   */
+  async getPageEntries() {
+    const categories = await prisma.content.groupBy({
+      by: ['category'],
+      where: { status: 'PUBLISHED', deletedAt: null, category: { not: null } },
+      _max: { updatedAt: true },
+      orderBy: { category: 'asc' }
+    });
+
+    const categoryEntries = categories.map(({ category, _max }) => ({
+      loc: getCategoryUrl(category),
+      lastmod: _max.updatedAt
+    }));
+
+    // The home page changes whenever any listed article does
+    const latest = categoryEntries.reduce(
+      (max, { lastmod }) => (lastmod && (!max || lastmod > max) ? lastmod : max),
+      null
+    );
+
+    return [{ loc: getSiteUrl('/'), lastmod: latest }, ...categoryEntries];
+  }
+
+  /**
+   * Published articles, oldest first so existing files stay stable as new content is added
+   *
+   * @param {number} [page] - 1-based file number; omit to get every article
+   * @returns {Promise<Object[]>} - Entries of { loc, lastmod }
+   */
+  async getContentEntries(page) {
+    const items = await prisma.content.findMany({
+      where: { status: 'PUBLISHED', deletedAt: null },
+      select: { slug: true, updatedAt: true },
+      orderBy: [{ publishedAt: 'asc' }, { id: 'asc' }],
+      ...(page && {
+        skip: (page - 1) * this.maxUrlsPerSitemap,
+        take: this.maxUrlsPerSitemap
+      })
+    });
+
+    return items.map(({ slug, updatedAt }) => ({
+      loc: getContentUrl(slug),
+      lastmod: updatedAt
+    }));
+  }
+
+  /**
+   * @param {Object[]} entries - Entries of { loc, lastmod }
+   * @returns {string} - <urlset> XML
+   */
+  buildUrlset(entries) {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<urlset xmlns="${SITEMAP_NAMESPACE}">`,
+      ...entries.map((entry) => `  <url>${this.buildLocation(entry)}</url>`),
+      '</urlset>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * @param {Object[]} sitemaps - Entries of { loc, lastmod }
+   * @returns {string} - <sitemapindex> XML
+   */
+  buildIndex(sitemaps) {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<sitemapindex xmlns="${SITEMAP_NAMESPACE}">`,
+      ...sitemaps.map((entry) => `  <sitemap>${this.buildLocation(entry)}</sitemap>`),
+      '</sitemapindex>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * @param {Object} entry - { loc, lastmod }
+   * @returns {string} - <loc> and optional <lastmod> elements
+   */
+  buildLocation({ loc, lastmod }) {
+    const lastmodXml = lastmod ? `<lastmod>${new Date(lastmod).toISOString()}</lastmod>` : '';
+    return `<loc>${escapeXml(loc)}</loc>${lastmodXml}`;
+  }
+
+  /**
+   * Return a cached file or build and cache it
+   *
+   * @param {string} key - Cache key
+   * @param {Function} build - Async builder; a null result isn't cached
+   * @returns {Promise<string|null>} - File body
+   */
+  async cached(key, build) {
+    const entry = this.cache.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.body;
+    }
+
+    const body = await build();
+    if (body !== null) {
+      this.cache.set(key, { body, expiresAt: Date.now() + CACHE_TTL_MS });
+    }
+
+    return body;
+  }
+}
+
+module.exports = new SitemapService();
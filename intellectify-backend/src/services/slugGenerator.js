@@ -1,4 +1,24 @@
+const crypto = require('crypto');
+const { transliterate } = require('transliteration');
 const prisma = require('../config/database');
+const AppError = require('../utils/appError');
+const ValidationHelper = require('../utils/validationHelper');
+
+// Path segments used by the public content routes (and ones planned for them).
+// Content with one of these slugs would be unreachable at /api/content/:slug.
+const RESERVED_SLUGS = [
+  'admin',
+  'api',
+  'atom',
+  'categories',
+  'feed',
+  'rss',
+  'search',
+  'sitemap',
+  'tags'
+];
+
+const MAX_SLUG_LENGTH = 100;
 
 /**
  * Slug Generation Module
@@ -7,32 +27,128 @@ const prisma = require('../config/database');
  * Slugs are used for SEO-friendly URLs and must be unique across all content.
  *
  * Features:
- * - Converts titles to URL-friendly format
+ * - Converts titles to URL-friendly format (non-Latin scripts are transliterated)
+ * - Falls back to a short random id when a title has nothing to transliterate
+ * - Validates custom slugs set by admins
  * - Ensures uniqueness by appending numbers if needed
  * - Handles special characters and spaces
  * - Supports exclusion for updates
+ * - Keeps previous slugs reserved so old links can redirect
  */
 class SlugGenerator {
   /**
    * Generate a URL-friendly slug from a title
    *
    * Process:
-   * 1. Convert to lowercase
-   * 2. Trim whitespace
-   * 3. Remove special characters
-   * 4. Replace spaces/underscores with hyphens
-   * 5. Remove leading/trailing hyphens
+   * 1. Transliterate to ASCII ("বাংলা" -> "baanlaa", "Café" -> "Cafe")
+   * 2. Convert to lowercase
+   * 3. Trim whitespace
+   * 4. Remove special characters
+   * 5. Replace spaces/underscores with hyphens
+   * 6. Remove leading/trailing hyphens
+   * 7. Cut to the maximum slug length
+   *
+   * May return an empty string (e.g. a title made only of emoji);
+   * ensureUniqueSlug swaps that for a fallback slug.
    *
    * @param {string} title - The content title
    * @returns {string} - URL-friendly slug
    */
   static generateSlug(title) {
-    return title
+    return transliterate(title)
       .toLowerCase()
       .trim()
       .replace(/[^\w\s-]/g, '') // Remove special characters
       .replace(/[\s_-]+/g, '-') // Replace spaces and underscores with hyphens
-      .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
+      .replace(/^-+|-+$/g, '') // Remove leading/trailing hyphens
+      .slice(0, MAX_SLUG_LENGTH)
+      .replace(/-+$/g, ''); // Cutting may leave a trailing hyphen
+  }
+
+  /**
+   * Generate a slug for titles that produce no usable characters
+   *
+   * @returns {string} - Slug like "content-3f9a1c2b"
+   */
+  static generateFallbackSlug() {
+    return `content-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * Check whether a slug is reserved for routing
+   *
+   * @param {string} slug - Slug to check
+   * @returns {boolean} - True if the slug can't be used for content
+   */
+  static isReservedSlug(slug) {
+    return RESERVED_SLUGS.includes(slug);
+  }
+
+  /**
+   * Check whether a slug is used by other content, now or in its slug history
+   *
+   * Previous slugs of other content count as taken, so an old link never
+   * starts pointing at a different article.
+   *
+   * @param {string} slug - Slug to check
+   * @param {string} excludeId - Content ID to ignore (for updates)
+   * @returns {Promise<boolean>} - True if another article owns the slug
+   */
+  static async isSlugTaken(slug, excludeId = null) {
+    const existing = await prisma.content.findFirst({
+      where: {
+        slug,
+        // Exclude current content when updating (finds any content that has this slug except the current content)
+        ...(excludeId && { id: { not: excludeId } }),
+      },
+    });
+
+    if (existing) {
+      return true;
+    }
+
+    // Slugs another article used before are reserved for its redirects
+    const previous = await prisma.contentSlugHistory.findFirst({
+      where: {
+        slug,
+        ...(excludeId && { contentId: { not: excludeId } }),
+      },
+    });
+
+    return Boolean(previous);
+  }
+
+  /**
+   * Validate a slug chosen by an admin
+   *
+   * Unlike generated slugs, a custom slug is never changed to make it unique:
+   * if it's taken the request fails so the admin can pick another one.
+   *
+   * @param {string} slug - Requested slug
+   * @param {string} excludeId - Content ID to ignore (for updates)
+   * @returns {Promise<string>} - The slug, trimmed
+   * @throws {AppError} - 400 if the format is invalid or reserved, 409 if taken
+   */
+  static async validateCustomSlug(slug, excludeId = null) {
+    const trimmed = typeof slug === 'string' ? slug.trim() : slug;
+
+    if (!ValidationHelper.isValidSlug(trimmed) || trimmed.length > MAX_SLUG_LENGTH) {
+      throw new AppError(
+        `Slug must be at most ${MAX_SLUG_LENGTH} lowercase letters, numbers and single hyphens`,
+        400,
+        'INVALID_SLUG'
+      );
+    }
+
+    if (SlugGenerator.isReservedSlug(trimmed)) {
+      throw new AppError(`Slug "${trimmed}" is reserved`, 400, 'RESERVED_SLUG');
+    }
+
+    if (await SlugGenerator.isSlugTaken(trimmed, excludeId)) {
+      throw new AppError(`Slug "${trimmed}" is already in use`, 409, 'SLUG_TAKEN');
+    }
+
+    return trimmed;
   }
 
   /**
@@ -40,25 +156,23 @@ class SlugGenerator {
    *
    * If a slug already exists, this method will append a number to make it unique.
    * For example: "my-post" -> "my-post-1" -> "my-post-2", etc.
+   * Reserved route words are treated as taken ("search" -> "search-1"), and an
+   * empty base slug is replaced with a fallback slug.
    *
    * @param {string} baseSlug - The base slug to check
    * @param {string} excludeId - Content ID to exclude from uniqueness check (for updates)
    * @returns {Promise<string>} - Unique slug
    */
   static async ensureUniqueSlug(baseSlug, excludeId = null) {
+    if (!baseSlug) {
+      baseSlug = SlugGenerator.generateFallbackSlug();
+    }
+
     let slug = baseSlug;
     let counter = 1;
 
     while (true) {
-      const existing = await prisma.content.findFirst({
-        where: {
-          slug,
-          // Exclude current content when updating (finds any content that has this slug except the current content)
-          ...(excludeId && { id: { not: excludeId } }),
-        },
-      });
-
-      if (!existing) {
+      if (!SlugGenerator.isReservedSlug(slug) && !(await SlugGenerator.isSlugTaken(slug, excludeId))) {
         return slug;
       }
 
@@ -67,6 +181,54 @@ class SlugGenerator {
     }
   }
 
+  /**
+   * Remember a slug change so the old slug keeps working as a redirect
+   *
+   * The old slug is added to the history and, if the content is moving back
+   * to a slug it used before, that slug leaves the history again.
+   *
+   * @param {string} contentId - ID of the content
+   * @param {string} oldSlug - Slug before the change
+   * @param {string} newSlug - Slug after the change
+   */
+  static async recordSlugChange(contentId, oldSlug, newSlug) {
+    if (!oldSlug || oldSlug === newSlug) {
+      return;
+    }
+
+    await prisma.contentSlugHistory.upsert({
+      where: { slug: oldSlug },
+      update: { contentId },
+      create: { slug: oldSlug, contentId },
+    });
+
+    await prisma.contentSlugHistory.deleteMany({
+      where: { slug: newSlug, contentId },
+    });
+  }
+
+  /**
+   * Find the current slug of published content that used to live at the given slug
+   *
+   * @param {string} slug - A previous slug
+   * @returns {Promise<string|null>} - Current slug, or null if there is nothing to redirect to
+   */
+  static async findRedirectSlug(slug) {
+    const history = await prisma.contentSlugHistory.findFirst({
+      where: {
+        slug,
+        contentItem: { status: 'PUBLISHED', deletedAt: null },
+      },
+      select: {
+        contentItem: {
+          select: { slug: true },
+        },
+      },
+    });
+
+    return history?.contentItem.slug || null;
+  }
+
   /**
    * Generate a unique slug from a title
    * @param {string} title - The content title
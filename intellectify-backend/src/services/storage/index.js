@@ -0,0 +1,47 @@
+const storageConfig = require('../../config/storage');
+const LocalStorageDriver = require('./localStorageDriver');
+
+/**
+ * Storage drivers
+ *
+ * A driver stores files under keys: "/"-separated paths such as
+ * "content/general/2025/08/<contentId>/photo.jpg" or "temp/...". Every
+ * driver has the same methods:
+ *
+ * - initialize(): prepare the storage (create the directory, check the bucket)
+ * - put(key, buffer, { contentType }): store a file, replacing any existing one
+ * - get(key): the file content as a Buffer, or null
+ * - stream(key, { start, end }): a readable stream of the file (or of a byte range), or null
+ * - stat(key): { size, lastModified }, or null
+ * - delete(key): delete a file; missing files are ignored
+ * - list(prefix): every { key, size, lastModified } whose key starts with prefix
+ * - move(fromKey, toKey): move a file to another key
+ *
+ * Keys are built by fileStorageService from checked path segments; drivers
+ * don't interpret them beyond mapping them to files or objects.
+ */
+
+/**
+ * Create the driver chosen in the storage configuration
+ *
+ * @param {Object} [config] - Storage configuration (defaults to config/storage)
+ * @returns {LocalStorageDriver|S3StorageDriver} - Storage driver
+ */
+const createStorageDriver = (config = storageConfig) => {
+  switch (config.driver) {
+    case 'local':
+      return new LocalStorageDriver(config.local);
+    case 's3': {
+      // Loaded on demand so local installs don't pay for the AWS SDK
+      const S3StorageDriver = require('./s3StorageDriver');
+      return new S3StorageDriver(config.s3);
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${config.driver}" (expected "local" or "s3")`);
+  }
+};
+
+module.exports = {
+  createStorageDriver,
+  LocalStorageDriver,
+};
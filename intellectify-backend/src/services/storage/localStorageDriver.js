@@ -0,0 +1,235 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+
+/**
+ * Local Disk Storage Driver
+ *
+ * Keeps every key as a file under the root directory ("content/a/b.jpg" ->
+ * <root>/content/a/b.jpg). Keys can never reach outside the root, also not
+ * through symlinks. Directories are created on write and removed again
+ * once they are empty.
+ */
+class LocalStorageDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.root - Directory the keys are stored under
+   */
+  constructor({ root }) {
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Full path of a key
+   *
+   * @param {string} key - Storage key
+   * @returns {string|null} - Full path, or null if the key points outside the root
+   */
+  resolve(key) {
+    const fullPath = path.resolve(this.root, ...String(key).split('/'));
+    return fullPath.startsWith(this.root + path.sep) ? fullPath : null;
+  }
+
+  /**
+   * Find the regular file stored under a key, with symlinks resolved
+   *
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} - { fullPath, stats }, or null if there is no such file
+   */
+  async resolveFile(key) {
+    const fullPath = this.resolve(key);
+    if (!fullPath) {
+      return null;
+    }
+
+    try {
+      const [root, realPath] = await Promise.all([
+        fsp.realpath(this.root),
+        fsp.realpath(fullPath)
+      ]);
+
+      if (!realPath.startsWith(root + path.sep)) {
+        return null;
+      }
+
+      const stats = await fsp.stat(realPath);
+      return stats.isFile() ? { fullPath: realPath, stats } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create the root directory
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await fsp.mkdir(this.root, { recursive: true });
+  }
+
+  /**
+   * Store a file, replacing any file with the same key
+   *
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File content
+   * @returns {Promise<void>}
+   */
+  async put(key, buffer) {
+    const fullPath = this.resolve(key);
+    if (!fullPath) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    await fsp.mkdir(path.dirname(fullPath), { recursive: true });
+    await fsp.writeFile(fullPath, buffer);
+  }
+
+  /**
+   * Read a file
+   *
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer|null>} - File content, or null if there is no such file
+   */
+  async get(key) {
+    const file = await this.resolveFile(key);
+    return file ? await fsp.readFile(file.fullPath) : null;
+  }
+
+  /**
+   * Open a file for streaming
+   *
+   * @param {string} key - Storage key
+   * @param {Object} [range] - { start, end } byte offsets, both inclusive
+   * @returns {Promise<stream.Readable|null>} - File content, or null if there is no such file
+   */
+  async stream(key, { start, end } = {}) {
+    const file = await this.resolveFile(key);
+    return file ? fs.createReadStream(file.fullPath, { start, end }) : null;
+  }
+
+  /**
+   * Get the size and modification time of a file
+   *
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} - { size, lastModified }, or null if there is no such file
+   */
+  async stat(key) {
+    const file = await this.resolveFile(key);
+    return file ? { size: file.stats.size, lastModified: file.stats.mtime } : null;
+  }
+
+  /**
+   * Delete a file (nothing happens if there is none)
+   *
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const fullPath = this.resolve(key);
+    if (!fullPath) {
+      return;
+    }
+
+    try {
+      await fsp.unlink(fullPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    await this.removeEmptyDirectories(path.dirname(fullPath));
+  }
+
+  /**
+   * List the files whose key starts with a prefix, in all subdirectories
+   *
+   * @param {string} [prefix=''] - Key prefix, e.g. "temp/" or "content/a/photo.w"
+   * @returns {Promise<Object[]>} - Array of { key, size, lastModified }
+   */
+  async list(prefix = '') {
+    // Start from the deepest directory the prefix names in full
+    const directory = prefix.slice(0, prefix.lastIndexOf('/') + 1);
+    const start = directory ? this.resolve(directory) : this.root;
+    if (!start) {
+      return [];
+    }
+
+    const files = [];
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fsp.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+          return;
+        }
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        const key = path.relative(this.root, fullPath).split(path.sep).join('/');
+
+        if (entry.isDirectory()) {
+          if (`${key}/`.startsWith(prefix) || prefix.startsWith(`${key}/`)) {
+            await walk(fullPath);
+          }
+        } else if (entry.isFile() && key.startsWith(prefix)) {
+          const stats = await fsp.stat(fullPath);
+          files.push({ key, size: stats.size, lastModified: stats.mtime });
+        }
+      }
+    };
+
+    await walk(start);
+    return files;
+  }
+
+  /**
+   * Move a file to another key
+   *
+   * @param {string} fromKey - Current key
+   * @param {string} toKey - New key
+   * @returns {Promise<void>}
+   */
+  async move(fromKey, toKey) {
+    const file = await this.resolveFile(fromKey);
+    const toPath = this.resolve(toKey);
+    if (!file || !toPath) {
+      const error = new Error(`Cannot move ${fromKey} to ${toKey}: no such file`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+
+    await fsp.mkdir(path.dirname(toPath), { recursive: true });
+    await fsp.rename(file.fullPath, toPath);
+    await this.removeEmptyDirectories(path.dirname(file.fullPath));
+  }
+
+  /**
+   * Remove a directory and its parents up to the root while they are empty
+   *
+   * @param {string} dir - Full path of the directory
+   * @returns {Promise<void>}
+   */
+  async removeEmptyDirectories(dir) {
+    let current = dir;
+    while (current.startsWith(this.root + path.sep)) {
+      try {
+        await fsp.rmdir(current);
+      } catch (error) {
+        if (['ENOTEMPTY', 'EEXIST', 'ENOENT', 'ENOTDIR'].includes(error.code)) {
+          return;
+        }
+        throw error;
+      }
+      current = path.dirname(current);
+    }
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,221 @@
+const {
+  S3Client,
+  HeadBucketCommand,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+  CopyObjectCommand,
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Whether an S3 error means the object doesn't exist
+ * @param {Error} error - Error from the S3 client
+ * @returns {boolean}
+ */
+const isNotFound = (error) => (
+  error.name === 'NoSuchKey' ||
+  error.name === 'NotFound' ||
+  error.$metadata?.httpStatusCode === 404
+);
+
+/**
+ * S3-Compatible Storage Driver
+ *
+ * Keeps every key as an object in a bucket, optionally under a prefix so
+ * several environments can share one bucket. Works with AWS S3 and with
+ * S3-compatible servers such as MinIO (set endpoint and forcePathStyle).
+ */
+class S3StorageDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} [options.prefix] - Prefix added to every key, e.g. "staging"
+   * @param {string} [options.region] - Region
+   * @param {string} [options.endpoint] - Server URL, for S3-compatible servers
+   * @param {boolean} [options.forcePathStyle] - Use bucket-in-path URLs (needed by MinIO)
+   * @param {string} [options.accessKeyId] - Access key (defaults to the AWS credential chain)
+   * @param {string} [options.secretAccessKey] - Secret key
+   * @param {S3Client} [options.client] - Client to use instead of creating one
+   */
+  constructor({
+    bucket,
+    prefix = '',
+    region,
+    endpoint,
+    forcePathStyle,
+    accessKeyId,
+    secretAccessKey,
+    client,
+  }) {
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    this.bucket = bucket;
+    this.prefix = prefix.replace(/^\/+|\/+$/g, '');
+    this.prefix = this.prefix ? `${this.prefix}/` : '';
+    this.client = client || new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+  }
+
+  /**
+   * Object key of a storage key
+   * @param {string} key - Storage key
+   * @returns {string}
+   */
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  /**
+   * Check that the bucket can be reached
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }));
+  }
+
+  /**
+   * Store a file, replacing any file with the same key
+   *
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File content
+   * @param {Object} [options]
+   * @param {string} [options.contentType] - MIME type to store with the object
+   * @returns {Promise<void>}
+   */
+  async put(key, buffer, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: buffer,
+      ContentType: contentType,
+    }));
+  }
+
+  /**
+   * Read a file
+   *
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer|null>} - File content, or null if there is no such file
+   */
+  async get(key) {
+    const body = await this.stream(key);
+    if (!body) {
+      return null;
+    }
+
+    return Buffer.from(await body.transformToByteArray());
+  }
+
+  /**
+   * Open a file for streaming
+   *
+   * @param {string} key - Storage key
+   * @param {Object} [range] - { start, end } byte offsets, both inclusive
+   * @returns {Promise<stream.Readable|null>} - File content, or null if there is no such file
+   */
+  async stream(key, { start, end } = {}) {
+    try {
+      const { Body } = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Range: start === undefined ? undefined : `bytes=${start}-${end === undefined ? '' : end}`,
+      }));
+      return Body;
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the size and modification time of a file
+   *
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} - { size, lastModified }, or null if there is no such file
+   */
+  async stat(key) {
+    try {
+      const { ContentLength, LastModified } = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+      }));
+      return { size: ContentLength, lastModified: LastModified };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a file (nothing happens if there is none)
+   *
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+    }));
+  }
+
+  /**
+   * List the files whose key starts with a prefix
+   *
+   * @param {string} [prefix=''] - Key prefix, e.g. "temp/" or "content/a/photo.w"
+   * @returns {Promise<Object[]>} - Array of { key, size, lastModified }
+   */
+  async list(prefix = '') {
+    const files = [];
+    let ContinuationToken;
+
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.objectKey(prefix),
+        ContinuationToken,
+      }));
+
+      (page.Contents || []).forEach(({ Key, Size, LastModified }) => {
+        files.push({ key: Key.slice(this.prefix.length), size: Size, lastModified: LastModified });
+      });
+
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return files;
+  }
+
+  /**
+   * Move a file to another key
+   * S3 has no rename, so the object is copied and the original deleted.
+   *
+   * @param {string} fromKey - Current key
+   * @param {string} toKey - New key
+   * @returns {Promise<void>}
+   */
+  async move(fromKey, toKey) {
+    const source = this.objectKey(fromKey).split('/').map(encodeURIComponent).join('/');
+
+    await this.client.send(new CopyObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(toKey),
+      CopySource: `${this.bucket}/${source}`,
+    }));
+    await this.delete(fromKey);
+  }
+}
+
+module.exports = S3StorageDriver;
@@ -0,0 +1,97 @@
+const prisma = require('../config/database');
+const AppError = require('../utils/appError');
+const SlugGenerator = require('./slugGenerator');
+
+/**
+ * Tag Service
+ *
+ * Tags are shared between content items and identified by a normalised slug,
+ * so "Node.js", "node js" and "NODE-JS" map to one tag. The display name is
+ * kept as it was first entered.
+ */
+class TagService {
+  /**
+   * Normalise raw tag names into unique { name, slug } pairs
+   *
+   * @param {string[]} tags - Tag names as entered by the editor
+   * @returns {Object[]} - Deduplicated tags in input order
+   * @throws {AppError} - If a tag contains markup or has no letters/numbers
+   */
+  normalizeTags(tags = []) {
+    const seen = new Set();
+    const normalized = [];
+
+    tags.forEach((tag) => {
+      const name = tag.trim().replace(/\s+/g, ' ');
+
+      if (/[<>]/.test(name)) {
+        throw new AppError('Tags cannot contain HTML', 400, 'VALIDATION_ERROR');
+      }
+
+      const slug = SlugGenerator.generateSlug(name);
+      if (!slug) {
+        throw new AppError(`Tag "${name}" must contain letters or numbers`, 400, 'VALIDATION_ERROR');
+      }
+
+      if (!seen.has(slug)) {
+        seen.add(slug);
+        normalized.push({ name, slug });
+      }
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Find or create tags and return their IDs for connecting to content
+   *
+   * @param {string[]} tags - Tag names as entered by the editor
+   * @returns {Promise<Object[]>} - Array of { id } ready for connect/set
+   */
+  async resolveTags(tags = []) {
+    const normalized = this.normalizeTags(tags);
+    if (normalized.length === 0) {
+      return [];
+    }
+
+    // Existing slugs keep their original display name
+    await prisma.tag.createMany({
+      data: normalized,
+      skipDuplicates: true
+    });
+
+    const records = await prisma.tag.findMany({
+      where: { slug: { in: normalized.map((tag) => tag.slug) } },
+      select: { id: true }
+    });
+
+    return records.map(({ id }) => ({ id }));
+  }
+
+  /**
+   * List tags used by published content with usage counts
+   *
+   * @returns {Promise<Object[]>} - Tags sorted by usage (most used first), then name
+   */
+  async getTagsWithCounts() {
+    const tags = await prisma.tag.findMany({
+      select: {
+        id: true,
+        name: true,
+        slug: true,
+        _count: {
+          select: {
+            contents: { where: { status: 'PUBLISHED', deletedAt: null } }
+          }
+        }
+      }
+    });
+
+    return tags
+      .map(({ _count, ...tag }) => ({ ...tag, count: _count.contents }))
+      .filter((tag) => tag.count > 0)
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+}
+
+module.exports = new TagService();
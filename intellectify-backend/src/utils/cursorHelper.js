@@ -0,0 +1,234 @@
+const AppError = require('./appError');
+
+/**
+ * Keyset (cursor) pagination helpers
+ *
+ * A listing is described by its sort keys, the last one unique (usually id)
+ * so every row has a distinct position. Keys sort descending unless they
+ * say otherwise:
+ *
+ *   [{ field: 'priority' }, { field: 'publishedAt', type: 'date', nullable: true }, { field: 'id' }]
+ *   [{ field: 'title', order: 'asc' }, { field: 'id', order: 'asc' }]
+ *
+ * Nullable keys follow Postgres' defaults: nulls sort as the largest value
+ * (first when descending, last when ascending).
+ *
+ * A cursor is an opaque base64url string holding the sort key values of the
+ * first or last row of a page and which way to read from there. Pages are
+ * read with a WHERE on those values instead of an offset, so they stay fast
+ * deep into a listing and don't skip or repeat rows when rows are added
+ * or removed in between.
+ */
+
+/**
+ * Short description of a sort, stored in cursors so a cursor from one
+ * listing order isn't read against another, e.g. "publishedAt-,id-"
+ *
+ * @param {Object[]} keys - Sort keys
+ * @returns {string} - Sort signature
+ */
+const getSortSignature = (keys) => keys
+  .map(({ field, order = 'desc' }) => `${field}${order === 'asc' ? '+' : '-'}`)
+  .join(',');
+
+/**
+ * Encode the position of a row
+ *
+ * @param {Object} row - Row with the sort key fields
+ * @param {Object[]} keys - Sort keys
+ * @param {string} direction - 'next' (rows after this one) or 'prev' (rows before it)
+ * @returns {string} - Opaque cursor
+ */
+const encodeCursor = (row, keys, direction) => {
+  const values = keys.map(({ field, type }) => {
+    const value = row[field];
+    return type === 'date' && value ? new Date(value).toISOString() : value;
+  });
+
+  return Buffer
+    .from(JSON.stringify({ d: direction, s: getSortSignature(keys), k: values }))
+    .toString('base64url');
+};
+
+/**
+ * Decode and validate a cursor
+ *
+ * @param {*} cursor - Cursor from the request
+ * @param {Object[]} keys - Sort keys of the listing
+ * @returns {Object} - { direction, values } with dates as Date objects
+ * @throws {AppError} - 400 INVALID_CURSOR if it isn't a cursor for this listing
+ */
+const decodeCursor = (cursor, keys) => {
+  const invalid = new AppError('Invalid cursor', 400, 'INVALID_CURSOR');
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw invalid;
+  }
+
+  if (
+    !decoded ||
+    !['next', 'prev'].includes(decoded.d) ||
+    decoded.s !== getSortSignature(keys) ||
+    !Array.isArray(decoded.k) ||
+    decoded.k.length !== keys.length
+  ) {
+    throw invalid;
+  }
+
+  const values = keys.map(({ type, nullable }, index) => {
+    const value = decoded.k[index];
+
+    if (value === null) {
+      if (!nullable) {
+        throw invalid;
+      }
+      return null;
+    }
+
+    if (type === 'date') {
+      const date = new Date(value);
+      if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+        throw invalid;
+      }
+      return date;
+    }
+
+    if (typeof value !== 'string' && !Number.isFinite(value)) {
+      throw invalid;
+    }
+    return value;
+  });
+
+  return { direction: decoded.d, values };
+};
+
+/**
+ * Condition for rows on one side of a position on a single key
+ *
+ * @param {Object} key - Sort key
+ * @param {*} value - Value at the position
+ * @param {boolean} before - Rows before the position instead of after it
+ * @returns {Object|null} - Prisma condition, or null if no row can qualify
+ */
+const beyond = ({ field, nullable, order = 'desc' }, value, before) => {
+  // Reading on in an ascending key (or back in a descending one) means larger values
+  const towardsLarger = (order === 'asc') !== before;
+
+  // Nulls are larger than any value
+  if (value === null) {
+    return towardsLarger ? null : { [field]: { not: null } };
+  }
+
+  if (!towardsLarger) {
+    return { [field]: { lt: value } };
+  }
+
+  return nullable
+    ? { OR: [{ [field]: { gt: value } }, { [field]: null }] }
+    : { [field]: { gt: value } };
+};
+
+/**
+ * Prisma WHERE for rows after (or before) a position
+ *
+ * (a, b, c) after (x, y, z) is: a after x, or a = x and b after y, or
+ * a = x and b = y and c after z.
+ *
+ * @param {Object[]} keys - Sort keys
+ * @param {Array} values - Sort key values at the position
+ * @param {boolean} before - Rows before the position instead of after it
+ * @returns {Object} - Prisma condition
+ */
+const buildCursorWhere = (keys, values, before) => ({
+  OR: keys
+    .map((key, index) => {
+      const condition = beyond(key, values[index], before);
+      if (!condition) {
+        return null;
+      }
+
+      const equal = keys.slice(0, index).map(({ field }, i) => ({ [field]: values[i] }));
+      return { AND: [...equal, condition] };
+    })
+    .filter(Boolean)
+});
+
+/**
+ * Prisma orderBy for sort keys
+ *
+ * @param {Object[]} keys - Sort keys
+ * @param {boolean} [reverse=false] - Flip every key (to read a listing backwards)
+ * @returns {Object[]} - Prisma orderBy
+ */
+const getOrderBy = (keys, reverse = false) => keys.map(({ field, order = 'desc' }) => {
+  const flipped = order === 'asc' ? 'desc' : 'asc';
+  return { [field]: reverse ? flipped : order };
+});
+
+/**
+ * Prisma query arguments for one page of a listing
+ *
+ * One extra row is fetched to tell whether there is another page.
+ *
+ * @param {Object} where - Filters of the listing
+ * @param {Object[]} keys - Sort keys
+ * @param {string} cursor - Cursor from the request ('' for the first page)
+ * @param {number} limit - Items per page
+ * @returns {Object} - { where, orderBy, take }
+ * @throws {AppError} - 400 INVALID_CURSOR
+ */
+const getCursorQuery = (where, keys, cursor, limit) => {
+  const position = cursor ? decodeCursor(cursor, keys) : null;
+  const before = position?.direction === 'prev';
+
+  return {
+    where: position
+      ? { ...where, AND: [buildCursorWhere(keys, position.values, before)] }
+      : where,
+    // Reading backwards walks the listing in reverse; getCursorPage flips the rows back
+    orderBy: getOrderBy(keys, before),
+    take: limit + 1
+  };
+};
+
+/**
+ * Turn the rows fetched with getCursorQuery into a page
+ *
+ * @param {Object[]} rows - Rows as returned by Prisma
+ * @param {Object[]} keys - Sort keys
+ * @param {string} cursor - Cursor from the request ('' for the first page)
+ * @param {number} limit - Items per page
+ * @returns {Object} - { items, nextCursor, prevCursor } (cursors are null at either end)
+ */
+const getCursorPage = (rows, keys, cursor, limit) => {
+  const before = cursor ? decodeCursor(cursor, keys).direction === 'prev' : false;
+  const hasMore = rows.length > limit;
+
+  const items = rows.slice(0, limit);
+  if (before) {
+    items.reverse();
+  }
+
+  // The extra row tells whether the listing goes on in the reading direction;
+  // the other way there is at least the row the cursor came from
+  const hasNext = before ? true : hasMore;
+  const hasPrev = before ? hasMore : Boolean(cursor);
+
+  return {
+    items,
+    nextCursor: hasNext && items.length > 0 ? encodeCursor(items[items.length - 1], keys, 'next') : null,
+    prevCursor: hasPrev && items.length > 0 ? encodeCursor(items[0], keys, 'prev') : null
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildCursorWhere,
+  getOrderBy,
+  getCursorQuery,
+  getCursorPage,
+};
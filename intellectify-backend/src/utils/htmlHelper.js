@@ -0,0 +1,134 @@
+const DOMPurify = require('isomorphic-dompurify');
+const { JSDOM } = require('jsdom');
+
+// Rich text allowed in content bodies. Shared by the input sanitizer and
+// anything that sends stored bodies back out (e.g. feeds).
+const RICH_TEXT_SANITIZE_OPTIONS = {
+  ADD_TAGS: ['iframe'],
+  ADD_ATTR: [
+    'allowfullscreen',
+    'frameborder',
+    'allow',
+    'loading',
+    'referrerpolicy',
+    'sandbox'
+  ],
+  ALLOWED_TAGS: [
+    'p', 'br', 'strong', 'em', 'u',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'ul', 'ol', 'li', 'blockquote',
+    'a', 'img', 'figure', 'figcaption',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td',
+    'div', 'span', 'iframe'
+  ],
+  ALLOWED_ATTR: [
+    'href', 'src', 'alt', 'title', 'class', 'id',
+    'style', 'width', 'height', 'target', 'rel',
+    'frameborder', 'allowfullscreen', 'allow',
+    'loading', 'referrerpolicy', 'sandbox',
+    'srcset', 'sizes', 'data-*', 'controls', 
+    'autoplay', 'loop', 'muted', 'poster'
+  ],
+  // Allow YouTube, Vimeo, and other common video embeds
+  ADD_URI_SAFE_ATTR: [
+    'allow',
+    'allowfullscreen',
+    'frameborder',
+    'referrerpolicy',
+    'sandbox'
+  ],
+  // Only allow iframes from trusted sources
+  ALLOWED_IFRAME_SRC: [
+    /^https?:\/\/(www\.)?(youtube\.com|youtu\.be|youtube-nocookie\.com)\/.*/i,
+    /^https?:\/\/(player\.vimeo\.com|vimeo\.com)\/.*/i
+  ]
+};
+
+/**
+ * Sanitize rich text HTML
+ *
+ * Prevents XSS while preserving safe formatting, images and trusted video embeds.
+ *
+ * @param {string} html - HTML content from the editor
+ * @returns {string} - Sanitized HTML
+ */
+const sanitizeRichText = (html) => {
+  return DOMPurify.sanitize(html, RICH_TEXT_SANITIZE_OPTIONS);
+};
+
+/**
+ * Rewrite relative image and link URLs to absolute ones
+ *
+ * Stored bodies use paths like `/api/images/...`, which only work on our own
+ * pages. Anything rendered elsewhere (feed readers, email) needs full URLs.
+ *
+ * @param {string} html - HTML content
+ * @param {string} baseUrl - Origin to resolve against, e.g. "https://api.example.com"
+ * @returns {string} - HTML with absolute src/href/srcset URLs
+ */
+const absolutizeUrls = (html, baseUrl) => {
+  if (!html) {
+    return '';
+  }
+
+  const toAbsolute = (url) => {
+    try {
+      return new URL(url, baseUrl).href;
+    } catch {
+      return url;
+    }
+  };
+
+  const { document } = new JSDOM(html).window;
+
+  document.querySelectorAll('img[src], a[href]').forEach((element) => {
+    const attribute = element.hasAttribute('src') ? 'src' : 'href';
+    element.setAttribute(attribute, toAbsolute(element.getAttribute(attribute)));
+  });
+
+  document.querySelectorAll('img[srcset]').forEach((element) => {
+    const srcset = element.getAttribute('srcset')
+      .split(',')
+      .map((candidate) => {
+        const [url, ...descriptor] = candidate.trim().split(/\s+/);
+        return [toAbsolute(url), ...descriptor].join(' ');
+      })
+      .join(', ');
+    element.setAttribute('srcset', srcset);
+  });
+
+  return document.body.innerHTML;
+};
+
+/**
+ * Convert rich text HTML into plain text
+ *
+ * Tags are replaced with spaces (not removed) so words in adjacent
+ * block elements such as `<p>one</p><p>two</p>` don't run together.
+ *
+ * @param {string} html - HTML content from the editor
+ * @returns {string} - Plain text with collapsed whitespace
+ */
+const stripHtml = (html) => {
+  if (!html || typeof html !== 'string') {
+    return '';
+  }
+
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ') // Drop script/style bodies entirely
+    .replace(/<[^>]*>/g, ' ') // Replace remaining tags with spaces
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&#x27;/gi, "'")
+    .replace(/&amp;/gi, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+module.exports = {
+  sanitizeRichText,
+  absolutizeUrls,
+  stripHtml,
+};
@@ -125,6 +125,32 @@ const paginated = (res, data, currentPage, totalItems, itemsPerPage, message = n
   return success(res, data, message, 200, pagination);
 };
 
+/**
+ * Create a cursor-paginated response
+ *
+ * Cursors are opaque; clients pass them back as `cursor` to get the next or
+ * previous page. A null cursor means there is nothing further that way.
+ * @param {Object} res - Express response object
+ * @param {Array} data - Response data array
+ * @param {Object} page - Cursor page info
+ * @param {string|null} page.nextCursor - Cursor of the next page
+ * @param {string|null} page.prevCursor - Cursor of the previous page
+ * @param {number} page.limit - Items per page
+ * @param {string} message - Optional success message
+ * @returns {Object} - Express response
+ */
+const cursorPaginated = (res, data, { nextCursor = null, prevCursor = null, limit }, message = null) => {
+  const pagination = {
+    nextCursor,
+    prevCursor,
+    itemsPerPage: parseInt(limit),
+    hasNextPage: Boolean(nextCursor),
+    hasPrevPage: Boolean(prevCursor)
+  };
+
+  return success(res, data, message, 200, pagination);
+};
+
 /**
  * Create a created response (201)
  * @param {Object} res - Express response object
@@ -136,6 +162,48 @@ const created = (res, data, message = 'Resource created successfully') => {
   return success(res, data, message, 201);
 };
 
+/**
+ * Create a redirect response
+ *
+ * Sent as 200 JSON (not a 3xx) so API clients see the new location instead
+ * of the browser following it silently, and can redirect the page themselves.
+ * @param {Object} res - Express response object
+ * @param {Object} target - Where the resource now lives (e.g. { slug })
+ * @param {number} statusCode - Redirect status the client should use (default: 301)
+ * @param {string} message - Optional message
+ * @returns {Object} - Express response
+ */
+const redirect = (res, target, statusCode = 301, message = 'Resource has moved') => {
+  return res.status(200).json({
+    success: true,
+    redirect: {
+      ...target,
+      statusCode
+    },
+    message
+  });
+};
+
+/**
+ * Create a conflict response (409) for a write based on a stale version
+ *
+ * Includes the current server copy so the client can show what changed
+ * and let the user merge before saving again.
+ * @param {Object} res - Express response object
+ * @param {Object} current - Current version of the resource
+ * @param {string} message - Optional error message
+ * @param {string} code - Optional error code (default: VERSION_CONFLICT)
+ * @returns {Object} - Express response
+ */
+const conflict = (res, current, message = 'Resource was changed by someone else', code = 'VERSION_CONFLICT') => {
+  return res.status(409).json({
+    success: false,
+    error: message,
+    code,
+    current
+  });
+};
+
 /**
  * Create a no content response (204)
  * @param {Object} res - Express response object
@@ -181,7 +249,10 @@ module.exports = {
   forbidden,
   serverError,
   paginated,
+  cursorPaginated,
   created,
+  redirect,
+  conflict,
   noContent,
   asyncHandler,
   handleResult
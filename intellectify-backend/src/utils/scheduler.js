@@ -1,5 +1,6 @@
 const cron = require('node-cron');
 const imageService = require('../services/fileStorageService');
+const contentService = require('../services/contentService');
 
 class Scheduler {
   static init() {
@@ -13,6 +14,29 @@ class Scheduler {
         console.error('Error in scheduled cleanup:', error);
       }
     });
+
+    // Purge content that has been in the trash longer than the retention period, daily at 3 AM
+    cron.schedule('0 3 * * *', async () => {
+      console.log('Running scheduled task: Purge expired trash');
+      try {
+        const { purged, errors } = await contentService.purgeExpiredTrash();
+        console.log(`Purged ${purged.length} trashed content item(s), ${errors.length} failed`);
+      } catch (error) {
+        console.error('Error in trash purge:', error);
+      }
+    });
+
+    // Publish/unpublish scheduled content every minute (skip a tick if the previous run is still going)
+    cron.schedule('* * * * *', async () => {
+      try {
+        const { published, unpublished } = await contentService.processScheduledContent();
+        if (published.length > 0 || unpublished.length > 0) {
+          console.log(`Scheduled content: published ${published.length}, unpublished ${unpublished.length}`);
+        }
+      } catch (error) {
+        console.error('Error in scheduled publishing:', error);
+      }
+    }, { noOverlap: true });
   }
 }
 
@@ -0,0 +1,48 @@
+const { frontendUrl, backendUrl } = require('../config/oauth');
+
+/**
+ * Absolute URL of a path on the public site (webapp)
+ *
+ * @param {string} [path=''] - Path starting with "/"
+ * @returns {string} - Absolute URL on the webapp
+ */
+const getSiteUrl = (path = '') => {
+  return `${frontendUrl.replace(/\/+$/, '')}${path}`;
+};
+
+/**
+ * Public URL of a published article on the webapp
+ *
+ * @param {string} slug - Content slug
+ * @returns {string} - Absolute article URL
+ */
+const getContentUrl = (slug) => {
+  return getSiteUrl(`/content/${encodeURIComponent(slug)}`);
+};
+
+/**
+ * Public URL of a category landing page on the webapp
+ *
+ * @param {string} category - Category key, e.g. "WEB_DEVELOPMENT"
+ * @returns {string} - Absolute URL, e.g. ".../categories/web-development"
+ */
+const getCategoryUrl = (category) => {
+  return getSiteUrl(`/categories/${category.toLowerCase().replace(/_/g, '-')}`);
+};
+
+/**
+ * Absolute URL of an API path (images, feeds)
+ *
+ * @param {string} path - Path starting with "/", e.g. "/api/content/feed.rss"
+ * @returns {string} - Absolute URL on the backend
+ */
+const getApiUrl = (path) => {
+  return `${backendUrl.replace(/\/+$/, '')}${path}`;
+};
+
+module.exports = {
+  getSiteUrl,
+  getContentUrl,
+  getCategoryUrl,
+  getApiUrl,
+};
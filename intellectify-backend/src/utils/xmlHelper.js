@@ -0,0 +1,42 @@
+/**
+ * Whether a code point may appear in an XML 1.0 document
+ * (tab, newline, CR and everything from space up, except lone surrogates,
+ * U+FFFE and U+FFFF)
+ *
+ * @param {number} codePoint - Code point to check
+ * @returns {boolean}
+ */
+const isXmlChar = (codePoint) => (
+  codePoint === 0x9 ||
+  codePoint === 0xA ||
+  codePoint === 0xD ||
+  (codePoint >= 0x20 && codePoint <= 0xD7FF) ||
+  (codePoint >= 0xE000 && codePoint <= 0xFFFD) ||
+  codePoint >= 0x10000
+);
+
+/**
+ * Escape text for use in XML element content or attribute values
+ *
+ * @param {*} value - Value to escape (null/undefined become an empty string)
+ * @returns {string} - XML-safe string
+ */
+const escapeXml = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  // Drop characters XML 1.0 doesn't allow, such as control characters
+  return Array.from(String(value))
+    .filter((char) => isXmlChar(char.codePointAt(0)))
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+module.exports = {
+  escapeXml,
+};
@@ -337,6 +337,52 @@ describe('ResponseHelper', () => {
     });
   });
 
+  describe('redirect', () => {
+    it('should return the new location with a 301 hint', () => {
+      ResponseHelper.redirect(mockRes, { slug: 'new-slug' });
+
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        redirect: { slug: 'new-slug', statusCode: 301 },
+        message: 'Resource has moved'
+      });
+    });
+  });
+
+  describe('cursorPaginated', () => {
+    it('should return the cursors instead of page numbers', () => {
+      ResponseHelper.cursorPaginated(mockRes, [{ id: 1 }], { nextCursor: 'next', prevCursor: null, limit: 10 });
+
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: [{ id: 1 }],
+        pagination: {
+          nextCursor: 'next',
+          prevCursor: null,
+          itemsPerPage: 10,
+          hasNextPage: true,
+          hasPrevPage: false
+        }
+      });
+    });
+  });
+
+  describe('conflict', () => {
+    it('should return 409 with the current version', () => {
+      ResponseHelper.conflict(mockRes, { id: 1, version: 4 });
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Resource was changed by someone else',
+        code: 'VERSION_CONFLICT',
+        current: { id: 1, version: 4 }
+      });
+    });
+  });
+
   describe('noContent', () => {
     it('should create no content response', () => {
       ResponseHelper.noContent(mockRes);
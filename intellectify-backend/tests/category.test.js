@@ -0,0 +1,158 @@
+const request = require('supertest');
+const app = require('../app');
+const mockPrisma = require('../src/config/database');
+const categoryService = require('../src/services/categoryService');
+
+const mockAdminUser = {
+  id: 'admin-123',
+  email: 'admin@example.com',
+  role: 'ADMIN',
+  name: 'Admin User'
+};
+
+jest.mock('../src/middleware/auth', () => ({
+  authenticateAdmin: (req, res, next) => {
+    req.user = { ...mockAdminUser };
+    next();
+  },
+  authenticateUser: (req, res, next) => {
+    req.user = { ...mockAdminUser };
+    next();
+  },
+  authenticateRoles: () => (req, res, next) => {
+    req.user = { ...mockAdminUser };
+    next();
+  },
+  identifyUser: (req, res, next) => next()
+}));
+
+describe('Categories', () => {
+  const categories = [
+    { id: 'c1', key: 'PROGRAMMING_LANGUAGES', name: 'Programming Languages', description: null, icon: 'code', sortOrder: 1, parentKey: null },
+    { id: 'c2', key: 'GENERAL', name: 'General', description: null, icon: null, sortOrder: 0, parentKey: null },
+    { id: 'c3', key: 'PYTHON', name: 'Python', description: null, icon: null, sortOrder: 0, parentKey: 'PROGRAMMING_LANGUAGES' }
+  ];
+  const byKey = (key) => categories.find((category) => category.key === key) || null;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.category.findUnique.mockImplementation(({ where }) => byKey(where.key));
+    mockPrisma.category.findMany.mockResolvedValue(categories);
+    mockPrisma.category.create.mockImplementation(({ data }) => ({ id: 'new', ...data }));
+    mockPrisma.category.update.mockImplementation(({ where, data }) => ({ ...byKey(where.key), ...data }));
+  });
+
+  describe('GET /api/content/categories', () => {
+    it('should return the tree with published-article counts', async () => {
+      mockPrisma.content.groupBy.mockResolvedValue([
+        { category: 'PROGRAMMING_LANGUAGES', subcategory: null, _count: { _all: 2 } },
+        { category: 'PROGRAMMING_LANGUAGES', subcategory: 'PYTHON', _count: { _all: 3 } }
+      ]);
+
+      const res = await request(app).get('/api/content/categories');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([
+        expect.objectContaining({
+          key: 'PROGRAMMING_LANGUAGES',
+          count: 5,
+          children: [expect.objectContaining({ key: 'PYTHON', count: 3 })]
+        }),
+        expect.objectContaining({ key: 'GENERAL', count: 0, children: [] })
+      ]);
+      expect(mockPrisma.content.groupBy).toHaveBeenCalledWith(expect.objectContaining({
+        where: { status: 'PUBLISHED', deletedAt: null, category: { not: null } }
+      }));
+    });
+  });
+
+  describe('admin endpoints', () => {
+    it('should create a category and a subcategory', async () => {
+      const res = await request(app)
+        .post('/api/admin/categories')
+        .send({ key: 'DEVOPS', name: ' DevOps ', icon: 'server', sortOrder: 7 });
+
+      expect(res.status).toBe(201);
+      expect(mockPrisma.category.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: { key: 'DEVOPS', name: 'DevOps', icon: 'server', sortOrder: 7, parentKey: null }
+      }));
+
+      await request(app)
+        .post('/api/admin/categories')
+        .send({ key: 'RUST', name: 'Rust', parentKey: 'PROGRAMMING_LANGUAGES' })
+        .expect(201);
+    });
+
+    it('should reject invalid, reserved, taken and nested keys', async () => {
+      await request(app).post('/api/admin/categories').send({ key: 'dev-ops', name: 'DevOps' }).expect(422);
+      await request(app).post('/api/admin/categories').send({ key: 'HOME', name: 'Home' }).expect(422);
+      await request(app).post('/api/admin/categories').send({ key: 'DEVOPS' }).expect(422);
+      await request(app)
+        .post('/api/admin/categories')
+        .send({ key: 'DJANGO', name: 'Django', parentKey: 'PYTHON' })
+        .expect(422);
+
+      const res = await request(app).post('/api/admin/categories').send({ key: 'GENERAL', name: 'General' });
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('CATEGORY_EXISTS');
+
+      expect(mockPrisma.category.create).not.toHaveBeenCalled();
+    });
+
+    it('should update display fields but not the key', async () => {
+      const res = await request(app)
+        .patch('/api/admin/categories/GENERAL')
+        .send({ name: 'Misc', description: 'Everything else' });
+
+      expect(res.status).toBe(200);
+      expect(mockPrisma.category.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { key: 'GENERAL' },
+        data: { name: 'Misc', description: 'Everything else' }
+      }));
+
+      await request(app).patch('/api/admin/categories/GENERAL').send({ key: 'MISC' }).expect(422);
+      await request(app).patch('/api/admin/categories/COOKING').send({ name: 'Cooking' }).expect(404);
+    });
+
+    it('should only delete categories nothing uses', async () => {
+      mockPrisma.category.count.mockResolvedValue(0);
+      mockPrisma.content.count.mockResolvedValueOnce(1);
+
+      const res = await request(app).delete('/api/admin/categories/GENERAL');
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('CATEGORY_IN_USE');
+      expect(mockPrisma.content.count).toHaveBeenCalledWith({
+        where: { OR: [{ category: 'GENERAL' }, { subcategory: 'GENERAL' }] }
+      });
+
+      mockPrisma.content.count.mockResolvedValueOnce(0);
+      await request(app).delete('/api/admin/categories/GENERAL').expect(200);
+      expect(mockPrisma.category.delete).toHaveBeenCalledWith({ where: { key: 'GENERAL' } });
+    });
+  });
+
+  describe('resolveContentCategory', () => {
+    it('should accept a top-level category and one of its subcategories', async () => {
+      await expect(categoryService.resolveContentCategory({ category: 'PROGRAMMING_LANGUAGES', subcategory: 'PYTHON' }))
+        .resolves.toEqual({ category: 'PROGRAMMING_LANGUAGES', subcategory: 'PYTHON' });
+    });
+
+    it('should reject unknown categories and subcategories of another category', async () => {
+      await expect(categoryService.resolveContentCategory({ category: 'PYTHON' }))
+        .rejects.toMatchObject({ statusCode: 422 });
+      await expect(categoryService.resolveContentCategory({ category: 'GENERAL', subcategory: 'PYTHON' }))
+        .rejects.toMatchObject({ statusCode: 422 });
+      await expect(categoryService.resolveContentCategory({ subcategory: 'PYTHON' }))
+        .rejects.toMatchObject({ statusCode: 422 });
+    });
+
+    it('should clear the subcategory when the category changes', async () => {
+      const current = { category: 'PROGRAMMING_LANGUAGES', subcategory: 'PYTHON' };
+
+      await expect(categoryService.resolveContentCategory({ category: 'GENERAL' }, current))
+        .resolves.toEqual({ category: 'GENERAL', subcategory: null });
+      await expect(categoryService.resolveContentCategory({ category: 'PROGRAMMING_LANGUAGES' }, current))
+        .resolves.toEqual({ category: 'PROGRAMMING_LANGUAGES' });
+    });
+  });
+});
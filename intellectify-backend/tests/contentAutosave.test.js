@@ -0,0 +1,191 @@
+const request = require('supertest');
+const app = require('../app');
+const mockPrisma = require('../src/config/database');
+
+const mockAdminUser = {
+  id: 'admin-123',
+  email: 'admin@example.com',
+  role: 'ADMIN',
+  name: 'Admin User'
+};
+
+jest.mock('../src/middleware/auth', () => ({
+  authenticateAdmin: (req, res, next) => {
+    req.user = { ...mockAdminUser };
+    next();
+  },
+  authenticateUser: (req, res, next) => {
+    req.user = { ...mockAdminUser };
+    next();
+  },
+  authenticateRoles: () => (req, res, next) => {
+    req.user = { ...mockAdminUser };
+    next();
+  },
+  identifyUser: (req, res, next) => next()
+}));
+
+describe('Content autosave', () => {
+  const contentId = '7d9f3c1e-2b4a-4c8e-9f1a-3b5c7d9e1f2a';
+  const storedContent = {
+    id: contentId,
+    title: 'Saved title',
+    content: '<p>Saved body</p>',
+    category: 'GENERAL',
+    authorId: mockAdminUser.id,
+    slug: 'saved-title',
+    status: 'DRAFT',
+    publishedAt: null,
+    version: 2,
+    updatedAt: new Date('2025-09-20T10:00:00Z')
+  };
+  const savedAt = new Date('2025-09-20T10:05:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.content.findUnique.mockImplementation(({ select }) => (
+      select?.collaborators ? { authorId: mockAdminUser.id, collaborators: [] } : storedContent
+    ));
+    mockPrisma.content.update.mockImplementation(({ data }) => ({ ...storedContent, ...data, version: 3 }));
+    mockPrisma.contentAutosave.findFirst.mockResolvedValue(null);
+    mockPrisma.contentAutosave.create.mockImplementation(({ data }) => ({ ...data, updatedAt: savedAt }));
+    mockPrisma.contentAutosave.update.mockImplementation(({ data }) => ({ ...data, updatedAt: savedAt }));
+  });
+
+  it('should store a working copy without touching the content', async () => {
+    const res = await request(app)
+      .put(`/api/admin/content/${contentId}/autosave`)
+      .send({ title: 'Typing...', content: '<p>Half a sentence</p>', version: 2, status: 'PUBLISHED' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.savedAt).toBe(savedAt.toISOString());
+    expect(mockPrisma.contentAutosave.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: {
+        userId: mockAdminUser.id,
+        contentId,
+        // Only editor fields are kept
+        data: { title: 'Typing...', content: '<p>Half a sentence</p>' },
+        baseVersion: 2
+      }
+    }));
+    expect(mockPrisma.content.update).not.toHaveBeenCalled();
+    expect(mockPrisma.contentRevision.create).not.toHaveBeenCalled();
+  });
+
+  it('should overwrite the existing working copy', async () => {
+    mockPrisma.contentAutosave.findFirst.mockResolvedValue({ id: 'autosave-1' });
+
+    await request(app)
+      .put(`/api/admin/content/${contentId}/autosave`)
+      .send({ title: 'More typing' })
+      .expect(200);
+
+    expect(mockPrisma.contentAutosave.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'autosave-1' },
+      data: { data: { title: 'More typing' }, baseVersion: null }
+    }));
+    expect(mockPrisma.contentAutosave.create).not.toHaveBeenCalled();
+  });
+
+  it('should overwrite the working copy another autosave created in the meantime', async () => {
+    mockPrisma.contentAutosave.findFirst
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ id: 'autosave-2' });
+    mockPrisma.contentAutosave.create.mockRejectedValueOnce(
+      Object.assign(new Error('Unique constraint failed'), { code: 'P2002' })
+    );
+
+    const res = await request(app)
+      .put(`/api/admin/content/${contentId}/autosave`)
+      .send({ title: 'Second tab' });
+
+    expect(res.status).toBe(200);
+    expect(mockPrisma.contentAutosave.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'autosave-2' },
+      data: { data: { title: 'Second tab' }, baseVersion: null }
+    }));
+  });
+
+  it('should autosave new content per user', async () => {
+    await request(app)
+      .put('/api/admin/content/autosave')
+      .send({ title: 'Not created yet' })
+      .expect(200);
+
+    expect(mockPrisma.contentAutosave.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: mockAdminUser.id, contentId: null }
+    }));
+    expect(mockPrisma.contentAutosave.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ contentId: null, data: { title: 'Not created yet' } })
+    }));
+  });
+
+  it('should return the working copy of new content', async () => {
+    await request(app).get('/api/admin/content/autosave').expect(404);
+
+    mockPrisma.contentAutosave.findFirst.mockResolvedValue({ data: { title: 'Draft' }, baseVersion: null, updatedAt: savedAt });
+    const res = await request(app).get('/api/admin/content/autosave');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.data).toEqual({ title: 'Draft' });
+  });
+
+  it('should reject oversized working copies', async () => {
+    const res = await request(app)
+      .put(`/api/admin/content/${contentId}/autosave`)
+      .send({ content: 'a'.repeat(130000) });
+
+    expect(res.status).toBe(422);
+    expect(mockPrisma.contentAutosave.create).not.toHaveBeenCalled();
+  });
+
+  it('should offer a working copy newer than the saved content when opening the editor', async () => {
+    mockPrisma.contentAutosave.findFirst.mockResolvedValue({
+      data: { title: 'Unsaved title' },
+      baseVersion: 2,
+      updatedAt: savedAt
+    });
+
+    const res = await request(app).get(`/api/admin/content/${contentId}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.title).toBe('Saved title');
+    expect(res.body.data.autosave).toEqual({
+      data: { title: 'Unsaved title' },
+      baseVersion: 2,
+      updatedAt: savedAt.toISOString()
+    });
+  });
+
+  it('should not offer a working copy older than the saved content', async () => {
+    mockPrisma.contentAutosave.findFirst.mockResolvedValue({
+      data: { title: 'Old typing' },
+      baseVersion: 1,
+      updatedAt: new Date('2025-09-20T09:00:00Z')
+    });
+
+    const res = await request(app).get(`/api/admin/content/${contentId}`);
+
+    expect(res.body.data.autosave).toBeNull();
+  });
+
+  it('should clear the working copy on a normal save', async () => {
+    await request(app)
+      .put(`/api/admin/content/${contentId}`)
+      .set('If-Match', '"2"')
+      .send({ priority: 1 })
+      .expect(200);
+
+    expect(mockPrisma.contentAutosave.deleteMany).toHaveBeenCalledWith({
+      where: { userId: mockAdminUser.id, contentId }
+    });
+  });
+
+  it('should discard a working copy', async () => {
+    await request(app).delete(`/api/admin/content/${contentId}/autosave`).expect(204);
+
+    expect(mockPrisma.contentAutosave.deleteMany).toHaveBeenCalledWith({
+      where: { userId: mockAdminUser.id, contentId }
+    });
+  });
+});
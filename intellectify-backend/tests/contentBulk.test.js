@@ -0,0 +1,163 @@
+const request = require('supertest');
+const app = require('../app');
+const mockPrisma = require('../src/config/database');
+const workflowConfig = require('../src/config/workflow');
+
+const mockAdminUser = {
+  id: 'admin-123',
+  email: 'admin@example.com',
+  role: 'ADMIN',
+  name: 'Admin User'
+};
+
+jest.mock('../src/middleware/auth', () => ({
+  authenticateAdmin: (req, res, next) => {
+    req.user = { ...mockAdminUser };
+    next();
+  },
+  authenticateUser: (req, res, next) => {
+    req.user = { ...mockAdminUser };
+    next();
+  },
+  authenticateRoles: () => (req, res, next) => {
+    req.user = { ...mockAdminUser };
+    next();
+  },
+  identifyUser: (req, res, next) => next()
+}));
+
+describe('Bulk content operations', () => {
+  const draftId = '7d9f3c1e-2b4a-4c8e-9f1a-3b5c7d9e1f2a';
+  const publishedId = '0b1c2d3e-4f5a-4b6c-8d7e-9f0a1b2c3d4e';
+  const otherId = '5e6f7a8b-9c0d-4e1f-a2b3-c4d5e6f7a8b9';
+  const missingId = '9a8b7c6d-5e4f-4a3b-9c2d-1e0f9a8b7c6d';
+
+  const rows = [
+    { id: draftId, authorId: mockAdminUser.id, status: 'DRAFT', category: 'GENERAL', priority: 0, version: 2, deletedAt: null },
+    { id: publishedId, authorId: mockAdminUser.id, status: 'PUBLISHED', category: 'GENERAL', priority: 0, version: 5, publishedAt: new Date(), deletedAt: null },
+    { id: otherId, authorId: 'someone-else', status: 'DRAFT', category: 'GENERAL', priority: 0, version: 1, deletedAt: null }
+  ];
+
+  const bulk = (body) => request(app).post('/api/admin/content/bulk').send(body);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    workflowConfig.reviewRequired = false;
+    mockPrisma.content.findMany.mockResolvedValue(rows);
+    mockPrisma.content.update.mockImplementation(({ where, data }) => ({
+      ...rows.find((row) => row.id === where.id),
+      ...data
+    }));
+    mockPrisma.$transaction.mockImplementation((callback) => callback(mockPrisma));
+    mockPrisma.category.findUnique.mockImplementation(({ where }) => (
+      where.key === 'DATA_AI' ? { key: 'DATA_AI', parentKey: null } : null
+    ));
+  });
+
+  it('should apply the action to each owned item and report per item', async () => {
+    const res = await bulk({ ids: [draftId, otherId, missingId], action: 'archive' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({
+      action: 'archive',
+      results: [
+        { id: draftId, success: true },
+        { id: otherId, success: false, error: 'You do not have permission to access this content', code: 'FORBIDDEN' },
+        { id: missingId, success: false, error: 'Content not found', code: 'CONTENT_NOT_FOUND' }
+      ],
+      succeeded: 1,
+      failed: 2
+    });
+    expect(mockPrisma.$transaction).toHaveBeenCalledTimes(1);
+    expect(mockPrisma.content.update).toHaveBeenCalledTimes(1);
+    expect(mockPrisma.content.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: draftId, version: 2 },
+      data: expect.objectContaining({ status: 'ARCHIVED', version: { increment: 1 } })
+    }));
+    expect(mockPrisma.contentTransition.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ contentId: draftId, fromStatus: 'DRAFT', toStatus: 'ARCHIVED' })
+    });
+  });
+
+  it('should check status transitions per item', async () => {
+    workflowConfig.reviewRequired = true;
+
+    const res = await bulk({ ids: [draftId, publishedId], action: 'publish' });
+
+    expect(res.body.data.results).toEqual([
+      expect.objectContaining({ id: draftId, success: false, code: 'REVIEW_REQUIRED' }),
+      // Already published: nothing to write
+      { id: publishedId, success: true, unchanged: true }
+    ]);
+    expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('should only unpublish published or scheduled content', async () => {
+    mockPrisma.content.findMany.mockResolvedValue([
+      rows[1],
+      { ...rows[0], status: 'IN_REVIEW' }
+    ]);
+
+    const res = await bulk({ ids: [publishedId, draftId], action: 'unpublish' });
+
+    expect(res.body.data.results).toEqual([
+      { id: publishedId, success: true },
+      expect.objectContaining({ id: draftId, success: false, code: 'INVALID_STATUS_TRANSITION' })
+    ]);
+  });
+
+  it('should move items to the trash', async () => {
+    await bulk({ ids: [draftId, publishedId], action: 'delete' }).expect(200);
+
+    expect(mockPrisma.content.update).toHaveBeenCalledTimes(2);
+    expect(mockPrisma.content.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: publishedId, version: 5 },
+      data: expect.objectContaining({ deletedAt: expect.any(Date) })
+    }));
+  });
+
+  it('should change the category, clear the subcategory and record a revision', async () => {
+    const res = await bulk({ ids: [draftId, publishedId], action: 'category', category: 'DATA_AI' });
+
+    expect(res.body.data.succeeded).toBe(2);
+    expect(mockPrisma.content.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: draftId, version: 2 },
+      data: { category: 'DATA_AI', subcategory: null, version: { increment: 1 } }
+    }));
+    expect(mockPrisma.contentRevision.create).toHaveBeenCalledTimes(2);
+  });
+
+  it('should set the priority', async () => {
+    await bulk({ ids: [draftId], action: 'priority', priority: 7 }).expect(200);
+
+    expect(mockPrisma.content.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: { priority: 7, version: { increment: 1 } }
+    }));
+  });
+
+  it('should roll back every item when one write fails', async () => {
+    mockPrisma.content.update
+      .mockImplementationOnce(({ data }) => ({ ...rows[0], ...data }))
+      .mockRejectedValueOnce(Object.assign(new Error('Record to update not found'), { code: 'P2025' }));
+
+    const res = await bulk({ ids: [draftId, publishedId], action: 'priority', priority: 3 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.results).toEqual([
+      expect.objectContaining({ id: draftId, success: false, code: 'ROLLED_BACK' }),
+      expect.objectContaining({ id: publishedId, success: false, code: 'VERSION_CONFLICT' })
+    ]);
+    expect(res.body.data.succeeded).toBe(0);
+  });
+
+  it('should validate the request', async () => {
+    await bulk({ ids: [], action: 'archive' }).expect(422);
+    await bulk({ ids: ['not-a-uuid'], action: 'archive' }).expect(422);
+    await bulk({ ids: Array.from({ length: 101 }, (_, i) => `00000000-0000-4000-8000-${String(i).padStart(12, '0')}`), action: 'archive' }).expect(422);
+    await bulk({ ids: [draftId], action: 'explode' }).expect(422);
+    await bulk({ ids: [draftId], action: 'category', category: 'NOPE' }).expect(422);
+    await bulk({ ids: [draftId], action: 'priority', priority: -1 }).expect(422);
+
+    expect(mockPrisma.content.findMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,190 @@
+const collaboratorService = require('../src/services/contentCollaboratorService');
+const contentService = require('../src/services/contentService');
+const { validateContentAccess } = require('../src/middleware/security');
+const mockPrisma = require('../src/config/database');
+
+describe('Content collaborators', () => {
+  const contentId = '7d9f3c1e-2b4a-4c8e-9f1a-3b5c7d9e1f2a';
+  const content = { id: contentId, authorId: 'author-123' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('addCollaborator', () => {
+    it('should add an admin by email with the given permission', async () => {
+      mockPrisma.user.findUnique.mockResolvedValue({ id: 'editor-123', role: 'ADMIN' });
+      mockPrisma.contentCollaborator.upsert.mockResolvedValue({ permission: 'VIEWER' });
+
+      await collaboratorService.addCollaborator(content, { email: ' Editor@Example.com ', permission: 'VIEWER' });
+
+      expect(mockPrisma.user.findUnique).toHaveBeenCalledWith({
+        where: { email: 'editor@example.com' },
+        select: { id: true, role: true }
+      });
+      expect(mockPrisma.contentCollaborator.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { contentId_userId: { contentId, userId: 'editor-123' } },
+        create: { contentId, userId: 'editor-123', permission: 'VIEWER' },
+        update: { permission: 'VIEWER' }
+      }));
+    });
+
+    it('should default to EDITOR', async () => {
+      mockPrisma.user.findUnique.mockResolvedValue({ id: 'editor-123', role: 'ADMIN' });
+
+      await collaboratorService.addCollaborator(content, { email: 'editor@example.com' });
+
+      expect(mockPrisma.contentCollaborator.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        update: { permission: 'EDITOR' }
+      }));
+    });
+
+    it('should validate the email and permission', async () => {
+      await expect(collaboratorService.addCollaborator(content, { email: 'nope' }))
+        .rejects.toMatchObject({ statusCode: 422, code: 'VALIDATION_ERROR' });
+      await expect(collaboratorService.addCollaborator(content, { email: 'editor@example.com', permission: 'OWNER' }))
+        .rejects.toMatchObject({ statusCode: 422, code: 'VALIDATION_ERROR' });
+      expect(mockPrisma.user.findUnique).not.toHaveBeenCalled();
+    });
+
+    it('should only add existing admins other than the author', async () => {
+      mockPrisma.user.findUnique.mockResolvedValueOnce(null);
+      await expect(collaboratorService.addCollaborator(content, { email: 'ghost@example.com' }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'USER_NOT_FOUND' });
+
+      mockPrisma.user.findUnique.mockResolvedValueOnce({ id: 'user-123', role: 'REGULAR' });
+      await expect(collaboratorService.addCollaborator(content, { email: 'user@example.com' }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'USER_NOT_FOUND' });
+
+      mockPrisma.user.findUnique.mockResolvedValueOnce({ id: 'author-123', role: 'ADMIN' });
+      await expect(collaboratorService.addCollaborator(content, { email: 'author@example.com' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_COLLABORATOR' });
+
+      expect(mockPrisma.contentCollaborator.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeCollaborator', () => {
+    it('should remove a collaborator', async () => {
+      mockPrisma.contentCollaborator.deleteMany.mockResolvedValue({ count: 1 });
+
+      await collaboratorService.removeCollaborator(contentId, 'editor-123');
+
+      expect(mockPrisma.contentCollaborator.deleteMany).toHaveBeenCalledWith({
+        where: { contentId, userId: 'editor-123' }
+      });
+    });
+
+    it('should return 404 for users who are not collaborators', async () => {
+      mockPrisma.contentCollaborator.deleteMany.mockResolvedValue({ count: 0 });
+
+      await expect(collaboratorService.removeCollaborator(contentId, 'editor-123'))
+        .rejects.toMatchObject({ statusCode: 404, code: 'COLLABORATOR_NOT_FOUND' });
+    });
+  });
+
+  describe('validateContentAccess', () => {
+    const runMiddleware = async (requiredAccess, userId, collaborators = []) => {
+      mockPrisma.content.findUnique.mockResolvedValue({ authorId: 'author-123', collaborators });
+      const req = { params: { id: contentId }, user: { id: userId } };
+      const next = jest.fn();
+
+      await validateContentAccess(requiredAccess)(req, {}, next);
+
+      return { req, error: next.mock.calls[0][0] };
+    };
+
+    it('should give the author owner access', async () => {
+      const { req, error } = await runMiddleware('OWNER', 'author-123');
+
+      expect(error).toBeUndefined();
+      expect(req.contentAccess).toBe('OWNER');
+      expect(req.validatedContentId).toBe(contentId);
+      expect(mockPrisma.content.findUnique).toHaveBeenCalledWith({
+        where: { id: contentId },
+        select: {
+          authorId: true,
+          deletedAt: true,
+          collaborators: { where: { userId: 'author-123' }, select: { permission: true } }
+        }
+      });
+    });
+
+    it('should let editors edit but not act as the owner', async () => {
+      const editor = [{ permission: 'EDITOR' }];
+
+      expect((await runMiddleware('EDITOR', 'editor-123', editor)).error).toBeUndefined();
+      expect((await runMiddleware('VIEWER', 'editor-123', editor)).error).toBeUndefined();
+      expect((await runMiddleware('OWNER', 'editor-123', editor)).error)
+        .toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+    });
+
+    it('should give viewers read-only access', async () => {
+      const viewer = [{ permission: 'VIEWER' }];
+
+      expect((await runMiddleware('VIEWER', 'viewer-123', viewer)).error).toBeUndefined();
+      expect((await runMiddleware('EDITOR', 'viewer-123', viewer)).error)
+        .toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+    });
+
+    it('should deny everyone else', async () => {
+      const { error } = await runMiddleware('VIEWER', 'stranger-123');
+
+      expect(error).toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+    });
+
+    it('should treat trashed content as not found except on trash routes', async () => {
+      const req = { params: { id: contentId }, user: { id: 'author-123' } };
+      const next = jest.fn();
+      mockPrisma.content.findUnique.mockResolvedValue({
+        authorId: 'author-123',
+        deletedAt: new Date(),
+        collaborators: []
+      });
+
+      await validateContentAccess('OWNER')(req, {}, next);
+      await validateContentAccess('OWNER', { inTrash: true })(req, {}, next);
+
+      expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 404, code: 'CONTENT_NOT_FOUND' });
+      expect(next.mock.calls[1][0]).toBeUndefined();
+    });
+  });
+
+  describe('public co-authors', () => {
+    it('should list editors as co-authors of published content', async () => {
+      mockPrisma.content.findFirst.mockResolvedValue({
+        id: contentId,
+        slug: 'shared-post',
+        collaborators: [{ user: { id: 'editor-123', name: 'Editor' } }]
+      });
+
+      const result = await contentService.getContentBySlug('shared-post');
+
+      expect(result).toEqual({
+        id: contentId,
+        slug: 'shared-post',
+        coAuthors: [{ id: 'editor-123', name: 'Editor' }]
+      });
+      expect(mockPrisma.content.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        include: expect.objectContaining({
+          collaborators: expect.objectContaining({ where: { permission: 'EDITOR' } })
+        })
+      }));
+    });
+
+    it('should list content shared with a user', async () => {
+      mockPrisma.content.findMany.mockResolvedValue([]);
+      mockPrisma.content.count.mockResolvedValue(0);
+
+      await contentService.getContentByAuthor({ authorId: 'editor-123', shared: true });
+
+      expect(mockPrisma.content.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          collaborators: { some: { userId: 'editor-123' } },
+          deletedAt: null,
+          status: { not: 'ARCHIVED' }
+        }
+      }));
+    });
+  });
+});
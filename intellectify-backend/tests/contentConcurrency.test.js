@@ -0,0 +1,173 @@
+const request = require('supertest');
+const app = require('../app');
+const mockPrisma = require('../src/config/database');
+
+const mockAdminUser = {
+  id: 'admin-123',
+  email: 'admin@example.com',
+  role: 'ADMIN',
+  name: 'Admin User'
+};
+
+jest.mock('../src/middleware/auth', () => ({
+  authenticateAdmin: (req, res, next) => {
+    req.user = { ...mockAdminUser };
+    next();
+  },
+  authenticateUser: (req, res, next) => {
+    req.user = { ...mockAdminUser };
+    next();
+  },
+  authenticateRoles: () => (req, res, next) => {
+    req.user = { ...mockAdminUser };
+    next();
+  },
+  identifyUser: (req, res, next) => next()
+}));
+
+describe('Content version checks', () => {
+  const contentId = '7d9f3c1e-2b4a-4c8e-9f1a-3b5c7d9e1f2a';
+  const storedContent = {
+    id: contentId,
+    title: 'Shared draft',
+    content: '<p>Body</p>',
+    excerpt: 'Old excerpt',
+    category: 'GENERAL',
+    authorId: mockAdminUser.id,
+    slug: 'shared-draft',
+    status: 'DRAFT',
+    publishedAt: null,
+    version: 3
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.content.findUnique.mockImplementation(({ select }) => (
+      // The access check only asks for the author and collaborators
+      select?.collaborators ? { authorId: mockAdminUser.id, collaborators: [] } : storedContent
+    ));
+    mockPrisma.content.update.mockImplementation(({ data }) => ({
+      ...storedContent,
+      ...data,
+      version: storedContent.version + 1
+    }));
+  });
+
+  it('should send the version as an ETag', async () => {
+    const res = await request(app).get(`/api/admin/content/${contentId}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).toBe('"3"');
+    expect(res.body.data.version).toBe(3);
+  });
+
+  it('should save when If-Match matches and return the new ETag', async () => {
+    const res = await request(app)
+      .put(`/api/admin/content/${contentId}`)
+      .set('If-Match', '"3"')
+      .send({ priority: 5 });
+
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).toBe('"4"');
+    expect(mockPrisma.content.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: contentId, version: 3 },
+      data: expect.objectContaining({ priority: 5, version: { increment: 1 } })
+    }));
+  });
+
+  it('should accept the version in the body', async () => {
+    const res = await request(app)
+      .patch(`/api/admin/content/${contentId}/status`)
+      .send({ status: 'ARCHIVED', version: 3 });
+
+    expect(res.status).toBe(200);
+    expect(mockPrisma.content.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: contentId, version: 3 }
+    }));
+  });
+
+  it('should reply 409 with the current content when the version is stale', async () => {
+    const res = await request(app)
+      .put(`/api/admin/content/${contentId}`)
+      .set('If-Match', '"2"')
+      .send({ priority: 5 });
+
+    expect(res.status).toBe(409);
+    expect(res.headers.etag).toBe('"3"');
+    expect(res.body).toMatchObject({
+      success: false,
+      code: 'VERSION_CONFLICT',
+      current: { id: contentId, excerpt: 'Old excerpt', version: 3 }
+    });
+    expect(mockPrisma.content.update).not.toHaveBeenCalled();
+  });
+
+  it('should reply 409 when another save wins the race', async () => {
+    mockPrisma.content.update.mockRejectedValueOnce(
+      Object.assign(new Error('Record to update not found'), { code: 'P2025' })
+    );
+
+    const res = await request(app)
+      .patch(`/api/admin/content/${contentId}/status`)
+      .set('If-Match', '"3"')
+      .send({ status: 'ARCHIVED' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('VERSION_CONFLICT');
+  });
+
+  it('should require a version', async () => {
+    const res = await request(app)
+      .put(`/api/admin/content/${contentId}`)
+      .send({ priority: 5 });
+
+    expect(res.status).toBe(428);
+    expect(res.body.code).toBe('PRECONDITION_REQUIRED');
+    expect(mockPrisma.content.update).not.toHaveBeenCalled();
+  });
+
+  it('should reject malformed versions', async () => {
+    const res = await request(app)
+      .put(`/api/admin/content/${contentId}`)
+      .set('If-Match', 'latest')
+      .send({ priority: 5 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_VERSION');
+  });
+
+  it('should save over any version with If-Match: *', async () => {
+    const res = await request(app)
+      .put(`/api/admin/content/${contentId}`)
+      .set('If-Match', '*')
+      .send({ priority: 5 });
+
+    expect(res.status).toBe(200);
+    expect(mockPrisma.content.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: contentId }
+    }));
+  });
+
+  it('should not let editors change the status with a normal save', async () => {
+    mockPrisma.content.findUnique.mockImplementation(({ select }) => (
+      select?.collaborators
+        ? { authorId: 'author-456', collaborators: [{ permission: 'EDITOR' }] }
+        : storedContent
+    ));
+
+    const res = await request(app)
+      .put(`/api/admin/content/${contentId}`)
+      .set('If-Match', '"3"')
+      .send({ status: 'PUBLISHED' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('FORBIDDEN');
+    expect(mockPrisma.content.update).not.toHaveBeenCalled();
+
+    await request(app)
+      .put(`/api/admin/content/${contentId}`)
+      .set('If-Match', '"3"')
+      .send({ excerpt: 'Edited by a collaborator' })
+      .expect(200);
+  });
+});
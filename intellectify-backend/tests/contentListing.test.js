@@ -0,0 +1,144 @@
+const request = require('supertest');
+const app = require('../app');
+const mockPrisma = require('../src/config/database');
+
+describe('GET /api/content', () => {
+  const authorId = '7d9f3c1e-2b4a-4c8e-9f1a-3b5c7d9e1f2a';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.content.findMany.mockResolvedValue([]);
+    mockPrisma.content.count.mockResolvedValue(0);
+    mockPrisma.category.findUnique.mockImplementation(({ where }) => (
+      where.key === 'DATA_AI' ? { key: 'DATA_AI', parentKey: null } : null
+    ));
+  });
+
+  it('should apply the filters to the query', async () => {
+    const res = await request(app)
+      .get('/api/content')
+      .query({
+        category: 'DATA_AI',
+        subcategory: ' Machine Learning ',
+        authorId,
+        tag: 'python',
+        publishedAfter: '2025-01-01',
+        publishedBefore: '2025-07-01T00:00:00Z'
+      });
+
+    expect(res.status).toBe(200);
+    expect(mockPrisma.content.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: {
+        status: 'PUBLISHED',
+        deletedAt: null,
+        category: 'DATA_AI',
+        subcategory: { equals: 'Machine Learning', mode: 'insensitive' },
+        authorId,
+        tags: { some: { slug: 'python' } },
+        publishedAt: {
+          gte: new Date('2025-01-01'),
+          lt: new Date('2025-07-01T00:00:00Z')
+        }
+      }
+    }));
+  });
+
+  it('should sort by the requested mode', async () => {
+    const orderFor = async (sort) => {
+      mockPrisma.content.findMany.mockClear();
+      await request(app).get('/api/content').query(sort ? { sort } : {}).expect(200);
+      return mockPrisma.content.findMany.mock.calls[0][0].orderBy;
+    };
+
+    expect(await orderFor()).toEqual([
+      { priority: 'desc' }, { publishedAt: 'desc' }, { createdAt: 'desc' }, { id: 'desc' }
+    ]);
+    expect(await orderFor('newest')).toEqual([
+      { publishedAt: 'desc' }, { createdAt: 'desc' }, { id: 'desc' }
+    ]);
+    expect(await orderFor('oldest')).toEqual([
+      { publishedAt: 'asc' }, { createdAt: 'asc' }, { id: 'asc' }
+    ]);
+    expect(await orderFor('title')).toEqual([{ title: 'asc' }, { id: 'asc' }]);
+  });
+
+  it('should report the pagination totals', async () => {
+    mockPrisma.content.count.mockResolvedValue(25);
+
+    const res = await request(app).get('/api/content?page=2&limit=10');
+
+    expect(res.status).toBe(200);
+    expect(res.body.pagination).toMatchObject({ currentPage: 2, totalItems: 25, itemsPerPage: 10 });
+    expect(mockPrisma.content.findMany).toHaveBeenCalledWith(expect.objectContaining({ skip: 10, take: 10 }));
+  });
+
+  it('should reject invalid values with every problem listed', async () => {
+    const res = await request(app)
+      .get('/api/content')
+      .query({
+        category: 'COOKING',
+        authorId: 'nope',
+        tag: 'Not A Slug',
+        publishedAfter: '2025-13-40',
+        sort: 'popular',
+        page: '0',
+        limit: '500'
+      });
+
+    expect(res.status).toBe(422);
+    expect(res.body.error).toBe('Invalid query parameters');
+    expect(res.body.details).toEqual([
+      'category must be the key of a top-level category',
+      'authorId must be a user ID',
+      'Invalid tag format',
+      'publishedAfter must be an ISO 8601 date',
+      'sort must be one of: priority, newest, oldest, title',
+      'page must be a whole number from 1 up',
+      'limit must be a whole number from 1 to 100'
+    ]);
+    expect(mockPrisma.content.findMany).not.toHaveBeenCalled();
+  });
+
+  it('should reject unknown, repeated and conflicting parameters', async () => {
+    const res = await request(app).get(
+      '/api/content?categry=DATA_AI&tag=a&tag=b&page=2&cursor=&publishedAfter=2025-06-01&publishedBefore=2025-01-01'
+    );
+
+    expect(res.status).toBe(422);
+    expect(res.body.details).toEqual([
+      'Unknown query parameter: categry',
+      'tag must be given once',
+      'publishedAfter must be earlier than publishedBefore',
+      'page cannot be combined with cursor'
+    ]);
+  });
+});
+
+describe('GET /api/content/search', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.$queryRaw.mockImplementation((strings) => (
+      strings.join('').includes('COUNT(*)') ? [{ total: 0 }] : []
+    ));
+    mockPrisma.category.findUnique.mockImplementation(({ where }) => (
+      where.key === 'DATA_AI' ? { key: 'DATA_AI', parentKey: null } : null
+    ));
+  });
+
+  it('should filter by a top-level category', async () => {
+    await request(app).get('/api/content/search').query({ q: 'rust', category: 'DATA_AI' }).expect(200);
+
+    const [, ...values] = mockPrisma.$queryRaw.mock.calls[0];
+    expect(values).toContain('DATA_AI');
+  });
+
+  it('should reject unknown and repeated categories', async () => {
+    const unknown = await request(app).get('/api/content/search').query({ q: 'rust', category: 'COOKING' });
+    expect(unknown.status).toBe(422);
+    expect(unknown.body.details).toEqual(['category must be the key of a top-level category']);
+
+    await request(app).get('/api/content/search?q=rust&category=DATA_AI&category=COOKING').expect(422);
+
+    expect(mockPrisma.$queryRaw).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,146 @@
+const request = require('supertest');
+const app = require('../app');
+const mockPrisma = require('../src/config/database');
+const orderService = require('../src/services/contentOrderService');
+
+const mockAdminUser = {
+  id: 'admin-123',
+  email: 'admin@example.com',
+  role: 'ADMIN',
+  name: 'Admin User'
+};
+
+jest.mock('../src/middleware/auth', () => ({
+  authenticateAdmin: (req, res, next) => {
+    req.user = { ...mockAdminUser };
+    next();
+  },
+  authenticateUser: (req, res, next) => {
+    req.user = { ...mockAdminUser };
+    next();
+  },
+  authenticateRoles: () => (req, res, next) => {
+    req.user = { ...mockAdminUser };
+    next();
+  },
+  identifyUser: (req, res, next) => next()
+}));
+
+describe('Content order', () => {
+  const firstId = '7d9f3c1e-2b4a-4c8e-9f1a-3b5c7d9e1f2a';
+  const secondId = '0b1c2d3e-4f5a-4b6c-8d7e-9f0a1b2c3d4e';
+  const thirdId = '5e6f7a8b-9c0d-4e1f-a2b3-c4d5e6f7a8b9';
+  const updatedAt = new Date('2025-09-20T10:00:00Z');
+
+  const items = [
+    { id: firstId, title: 'First', priority: 10, updatedAt },
+    { id: secondId, title: 'Second', priority: 5, updatedAt },
+    { id: thirdId, title: 'Third', priority: 0, updatedAt }
+  ];
+  const version = orderService.getVersion(items);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.content.findMany.mockResolvedValue(items);
+    mockPrisma.$transaction.mockImplementation((callback) => callback(mockPrisma));
+    mockPrisma.category.findUnique.mockImplementation(({ where }) => (
+      where.key === 'DATA_AI' ? { key: 'DATA_AI', parentKey: null } : null
+    ));
+  });
+
+  it('should list a scope in reading order with its version as the ETag', async () => {
+    const res = await request(app).get('/api/admin/content/order?category=DATA_AI');
+
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).toBe(`"${version}"`);
+    expect(res.body.data).toMatchObject({ scope: 'DATA_AI', version });
+    expect(mockPrisma.content.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { status: 'PUBLISHED', deletedAt: null, category: 'DATA_AI' },
+      orderBy: [{ priority: 'desc' }, { publishedAt: 'desc' }, { createdAt: 'desc' }]
+    }));
+  });
+
+  it('should hand out the current priorities in the new order', async () => {
+    const res = await request(app)
+      .put('/api/admin/content/order')
+      .set('If-Match', `"${version}"`)
+      .send({ ids: [thirdId, firstId, secondId] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.scope).toBe('HOME');
+    expect(res.body.data.items.map(({ id, priority }) => [id, priority])).toEqual([
+      [thirdId, 10],
+      [firstId, 5],
+      [secondId, 0]
+    ]);
+    expect(res.headers.etag).toBe(`"${res.body.data.version}"`);
+    expect(mockPrisma.$transaction).toHaveBeenCalledWith(expect.any(Function), { isolationLevel: 'Serializable' });
+    // Neither the content version nor updatedAt move
+    expect(mockPrisma.content.update).toHaveBeenCalledWith({
+      where: { id: thirdId },
+      data: { priority: 10, updatedAt }
+    });
+    expect(mockPrisma.content.update).toHaveBeenCalledTimes(3);
+  });
+
+  it('should reply 409 with the current order when the list changed', async () => {
+    const res = await request(app)
+      .put('/api/admin/content/order')
+      .send({ ids: [thirdId, firstId, secondId], version: 'stale' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('ORDER_CONFLICT');
+    expect(res.body.current.version).toBe(version);
+    expect(res.headers.etag).toBe(`"${version}"`);
+    expect(mockPrisma.content.update).not.toHaveBeenCalled();
+  });
+
+  it('should reply 409 when a concurrent reorder wins', async () => {
+    mockPrisma.$transaction.mockRejectedValueOnce(
+      Object.assign(new Error('Transaction failed due to a write conflict'), { code: 'P2034' })
+    );
+
+    const res = await request(app)
+      .put('/api/admin/content/order')
+      .set('If-Match', `"${version}"`)
+      .send({ ids: [thirdId, firstId, secondId] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('ORDER_CONFLICT');
+  });
+
+  it('should require the version', async () => {
+    const res = await request(app)
+      .put('/api/admin/content/order')
+      .send({ ids: [firstId, secondId, thirdId] });
+
+    expect(res.status).toBe(428);
+  });
+
+  it('should require every item of the scope exactly once', async () => {
+    await request(app)
+      .put('/api/admin/content/order')
+      .set('If-Match', '*')
+      .send({ ids: [firstId, secondId] })
+      .expect(422);
+    await request(app)
+      .put('/api/admin/content/order')
+      .set('If-Match', '*')
+      .send({ ids: [firstId, firstId, secondId] })
+      .expect(422);
+    await request(app)
+      .put('/api/admin/content/order')
+      .set('If-Match', '*')
+      .send({ category: 'NOPE', ids: [firstId, secondId, thirdId] })
+      .expect(422);
+
+    expect(mockPrisma.content.update).not.toHaveBeenCalled();
+  });
+
+  describe('assignPriorities', () => {
+    it('should keep distinct values and make ties strict', () => {
+      expect(orderService.assignPriorities([0, 0, 0])).toEqual([2, 1, 0]);
+      expect(orderService.assignPriorities([3, 8, 3, 1])).toEqual([8, 4, 3, 1]);
+    });
+  });
+});
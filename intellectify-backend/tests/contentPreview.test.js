@@ -0,0 +1,174 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../app');
+const mockPrisma = require('../src/config/database');
+const previewService = require('../src/services/contentPreviewService');
+
+const mockAdminUser = {
+  id: 'admin-123',
+  email: 'admin@example.com',
+  role: 'ADMIN',
+  name: 'Admin User'
+};
+
+jest.mock('../src/middleware/auth', () => ({
+  authenticateAdmin: (req, res, next) => {
+    req.user = { ...mockAdminUser };
+    next();
+  },
+  authenticateUser: (req, res, next) => {
+    req.user = { ...mockAdminUser };
+    next();
+  },
+  authenticateRoles: () => (req, res, next) => {
+    req.user = { ...mockAdminUser };
+    next();
+  },
+  identifyUser: (req, res, next) => next()
+}));
+
+describe('Content preview links', () => {
+  const contentId = '7d9f3c1e-2b4a-4c8e-9f1a-3b5c7d9e1f2a';
+  const linkId = '0b1c2d3e-4f5a-4b6c-8d7e-9f0a1b2c3d4e';
+  const expiresAt = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+  const link = { id: linkId, contentId, expiresAt, lastViewedAt: null, createdAt: new Date() };
+  const draft = {
+    id: contentId,
+    title: 'Work in progress',
+    content: `<p>Draft body</p><img src="/api/images/general/2025/08/${contentId}/a.png">`,
+    status: 'DRAFT',
+    author: { id: mockAdminUser.id, name: mockAdminUser.name },
+    tags: []
+  };
+  const token = previewService.withToken(link).token;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.content.findUnique.mockResolvedValue({ authorId: mockAdminUser.id, collaborators: [] });
+    mockPrisma.contentPreviewLink.create.mockImplementation(({ data }) => ({ ...link, expiresAt: data.expiresAt }));
+    mockPrisma.contentPreviewLink.findUnique.mockResolvedValue({
+      id: linkId,
+      contentId,
+      expiresAt,
+      revokedAt: null,
+      contentItem: draft
+    });
+  });
+
+  describe('managing links', () => {
+    it('should create a signed link that expires', async () => {
+      const res = await request(app)
+        .post(`/api/admin/content/${contentId}/preview-link`)
+        .send({ expiresInDays: 2 });
+
+      expect(res.status).toBe(201);
+      expect(mockPrisma.contentPreviewLink.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: { contentId, createdById: mockAdminUser.id, expiresAt: expect.any(Date) }
+      }));
+
+      const payload = jwt.decode(res.body.data.token);
+      expect(payload).toMatchObject({ contentId, jti: linkId });
+      expect(payload.exp).toBe(Math.floor(new Date(res.body.data.expiresAt).getTime() / 1000));
+      expect(res.body.data.url).toMatch(new RegExp(`/preview/${res.body.data.token}$`));
+    });
+
+    it('should reject invalid expiry', async () => {
+      await request(app)
+        .post(`/api/admin/content/${contentId}/preview-link`)
+        .send({ expiresInDays: 90 })
+        .expect(422);
+
+      expect(mockPrisma.contentPreviewLink.create).not.toHaveBeenCalled();
+    });
+
+    it('should list active links with the same token they were created with', async () => {
+      mockPrisma.contentPreviewLink.findMany.mockResolvedValue([link]);
+
+      const res = await request(app).get(`/api/admin/content/${contentId}/preview-links`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data[0].token).toBe(token);
+      expect(mockPrisma.contentPreviewLink.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { contentId, revokedAt: null, expiresAt: { gt: expect.any(Date) } }
+      }));
+    });
+
+    it('should revoke a link', async () => {
+      mockPrisma.contentPreviewLink.updateMany.mockResolvedValueOnce({ count: 1 });
+      await request(app).delete(`/api/admin/content/${contentId}/preview-links/${linkId}`).expect(200);
+
+      expect(mockPrisma.contentPreviewLink.updateMany).toHaveBeenCalledWith({
+        where: { id: linkId, contentId, revokedAt: null },
+        data: { revokedAt: expect.any(Date) }
+      });
+
+      mockPrisma.contentPreviewLink.updateMany.mockResolvedValueOnce({ count: 0 });
+      const res = await request(app).delete(`/api/admin/content/${contentId}/preview-links/${linkId}`);
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe('PREVIEW_LINK_NOT_FOUND');
+    });
+
+    it('should only let the author manage links', async () => {
+      mockPrisma.content.findUnique.mockResolvedValue({
+        authorId: 'someone-else',
+        collaborators: [{ permission: 'EDITOR' }]
+      });
+
+      await request(app).post(`/api/admin/content/${contentId}/preview-link`).send({}).expect(403);
+      await request(app).get(`/api/admin/content/${contentId}/preview-links`).expect(403);
+    });
+  });
+
+  describe('GET /api/content/preview/:token', () => {
+    it('should return the draft without logging in, with noindex headers', async () => {
+      const res = await request(app).get(`/api/content/preview/${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['x-robots-tag']).toBe('noindex, nofollow, noarchive');
+      expect(res.headers['cache-control']).toBe('private, no-store');
+      expect(res.headers['referrer-policy']).toBe('no-referrer');
+      expect(res.body.data).toMatchObject({ id: contentId, title: 'Work in progress', status: 'DRAFT' });
+      expect(res.body.data).not.toHaveProperty('deletedAt');
+      expect(res.body.data.content).toBe(
+        `<p>Draft body</p><img src="/api/images/general/2025/08/${contentId}/a.png?preview=${token}">`
+      );
+      expect(mockPrisma.contentPreviewLink.update).toHaveBeenCalledWith({
+        where: { id: linkId },
+        data: { lastViewedAt: expect.any(Date) }
+      });
+    });
+
+    it('should reject revoked links', async () => {
+      mockPrisma.contentPreviewLink.findUnique.mockResolvedValue({
+        id: linkId, contentId, expiresAt, revokedAt: new Date(), contentItem: draft
+      });
+
+      const res = await request(app).get(`/api/content/preview/${token}`);
+
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe('PREVIEW_NOT_FOUND');
+      expect(res.headers['x-robots-tag']).toBe('noindex, nofollow, noarchive');
+    });
+
+    it('should reject trashed content', async () => {
+      // The query only matches links to content that isn't in the trash
+      mockPrisma.contentPreviewLink.findUnique.mockResolvedValue(null);
+
+      await request(app).get(`/api/content/preview/${token}`).expect(404);
+      expect(mockPrisma.contentPreviewLink.findUnique).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: linkId, contentItem: { deletedAt: null } }
+      }));
+    });
+
+    it('should reject expired and forged tokens', async () => {
+      const expired = previewService.withToken({ ...link, expiresAt: new Date(Date.now() - 1000) }).token;
+      const forged = jwt.sign({ contentId }, 'not-the-secret', { jwtid: linkId });
+
+      await request(app).get(`/api/content/preview/${expired}`).expect(404);
+      await request(app).get(`/api/content/preview/${forged}`).expect(404);
+      await request(app).get('/api/content/preview/garbage').expect(404);
+
+      expect(mockPrisma.contentPreviewLink.findUnique).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const revisionService = require('../src/services/contentRevisionService');
+const contentService = require('../src/services/contentService');
+const fileStorageService = require('../src/services/fileStorageService');
+const { LocalStorageDriver } = require('../src/services/storage');
+const mockPrisma = require('../src/config/database');
+
+describe('ContentRevisionService', () => {
+  const baseRevision = {
+    id: 'revision-1',
+    contentId: 'content-123',
+    title: 'Original Title',
+    content: '<p>The quick brown fox</p>',
+    excerpt: 'Short excerpt',
+    category: 'WEB_DEVELOPMENT',
+    subcategory: null,
+    status: 'DRAFT',
+    metaTitle: null,
+    metaDescription: null,
+    createdAt: new Date('2025-09-01T10:00:00Z'),
+    editor: { id: 'admin-123', name: 'Admin User', email: 'admin@test.com' }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('recordRevision', () => {
+    it('should snapshot the editable fields with the editor', async () => {
+      mockPrisma.contentRevision.create.mockResolvedValue({ id: 'revision-1' });
+
+      await revisionService.recordRevision({
+        id: 'content-123',
+        title: 'Title',
+        content: '<p>Body</p>',
+        excerpt: null,
+        category: 'GENERAL',
+        subcategory: 'javascript',
+        status: 'PUBLISHED',
+        metaTitle: 'Meta',
+        metaDescription: 'Description',
+        slug: 'title',
+        priority: 3,
+        author: { id: 'author-123' }
+      }, 'editor-123');
+
+      expect(mockPrisma.contentRevision.create).toHaveBeenCalledWith({
+        data: {
+          contentId: 'content-123',
+          editorId: 'editor-123',
+          title: 'Title',
+          content: '<p>Body</p>',
+          excerpt: null,
+          category: 'GENERAL',
+          subcategory: 'javascript',
+          status: 'PUBLISHED',
+          metaTitle: 'Meta',
+          metaDescription: 'Description'
+        }
+      });
+    });
+  });
+
+  describe('getRevisionById', () => {
+    it('should scope the lookup to the content item', async () => {
+      mockPrisma.contentRevision.findFirst.mockResolvedValue(baseRevision);
+
+      const revision = await revisionService.getRevisionById('content-123', 'revision-1');
+
+      expect(revision).toEqual(baseRevision);
+      expect(mockPrisma.contentRevision.findFirst).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { id: 'revision-1', contentId: 'content-123' }
+        })
+      );
+    });
+
+    it('should throw 404 when the revision does not exist', async () => {
+      mockPrisma.contentRevision.findFirst.mockResolvedValue(null);
+
+      await expect(revisionService.getRevisionById('content-123', 'missing'))
+        .rejects.toMatchObject({ statusCode: 404, code: 'REVISION_NOT_FOUND' });
+    });
+  });
+
+  describe('diffRevisions', () => {
+    it('should return word-level changes for changed fields only', async () => {
+      mockPrisma.contentRevision.findFirst
+        .mockResolvedValueOnce(baseRevision)
+        .mockResolvedValueOnce({
+          ...baseRevision,
+          id: 'revision-2',
+          title: 'Updated Title',
+          content: '<p>The quick red fox</p>'
+        });
+
+      const diff = await revisionService.diffRevisions('content-123', 'revision-1', 'revision-2');
+
+      expect(diff.from.id).toBe('revision-1');
+      expect(diff.to.id).toBe('revision-2');
+      expect(Object.keys(diff.changes).sort()).toEqual(['content', 'title']);
+      expect(diff.changes.title).toEqual([
+        { type: 'removed', value: 'Original' },
+        { type: 'added', value: 'Updated' },
+        { type: 'unchanged', value: ' Title' }
+      ]);
+      expect(diff.changes.content).toEqual(
+        expect.arrayContaining([
+          { type: 'removed', value: 'brown' },
+          { type: 'added', value: 'red' }
+        ])
+      );
+    });
+
+    it('should compare the body as plain text', () => {
+      const changes = revisionService.compareSnapshots(
+        { ...baseRevision, content: '<p>Same words</p>' },
+        { ...baseRevision, content: '<div>Same <strong>words</strong></div>' }
+      );
+
+      expect(changes).toEqual({});
+    });
+  });
+
+  describe('restoring after an image was removed', () => {
+    const contentId = '7d9f3c1e-2b4a-4c8e-9f1a-3b5c7d9e1f2a';
+    const imagePath = `web-development/2025/08/${contentId}/photo.png`;
+    const withImage = `<p>Intro</p><img src="/api/images/${imagePath}">`;
+    const originalDriver = fileStorageService.driver;
+    let tmpDir;
+    let stored;
+
+    beforeEach(async () => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'revisions-'));
+      fileStorageService.driver = new LocalStorageDriver({ root: tmpDir });
+      await fileStorageService.driver.put(`content/${imagePath}`, Buffer.from('x'));
+
+      stored = {
+        ...baseRevision,
+        id: contentId,
+        content: withImage,
+        authorId: 'admin-123',
+        slug: 'original-title',
+        publishedAt: null,
+        version: 1
+      };
+      const revision = { ...baseRevision, contentId, content: withImage };
+
+      mockPrisma.content.findUnique.mockImplementation(() => stored);
+      mockPrisma.content.update.mockImplementation(({ data }) => {
+        stored = { ...stored, ...data, version: stored.version + 1 };
+        return stored;
+      });
+      mockPrisma.category.findUnique.mockResolvedValue({ key: 'WEB_DEVELOPMENT', parentKey: null });
+      mockPrisma.contentRevision.findMany.mockResolvedValue([revision]);
+      mockPrisma.contentRevision.findFirst.mockResolvedValue(revision);
+    });
+
+    afterEach(() => {
+      fileStorageService.driver = originalDriver;
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should keep images a revision still shows', async () => {
+      await contentService.updateContent(contentId, { content: '<p>Intro</p>' }, 'admin-123');
+
+      expect(stored.content).toBe('<p>Intro</p>');
+      expect(await fileStorageService.imageExists(imagePath)).toBe(true);
+
+      const restored = await contentService.restoreRevision(contentId, 'revision-1', 'admin-123');
+
+      expect(restored.content).toBe(withImage);
+      expect(await fileStorageService.imageExists(imagePath)).toBe(true);
+    });
+
+    it('should delete removed images no revision shows', async () => {
+      mockPrisma.contentRevision.findMany.mockResolvedValue([{ content: '<p>Intro</p>' }]);
+
+      await contentService.updateContent(contentId, { content: '<p>Intro</p>' }, 'admin-123');
+
+      expect(await fileStorageService.imageExists(imagePath)).toBe(false);
+      expect(mockPrisma.contentRevision.findMany).toHaveBeenCalledWith({
+        where: { contentId },
+        select: { content: true }
+      });
+    });
+  });
+});
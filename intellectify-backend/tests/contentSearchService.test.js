@@ -0,0 +1,89 @@
+const ContentSearchService = require('../src/services/contentSearchService');
+const mockPrisma = require('../src/config/database');
+
+describe('ContentSearchService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('indexContent', () => {
+    it('should index title, excerpt and HTML-stripped body', async () => {
+      mockPrisma.$executeRaw.mockResolvedValue(1);
+
+      await ContentSearchService.indexContent({
+        id: 'content-123',
+        title: 'Learning Rust',
+        excerpt: 'Ownership explained',
+        content: '<p>Borrowing <strong>rules</strong></p><p>Lifetimes</p>'
+      });
+
+      const [, ...values] = mockPrisma.$executeRaw.mock.calls[0];
+      expect(values).toEqual([
+        'Learning Rust',
+        'Ownership explained',
+        'Borrowing rules Lifetimes',
+        'content-123'
+      ]);
+    });
+
+    it('should not throw when indexing fails', async () => {
+      mockPrisma.$executeRaw.mockRejectedValue(new Error('Database error'));
+
+      await expect(ContentSearchService.indexContent({ id: 'content-123', title: 'Title', content: '' }))
+        .resolves.toBeUndefined();
+    });
+  });
+
+  describe('search', () => {
+    it('should return ranked items with author and highlights', async () => {
+      mockPrisma.$queryRaw
+        .mockResolvedValueOnce([{
+          id: 'content-123',
+          title: 'Learning Rust',
+          slug: 'learning-rust',
+          excerpt: null,
+          category: 'PROGRAMMING_LANGUAGES',
+          subcategory: 'rust',
+          priority: 0,
+          publishedAt: new Date('2025-09-01T10:00:00Z'),
+          createdAt: new Date('2025-09-01T09:00:00Z'),
+          updatedAt: new Date('2025-09-01T10:00:00Z'),
+          authorId: 'author-123',
+          authorName: 'Test User',
+          authorEmail: 'test@example.com',
+          rank: 0.4,
+          titleHighlight: 'Learning <mark>Rust</mark>',
+          snippet: 'Why <mark>Rust</mark> borrowing works'
+        }])
+        .mockResolvedValueOnce([{ total: 11 }]);
+
+      const result = await ContentSearchService.search({ query: 'rust', page: 2, limit: 5 });
+
+      expect(result.items[0]).toMatchObject({
+        id: 'content-123',
+        slug: 'learning-rust',
+        author: { id: 'author-123', name: 'Test User', email: 'test@example.com' },
+        rank: 0.4,
+        highlights: {
+          title: 'Learning <mark>Rust</mark>',
+          content: 'Why <mark>Rust</mark> borrowing works'
+        }
+      });
+      expect(result.items[0]).not.toHaveProperty('authorName');
+      expect(result.pagination).toEqual({
+        total: 11,
+        totalPages: 3,
+        currentPage: 2,
+        hasNextPage: true,
+        hasPreviousPage: true,
+        limit: 5
+      });
+
+      // Query text and category are passed as parameters, never interpolated
+      const [strings, ...values] = mockPrisma.$queryRaw.mock.calls[0];
+      expect(strings.join('')).not.toContain('rust');
+      expect(values).toContain('rust');
+      expect(values.slice(-2)).toEqual([5, 5]); // LIMIT 5 OFFSET 5 for page 2
+    });
+  });
+});
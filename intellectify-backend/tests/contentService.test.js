@@ -40,10 +40,14 @@ jest.mock('../src/services/fileStorageService', () => ({
 // Mock SlugGenerator module
 const mockGenerateSlug = jest.fn();
 const mockEnsureUniqueSlug = jest.fn();
+const mockRecordSlugChange = jest.fn();
+const mockValidateCustomSlug = jest.fn();
   
 jest.mock('../src/services/slugGenerator', () => ({
   generateSlug: (...args) => mockGenerateSlug(...args),
-  ensureUniqueSlug: (...args) => mockEnsureUniqueSlug(...args)
+  ensureUniqueSlug: (...args) => mockEnsureUniqueSlug(...args),
+  recordSlugChange: (...args) => mockRecordSlugChange(...args),
+  validateCustomSlug: (...args) => mockValidateCustomSlug(...args)
 }));
 
 const { generateSlug, ensureUniqueSlug } = require('../src/services/slugGenerator');
@@ -323,6 +327,7 @@ describe('ContentService', () => {
       mockEnsureUniqueSlug.mockClear();
       mockPrisma.content.create.mockClear();
       ImageManager.moveTemporaryImages.mockClear();
+      mockPrisma.category.findUnique.mockResolvedValue({ key: 'TECHNOLOGY', parentKey: null });
     });
     
     it('should create content with generated slug', async () => {
@@ -368,6 +373,23 @@ describe('ContentService', () => {
         contentData.category,
         'content-123'
       );
+      // The author's working copy of the new article is cleared
+      expect(mockPrisma.contentAutosave.deleteMany).toHaveBeenCalledWith({
+        where: { userId: mockAuthor.id, contentId: null }
+      });
+    });
+
+    it('should use a custom slug instead of generating one', async () => {
+      mockValidateCustomSlug.mockResolvedValue('my-slug');
+      mockPrisma.content.create.mockResolvedValue({ id: 'content-123', ...contentData, slug: 'my-slug' });
+
+      await contentService.createContent(mockAuthor.id, { ...contentData, slug: 'my-slug' });
+
+      expect(mockValidateCustomSlug).toHaveBeenCalledWith('my-slug');
+      expect(mockEnsureUniqueSlug).not.toHaveBeenCalled();
+      expect(mockPrisma.content.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ slug: 'my-slug' })
+      }));
     });
 
     it('should handle default priority', async () => {
@@ -503,11 +525,47 @@ describe('ContentService', () => {
             name: true,
             email: true
           }
+        },
+        tags: {
+          select: {
+            id: true,
+            name: true,
+            slug: true
+          },
+          orderBy: { name: 'asc' }
         }
       }
     });
   });
 
+  it('should keep the old slug as a redirect when the title changes', async () => {
+    mockGenerateSlug.mockReturnValue('renamed-article');
+    mockEnsureUniqueSlug.mockResolvedValue('renamed-article');
+
+    await contentService.updateContent('content-123', { title: 'Renamed Article' }, 'editor-123');
+
+    expect(mockEnsureUniqueSlug).toHaveBeenCalledWith('renamed-article', 'content-123');
+    expect(mockRecordSlugChange).toHaveBeenCalledWith('content-123', 'existing-article', 'renamed-article');
+  });
+
+  it('should prefer a custom slug over the title when updating', async () => {
+    mockValidateCustomSlug.mockResolvedValue('chosen-slug');
+
+    await contentService.updateContent('content-123', { title: 'Renamed Article', slug: 'chosen-slug' }, 'editor-123');
+
+    expect(mockValidateCustomSlug).toHaveBeenCalledWith('chosen-slug', 'content-123');
+    expect(mockGenerateSlug).not.toHaveBeenCalled();
+    expect(mockRecordSlugChange).toHaveBeenCalledWith('content-123', 'existing-article', 'chosen-slug');
+  });
+
+  it('should reject a custom slug before touching images', async () => {
+    mockValidateCustomSlug.mockRejectedValueOnce(new AppError('Slug "taken" is already in use', 409, 'SLUG_TAKEN'));
+
+    await expect(contentService.updateContent('content-123', { content: '<p>New</p>', slug: 'taken' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(ImageManager.updateContentImages).not.toHaveBeenCalled();
+  });
+
   it('should throw error if content not found or access denied', async () => {
     const contentId = 'content-123';
     const authorId = 'author-123';
@@ -571,6 +629,7 @@ describe('Image Integration', () => {
         category: 'TECHNOLOGY',
         slug: 'test-article'
       };
+      mockPrisma.category.findUnique.mockResolvedValue({ key: 'TECHNOLOGY', parentKey: null });
       
       // Mock image extraction
       fileStorageService.extractImagePaths.mockImplementation((content) => {
@@ -788,4 +847,591 @@ describe('Image Integration', () => {
       .rejects.toThrow('Unique constraint failed');
   });
 });
-});
\ No newline at end of file
+});
+describe('Revision History', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should record a revision after updating content', async () => {
+    const existingContent = {
+      id: 'content-123',
+      title: 'Test',
+      content: 'Old body',
+      category: 'GENERAL',
+      authorId: 'author-123',
+      slug: 'test',
+      status: 'DRAFT',
+      publishedAt: null
+    };
+    const updatedContent = { ...existingContent, content: 'New body' };
+
+    mockPrisma.content.findUnique.mockResolvedValue(existingContent);
+    mockPrisma.content.update.mockResolvedValue(updatedContent);
+    ImageManager.updateContentImages.mockResolvedValue('New body');
+
+    await contentService.updateContent('content-123', { content: 'New body' }, 'editor-123');
+
+    expect(mockPrisma.contentRevision.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        contentId: 'content-123',
+        editorId: 'editor-123',
+        content: 'New body'
+      })
+    });
+  });
+
+  it('should restore a revision through the normal update path', async () => {
+    const revision = {
+      id: 'revision-1',
+      contentId: 'content-123',
+      title: 'Old Title',
+      content: '<p>Old body <img src="/api/images/general/2025/08/content-123/a.jpg"></p>',
+      excerpt: 'Old excerpt',
+      category: 'GENERAL',
+      subcategory: null,
+      status: 'PUBLISHED',
+      metaTitle: null,
+      metaDescription: null
+    };
+    const existingContent = {
+      id: 'content-123',
+      title: 'New Title',
+      content: '<p>New body</p>',
+      category: 'GENERAL',
+      authorId: 'author-123',
+      slug: 'new-title',
+      status: 'DRAFT',
+      publishedAt: null
+    };
+
+    mockPrisma.contentRevision.findFirst.mockResolvedValue(revision);
+    mockPrisma.content.findUnique.mockResolvedValue(existingContent);
+    mockPrisma.content.update.mockImplementation(({ data }) => ({ ...existingContent, ...data }));
+    ImageManager.updateContentImages.mockImplementation(async (content) => content);
+    mockGenerateSlug.mockReturnValue('old-title');
+    mockEnsureUniqueSlug.mockResolvedValue('old-title');
+
+    const result = await contentService.restoreRevision('content-123', 'revision-1', 'editor-123');
+
+    expect(ImageManager.updateContentImages).toHaveBeenCalledWith(revision.content, 'GENERAL', 'content-123');
+    expect(ImageManager.cleanupUnusedImages).toHaveBeenCalledWith(existingContent.content, revision.content, 'content-123');
+    expect(result).toMatchObject({ title: 'Old Title', slug: 'old-title', status: 'DRAFT' });
+    expect(mockPrisma.contentRevision.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ editorId: 'editor-123', title: 'Old Title' })
+    });
+  });
+
+  it('should reject restoring a revision from another content item', async () => {
+    mockPrisma.contentRevision.findFirst.mockResolvedValue(null);
+
+    await expect(contentService.restoreRevision('content-123', 'revision-9', 'editor-123'))
+      .rejects.toMatchObject({ statusCode: 404, code: 'REVISION_NOT_FOUND' });
+    expect(mockPrisma.content.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('Scheduled Publishing', () => {
+  const now = new Date('2025-09-01T10:00:00Z');
+  const draftContent = {
+    id: 'content-123',
+    title: 'Test',
+    content: 'Body',
+    authorId: 'author-123',
+    status: 'DRAFT',
+    publishedAt: null,
+    publishAt: null,
+    unpublishAt: null
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.content.update.mockImplementation(({ data }) => ({ ...draftContent, ...data }));
+  });
+
+  describe('validateSchedule', () => {
+    it('should accept future dates', () => {
+      const schedule = contentService.validateSchedule({
+        publishAt: '2025-09-02T10:00:00Z',
+        unpublishAt: '2025-09-03T10:00:00Z'
+      }, now);
+
+      expect(schedule.publishAt).toEqual(new Date('2025-09-02T10:00:00Z'));
+      expect(schedule.unpublishAt).toEqual(new Date('2025-09-03T10:00:00Z'));
+    });
+
+    it('should reject times in the past', () => {
+      expect(() => contentService.validateSchedule({ publishAt: '2025-08-31T10:00:00Z' }, now))
+        .toThrow('publishAt must be in the future');
+    });
+
+    it('should reject invalid dates', () => {
+      expect(() => contentService.validateSchedule({ unpublishAt: 'tomorrow-ish' }, now))
+        .toThrow('unpublishAt must be a valid date');
+    });
+
+    it('should reject unpublishAt before publishAt', () => {
+      expect(() => contentService.validateSchedule({
+        publishAt: '2025-09-03T10:00:00Z',
+        unpublishAt: '2025-09-02T10:00:00Z'
+      }, now)).toThrow('unpublishAt must be after publishAt');
+    });
+
+    it('should require at least one date', () => {
+      expect(() => contentService.validateSchedule({}, now))
+        .toThrow('publishAt or unpublishAt is required');
+    });
+  });
+
+  describe('scheduleContent', () => {
+    it('should move a draft to SCHEDULED', async () => {
+      const publishAt = new Date(Date.now() + 60 * 60 * 1000);
+      mockPrisma.content.findUnique.mockResolvedValue(draftContent);
+
+      const result = await contentService.scheduleContent('content-123', { publishAt }, 'editor-123');
+
+      expect(mockPrisma.content.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: { publishAt, status: 'SCHEDULED', version: { increment: 1 } }
+      }));
+      expect(result.status).toBe('SCHEDULED');
+      expect(mockPrisma.contentRevision.create).toHaveBeenCalled();
+    });
+
+    it('should not allow scheduling publication of published content', async () => {
+      mockPrisma.content.findUnique.mockResolvedValue({ ...draftContent, status: 'PUBLISHED' });
+
+      await expect(contentService.scheduleContent('content-123', {
+        publishAt: new Date(Date.now() + 60 * 60 * 1000)
+      }, 'editor-123')).rejects.toMatchObject({ statusCode: 400, code: 'ALREADY_PUBLISHED' });
+    });
+  });
+
+  describe('cancelSchedule', () => {
+    it('should return scheduled content to DRAFT', async () => {
+      mockPrisma.content.findUnique.mockResolvedValue({
+        ...draftContent,
+        status: 'SCHEDULED',
+        publishAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+
+      await contentService.cancelSchedule('content-123', 'editor-123');
+
+      expect(mockPrisma.content.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: { publishAt: null, unpublishAt: null, status: 'DRAFT', version: { increment: 1 } }
+      }));
+    });
+  });
+
+  describe('processScheduledContent', () => {
+    it('should publish due items with first-publish logic and unpublish expired ones', async () => {
+      mockPrisma.content.findMany
+        .mockResolvedValueOnce([{ id: 'due-publish', authorId: 'author-1' }])
+        .mockResolvedValueOnce([{ id: 'due-unpublish', authorId: 'author-2' }]);
+      mockPrisma.content.findUnique.mockImplementation(({ where }) => (
+        where.id === 'due-publish'
+          ? { ...draftContent, id: 'due-publish', status: 'SCHEDULED' }
+          : { ...draftContent, id: 'due-unpublish', status: 'PUBLISHED', publishedAt: now }
+      ));
+
+      const result = await contentService.processScheduledContent(now);
+
+      expect(result).toEqual({ published: ['due-publish'], unpublished: ['due-unpublish'], errors: [] });
+      expect(mockPrisma.content.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { status: 'SCHEDULED', publishAt: { lte: now }, deletedAt: null }
+      }));
+      expect(mockPrisma.content.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'due-publish' },
+        data: { status: 'PUBLISHED', publishAt: null, publishedAt: expect.any(Date), version: { increment: 1 } }
+      }));
+      expect(mockPrisma.content.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'due-unpublish' },
+        data: { status: 'DRAFT', publishAt: null, unpublishAt: null, publishedAt: now, version: { increment: 1 } }
+      }));
+    });
+
+    it('should keep going when one item fails', async () => {
+      mockPrisma.content.findMany
+        .mockResolvedValueOnce([{ id: 'missing', authorId: 'author-1' }, { id: 'ok', authorId: 'author-1' }])
+        .mockResolvedValueOnce([]);
+      mockPrisma.content.findUnique.mockImplementation(({ where }) => (
+        where.id === 'ok' ? { ...draftContent, id: 'ok', status: 'SCHEDULED' } : null
+      ));
+
+      const result = await contentService.processScheduledContent(now);
+
+      expect(result.published).toEqual(['ok']);
+      expect(result.errors).toEqual([{ id: 'missing', error: 'Content not found' }]);
+    });
+  });
+});
+
+describe('Tags', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGenerateSlug.mockImplementation((title) => title.toLowerCase().replace(/[^\w\s-]/g, '').replace(/[\s_-]+/g, '-'));
+    mockEnsureUniqueSlug.mockImplementation(async (slug) => slug);
+  });
+
+  it('should reject tags that are not an array', () => {
+    expect(() => contentService.validateContent({ title: 'Title', content: 'Body', tags: 'javascript' }))
+      .toThrow('Tags must be an array of strings');
+  });
+
+  it('should leave tags undefined on update when not sent', () => {
+    const validated = contentService.validateContent({ title: 'Title' }, true);
+
+    expect(validated.tags).toBeUndefined();
+    expect(validated.status).toBeUndefined();
+  });
+
+  it('should connect normalised tags when creating content', async () => {
+    mockPrisma.tag.findMany.mockResolvedValue([{ id: 'tag-1' }, { id: 'tag-2' }]);
+    mockPrisma.content.create.mockResolvedValue({ id: 'content-123', title: 'Title', content: 'Body' });
+
+    await contentService.createContent('author-123', {
+      title: 'Title',
+      content: 'Body',
+      tags: ['Node JS', 'node-js', '  React  ']
+    });
+
+    expect(mockPrisma.tag.createMany).toHaveBeenCalledWith({
+      data: [
+        { name: 'Node JS', slug: 'node-js' },
+        { name: 'React', slug: 'react' }
+      ],
+      skipDuplicates: true
+    });
+    expect(mockPrisma.content.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({
+        tags: { connect: [{ id: 'tag-1' }, { id: 'tag-2' }] }
+      })
+    }));
+  });
+
+  it('should replace tags on update only when a list is sent', async () => {
+    const existingContent = {
+      id: 'content-123',
+      title: 'Title',
+      authorId: 'author-123',
+      slug: 'title',
+      status: 'DRAFT',
+      publishedAt: null
+    };
+    mockPrisma.content.findUnique.mockResolvedValue(existingContent);
+    mockPrisma.content.update.mockResolvedValue(existingContent);
+
+    await contentService.updateContent('content-123', { excerpt: 'New excerpt' }, 'editor-123');
+    expect(mockPrisma.content.update.mock.calls[0][0].data).not.toHaveProperty('tags');
+
+    await contentService.updateContent('content-123', { tags: [] }, 'editor-123');
+    expect(mockPrisma.content.update.mock.calls[1][0].data.tags).toEqual({ set: [] });
+  });
+
+  it('should filter published content by tag slug', async () => {
+    mockPrisma.content.findMany.mockResolvedValue([]);
+    mockPrisma.content.count.mockResolvedValue(0);
+
+    await contentService.getPublishedContent({ tag: 'node-js' });
+
+    expect(mockPrisma.content.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { status: 'PUBLISHED', deletedAt: null, tags: { some: { slug: 'node-js' } } }
+    }));
+  });
+
+  it('should list tags used by published content with counts', async () => {
+    mockPrisma.tag.findMany.mockResolvedValue([
+      { id: 'tag-1', name: 'React', slug: 'react', _count: { contents: 2 } },
+      { id: 'tag-2', name: 'Unused', slug: 'unused', _count: { contents: 0 } },
+      { id: 'tag-3', name: 'Node JS', slug: 'node-js', _count: { contents: 5 } },
+      { id: 'tag-4', name: 'Angular', slug: 'angular', _count: { contents: 2 } }
+    ]);
+
+    const tags = await contentService.getContentTags();
+
+    expect(tags).toEqual([
+      { id: 'tag-3', name: 'Node JS', slug: 'node-js', count: 5 },
+      { id: 'tag-4', name: 'Angular', slug: 'angular', count: 2 },
+      { id: 'tag-1', name: 'React', slug: 'react', count: 2 }
+    ]);
+  });
+});
+
+describe('Archiving', () => {
+  const publishedContent = {
+    id: 'content-123',
+    title: 'Test',
+    content: 'Body',
+    category: 'GENERAL',
+    authorId: 'author-123',
+    slug: 'test',
+    status: 'PUBLISHED',
+    publishedAt: new Date('2025-09-01T10:00:00Z'),
+    publishAt: null,
+    unpublishAt: new Date('2025-12-01T10:00:00Z')
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.content.update.mockImplementation(({ data }) => ({ ...publishedContent, ...data }));
+  });
+
+  it('should archive published content without touching images', async () => {
+    mockPrisma.content.findUnique.mockResolvedValue(publishedContent);
+
+    const result = await contentService.updateContentStatus('content-123', 'ARCHIVED', 'editor-123');
+
+    expect(result.status).toBe('ARCHIVED');
+    expect(mockPrisma.content.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: {
+        status: 'ARCHIVED',
+        publishAt: null,
+        unpublishAt: null,
+        publishedAt: publishedContent.publishedAt,
+        version: { increment: 1 }
+      }
+    }));
+    expect(ImageManager.cleanupContentImages).not.toHaveBeenCalled();
+    expect(mockPrisma.contentRevision.create).toHaveBeenCalled();
+  });
+
+  it('should unarchive to DRAFT', async () => {
+    mockPrisma.content.findUnique.mockResolvedValue({ ...publishedContent, status: 'ARCHIVED' });
+
+    const result = await contentService.updateContentStatus('content-123', 'DRAFT', 'editor-123');
+
+    expect(result.status).toBe('DRAFT');
+  });
+
+  it('should not publish archived content directly', async () => {
+    mockPrisma.content.findUnique.mockResolvedValue({ ...publishedContent, status: 'ARCHIVED' });
+
+    await expect(contentService.updateContentStatus('content-123', 'PUBLISHED', 'editor-123'))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_STATUS_TRANSITION' });
+    expect(mockPrisma.content.update).not.toHaveBeenCalled();
+  });
+
+  it('should hide archived content from the admin list unless requested', async () => {
+    mockPrisma.content.findMany.mockResolvedValue([]);
+    mockPrisma.content.count.mockResolvedValue(0);
+
+    await contentService.getContentByAuthor({ authorId: 'author-123' });
+    await contentService.getContentByAuthor({ authorId: 'author-123', status: 'ARCHIVED' });
+
+    expect(mockPrisma.content.findMany.mock.calls[0][0].where).toEqual({
+      authorId: 'author-123',
+      deletedAt: null,
+      status: { not: 'ARCHIVED' }
+    });
+    expect(mockPrisma.content.findMany.mock.calls[1][0].where).toEqual({
+      authorId: 'author-123',
+      deletedAt: null,
+      status: 'ARCHIVED'
+    });
+  });
+
+  it('should only return published content by slug', async () => {
+    mockPrisma.content.findFirst.mockResolvedValue(null);
+
+    const result = await contentService.getContentBySlug('test');
+
+    expect(result).toBeNull();
+    expect(mockPrisma.content.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+      where: { slug: 'test', status: 'PUBLISHED', deletedAt: null }
+    }));
+  });
+});
+
+describe('Trash', () => {
+  const now = new Date('2025-10-01T03:00:00Z');
+  const publishedContent = {
+    id: 'content-123',
+    title: 'Test',
+    content: 'Body',
+    category: 'GENERAL',
+    authorId: 'author-123',
+    slug: 'test',
+    status: 'PUBLISHED',
+    deletedAt: null
+  };
+  const trashedContent = { ...publishedContent, deletedAt: new Date('2025-09-20T10:00:00Z') };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.content.update.mockImplementation(({ data }) => ({ ...publishedContent, ...data }));
+  });
+
+  it('should move content to the trash without deleting it or its images', async () => {
+    mockPrisma.content.findUnique.mockResolvedValue(publishedContent);
+
+    await contentService.deleteContent('content-123');
+
+    expect(mockPrisma.content.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'content-123' },
+      data: { deletedAt: expect.any(Date), version: { increment: 1 } }
+    }));
+    expect(mockPrisma.content.delete).not.toHaveBeenCalled();
+    expect(ImageManager.cleanupContentImages).not.toHaveBeenCalled();
+  });
+
+  it('should not trash content twice', async () => {
+    mockPrisma.content.findUnique.mockResolvedValue(trashedContent);
+
+    await expect(contentService.deleteContent('content-123'))
+      .rejects.toMatchObject({ statusCode: 404, code: 'CONTENT_NOT_FOUND' });
+  });
+
+  it('should restore trashed content with its previous status', async () => {
+    mockPrisma.content.findUnique.mockResolvedValue(trashedContent);
+
+    const result = await contentService.restoreContent('content-123');
+
+    expect(result).toMatchObject({ status: 'PUBLISHED', deletedAt: null });
+
+    mockPrisma.content.findUnique.mockResolvedValue(publishedContent);
+    await expect(contentService.restoreContent('content-123'))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('should list the trash with purge dates', async () => {
+    mockPrisma.content.findMany.mockResolvedValue([{ id: 'content-123', deletedAt: trashedContent.deletedAt }]);
+    mockPrisma.content.count.mockResolvedValue(1);
+
+    const result = await contentService.getTrash({ authorId: 'author-123' });
+
+    expect(mockPrisma.content.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { authorId: 'author-123', deletedAt: { not: null } },
+      orderBy: { deletedAt: 'desc' }
+    }));
+    // Default retention is 30 days
+    expect(result.items[0].purgeAt).toEqual(new Date('2025-10-20T10:00:00Z'));
+  });
+
+  it('should purge expired items and only then remove their images', async () => {
+    mockPrisma.content.findMany.mockResolvedValue([
+      { id: 'expired-1', content: '<p>One</p>', revisions: [] },
+      { id: 'expired-2', content: '<p>Two</p>', revisions: [{ content: '<p>First</p>' }] }
+    ]);
+    mockPrisma.content.delete
+      .mockRejectedValueOnce(new Error('Database unavailable'))
+      .mockResolvedValueOnce({});
+
+    const result = await contentService.purgeExpiredTrash(now);
+
+    expect(mockPrisma.content.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { deletedAt: { lte: new Date('2025-09-01T03:00:00Z') } },
+      select: { id: true, content: true, revisions: { select: { content: true } } }
+    }));
+    expect(result).toEqual({
+      purged: ['expired-2'],
+      errors: [{ id: 'expired-1', error: 'Database unavailable' }]
+    });
+    // The row that couldn't be deleted keeps its images
+    expect(ImageManager.cleanupContentImages).toHaveBeenCalledTimes(1);
+    expect(ImageManager.cleanupContentImages).toHaveBeenCalledWith('expired-2', ['<p>Two</p>', '<p>First</p>']);
+  });
+
+  it('should empty an author\'s trash', async () => {
+    mockPrisma.content.findMany.mockResolvedValue([{ id: 'content-123', content: '<p>Body</p>' }]);
+    mockPrisma.content.delete.mockResolvedValue({});
+
+    const result = await contentService.emptyTrash('author-123');
+
+    expect(mockPrisma.content.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { authorId: 'author-123', deletedAt: { not: null } }
+    }));
+    expect(result.purged).toEqual(['content-123']);
+    expect(ImageManager.cleanupContentImages).toHaveBeenCalledWith('content-123', ['<p>Body</p>']);
+  });
+});
+
+describe('Cursor pagination', () => {
+  const rows = [
+    { id: 'c', priority: 5, publishedAt: new Date('2025-09-03T00:00:00Z'), createdAt: new Date('2025-09-01T00:00:00Z') },
+    { id: 'b', priority: 0, publishedAt: new Date('2025-09-02T00:00:00Z'), createdAt: new Date('2025-09-01T00:00:00Z') },
+    { id: 'a', priority: 0, publishedAt: new Date('2025-09-01T00:00:00Z'), createdAt: new Date('2025-09-01T00:00:00Z') }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should read the first page by sort key without counting', async () => {
+    mockPrisma.content.findMany.mockResolvedValue(rows);
+
+    const result = await contentService.getPublishedContent({ limit: 2, cursor: '' });
+
+    expect(mockPrisma.content.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { status: 'PUBLISHED', deletedAt: null },
+      orderBy: [{ priority: 'desc' }, { publishedAt: 'desc' }, { createdAt: 'desc' }, { id: 'desc' }],
+      take: 3
+    }));
+    expect(mockPrisma.content.count).not.toHaveBeenCalled();
+    expect(result.items.map(({ id }) => id)).toEqual(['c', 'b']);
+    expect(result.pagination.prevCursor).toBeNull();
+    expect(result.pagination.nextCursor).toEqual(expect.any(String));
+  });
+
+  it('should continue after the last item of the previous page', async () => {
+    mockPrisma.content.findMany.mockResolvedValueOnce(rows);
+    const first = await contentService.getPublishedContent({ limit: 2, cursor: '' });
+
+    mockPrisma.content.findMany.mockResolvedValueOnce([rows[2]]);
+    const second = await contentService.getPublishedContent({ limit: 2, cursor: first.pagination.nextCursor });
+
+    const { where } = mockPrisma.content.findMany.mock.calls[1][0];
+    const { priority, publishedAt } = rows[1];
+    expect(where.AND).toEqual([{
+      OR: [
+        { AND: [{ priority: { lt: priority } }] },
+        { AND: [{ priority }, { publishedAt: { lt: publishedAt } }] },
+        { AND: [{ priority }, { publishedAt }, { createdAt: { lt: rows[1].createdAt } }] },
+        { AND: [{ priority }, { publishedAt }, { createdAt: rows[1].createdAt }, { id: { lt: 'b' } }] }
+      ]
+    }]);
+    expect(second.items.map(({ id }) => id)).toEqual(['a']);
+    expect(second.pagination.nextCursor).toBeNull();
+    expect(second.pagination.prevCursor).toEqual(expect.any(String));
+  });
+
+  it('should read backwards from a previous cursor', async () => {
+    const prevCursor = Buffer.from(JSON.stringify({
+      d: 'prev',
+      s: 'priority-,publishedAt-,createdAt-,id-',
+      k: [0, '2025-09-01T00:00:00.000Z', '2025-09-01T00:00:00.000Z', 'a']
+    })).toString('base64url');
+    // Walked in reverse order, so the nearest row comes first
+    mockPrisma.content.findMany.mockResolvedValue([rows[1], rows[0]]);
+
+    const result = await contentService.getPublishedContent({ limit: 1, cursor: prevCursor });
+
+    expect(mockPrisma.content.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      orderBy: [{ priority: 'asc' }, { publishedAt: 'asc' }, { createdAt: 'asc' }, { id: 'asc' }]
+    }));
+    expect(result.items.map(({ id }) => id)).toEqual(['b']);
+    expect(result.pagination.prevCursor).toEqual(expect.any(String));
+    expect(result.pagination.nextCursor).toEqual(expect.any(String));
+  });
+
+  it('should place unpublished drafts (null publishedAt) first', async () => {
+    const draft = { id: 'd', priority: 0, publishedAt: null, createdAt: new Date('2025-09-04T00:00:00Z') };
+    mockPrisma.content.findMany.mockResolvedValueOnce([draft, rows[1]]);
+    const first = await contentService.getContentByAuthor({ authorId: 'author-123', limit: 1, cursor: '' });
+
+    mockPrisma.content.findMany.mockResolvedValueOnce([]);
+    await contentService.getContentByAuthor({ authorId: 'author-123', limit: 1, cursor: first.pagination.nextCursor });
+
+    const { where } = mockPrisma.content.findMany.mock.calls[1][0];
+    expect(where.AND[0].OR[1]).toEqual({ AND: [{ priority: 0 }, { publishedAt: { not: null } }] });
+  });
+
+  it('should reject cursors that are not from this listing', async () => {
+    mockPrisma.content.findMany.mockResolvedValue(rows);
+    const { pagination } = await contentService.getPublishedContent({ limit: 1, cursor: '' });
+
+    await expect(contentService.getPublishedContent({ cursor: 'not-a-cursor' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_CURSOR' });
+    // A cursor only works with the sort it came from
+    await expect(contentService.getPublishedContent({ sort: 'newest', cursor: pagination.nextCursor }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_CURSOR' });
+  });
+});
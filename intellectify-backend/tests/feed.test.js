@@ -0,0 +1,96 @@
+const request = require('supertest');
+const app = require('../app');
+const mockPrisma = require('../src/config/database');
+
+describe('Content feeds', () => {
+  const publishedItem = {
+    id: '7d9f3c1e-2b4a-4c8e-9f1a-3b5c7d9e1f2a',
+    title: 'Rust & WebAssembly',
+    slug: 'rust-webassembly',
+    excerpt: 'Fast &amp; safe',
+    content: '<p>Intro<script>alert(1)</script></p><img src="/api/images/web/rust.png" onerror="alert(1)">',
+    category: 'WEB_DEVELOPMENT',
+    publishedAt: new Date('2025-09-01T10:00:00Z'),
+    createdAt: new Date('2025-09-01T09:00:00Z'),
+    updatedAt: new Date('2025-09-02T12:00:00Z'),
+    author: { id: 'author-123', name: 'Test User', email: 'test@example.com' },
+    collaborators: [{ user: { id: 'author-456', name: 'Co Author' } }],
+    tags: [{ id: 'tag-1', name: 'Rust', slug: 'rust' }]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.content.findMany.mockResolvedValue([publishedItem]);
+    mockPrisma.content.count.mockResolvedValue(1);
+    mockPrisma.category.findMany.mockResolvedValue([{ key: 'WEB_DEVELOPMENT', name: 'Web Development' }]);
+    mockPrisma.category.findUnique.mockImplementation(({ where }) => (
+      where.key === 'WEB_DEVELOPMENT' ? { key: 'WEB_DEVELOPMENT', name: 'Web Development', parentKey: null } : null
+    ));
+  });
+
+  it('should serve an RSS feed of the latest published content', async () => {
+    const res = await request(app).get('/api/content/feed.rss');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/rss+xml; charset=utf-8');
+    expect(res.headers['cache-control']).toBe('public, max-age=900');
+    expect(res.headers['last-modified']).toBe('Tue, 02 Sep 2025 12:00:00 GMT');
+
+    expect(res.text).toContain('<title>Rust &amp; WebAssembly</title>');
+    expect(res.text).toContain('<link>http://localhost:5173/content/rust-webassembly</link>');
+    expect(res.text).toContain('<dc:creator>Test User</dc:creator>');
+    expect(res.text).toContain('<dc:contributor>Co Author</dc:contributor>');
+    expect(res.text).toContain('<pubDate>Mon, 01 Sep 2025 10:00:00 GMT</pubDate>');
+    expect(res.text).toContain('<category>Web Development</category>');
+    expect(res.text).toContain('<category>Rust</category>');
+    expect(res.text).not.toContain('test@example.com');
+
+    // Body is sanitized and image URLs are absolute
+    expect(res.text).toContain('src=&quot;http://localhost:3000/api/images/web/rust.png&quot;');
+    expect(res.text).not.toContain('alert(1)');
+
+    // Newest first, not by priority
+    expect(mockPrisma.content.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { status: 'PUBLISHED', deletedAt: null },
+      orderBy: [{ publishedAt: 'desc' }, { createdAt: 'desc' }, { id: 'desc' }],
+      take: 20
+    }));
+  });
+
+  it('should serve an Atom feed', async () => {
+    const res = await request(app).get('/api/content/feed.atom');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/atom+xml; charset=utf-8');
+    expect(res.text).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+    expect(res.text).toContain(`<id>urn:uuid:${publishedItem.id}</id>`);
+    expect(res.text).toContain('<author><name>Test User</name></author>');
+    expect(res.text).toContain('<contributor><name>Co Author</name></contributor>');
+    expect(res.text).toContain('<summary type="html">Fast &amp;amp; safe</summary>');
+    expect(res.text).toContain('<updated>2025-09-02T12:00:00.000Z</updated>');
+  });
+
+  it('should filter per-category feeds', async () => {
+    const res = await request(app).get('/api/content/categories/WEB_DEVELOPMENT/feed.rss');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('<title>Intellectify - Web Development</title>');
+    expect(mockPrisma.content.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { status: 'PUBLISHED', deletedAt: null, category: 'WEB_DEVELOPMENT' }
+    }));
+  });
+
+  it('should return 404 for unknown categories and formats', async () => {
+    await request(app).get('/api/content/categories/COOKING/feed.rss').expect(404);
+    await request(app).get('/api/content/feed.json').expect(404);
+    expect(mockPrisma.content.findMany).not.toHaveBeenCalled();
+  });
+
+  it('should answer 304 when the feed has not changed', async () => {
+    const res = await request(app)
+      .get('/api/content/feed.rss')
+      .set('If-Modified-Since', 'Tue, 02 Sep 2025 12:00:00 GMT');
+
+    expect(res.status).toBe(304);
+  });
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../app');
+const fileStorageService = require('../src/services/fileStorageService');
+const { LocalStorageDriver } = require('../src/services/storage');
+
+jest.mock('../src/middleware/auth', () => ({
+  authenticateAdmin: (req, res, next) => {
+    req.user = { id: 'admin-123', role: 'ADMIN' };
+    next();
+  },
+  authenticateUser: (req, res, next) => next(),
+  authenticateRoles: () => (req, res, next) => next(),
+  identifyUser: (req, res, next) => next()
+}));
+
+// Phone photo: 60x20 pixels stored sideways (EXIF orientation 6, so it
+// displays 20x60 with the red half on top), with GPS position, make, model
+// and body serial number in EXIF, a GPS position in XMP and a city in IPTC
+const FIXTURE = path.join(__dirname, 'fixtures', 'gps-photo.jpg');
+
+describe('Image metadata stripping', () => {
+  const originalDriver = fileStorageService.driver;
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    fileStorageService.driver = new LocalStorageDriver({ root: tmpDir });
+  });
+
+  afterAll(() => {
+    fileStorageService.driver = originalDriver;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should start from a fixture that carries location data', async () => {
+    const metadata = await sharp(FIXTURE).metadata();
+
+    expect(metadata.orientation).toBe(6);
+    expect(metadata.exif.includes('SN-0042-7731')).toBe(true);
+    expect(metadata.xmp.toString()).toMatch(/GPSLatitude/);
+    expect(metadata.iptc.includes('London')).toBe(true);
+  });
+
+  it('should store uploads without EXIF, XMP or IPTC data, the right way up', async () => {
+    const res = await request(app)
+      .post('/api/admin/content/images/upload-temp')
+      .attach('image', FIXTURE, 'holiday.jpg');
+
+    expect(res.status).toBe(201);
+
+    const stored = fs.readFileSync(path.join(tmpDir, 'temp', res.body.data.path));
+    const metadata = await sharp(stored).metadata();
+
+    expect(res.body.data.size).toBe(stored.length);
+    expect(metadata).toMatchObject({ format: 'jpeg', width: 20, height: 60 });
+    expect(metadata.exif).toBeUndefined();
+    expect(metadata.xmp).toBeUndefined();
+    expect(metadata.iptc).toBeUndefined();
+    expect(metadata.orientation).toBeUndefined();
+    ['SN-0042', 'PhoneMaker', 'GPS', 'London'].forEach((text) => {
+      expect(stored.includes(text)).toBe(false);
+    });
+
+    // Orientation was applied to the pixels: the red half is now on top
+    const { data } = await sharp(stored).extract({ left: 10, top: 5, width: 1, height: 1 }).raw()
+      .toBuffer({ resolveWithObject: true });
+    expect(data[0]).toBeGreaterThan(200);
+    expect(data[2]).toBeLessThan(60);
+  });
+
+  it('should reject files that are not decodable images', async () => {
+    const res = await request(app)
+      .post('/api/admin/content/images/upload-temp')
+      .attach('image', Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(100)]), 'fake.jpg');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_IMAGE');
+  });
+});
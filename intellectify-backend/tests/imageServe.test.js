@@ -0,0 +1,175 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../app');
+const mockPrisma = require('../src/config/database');
+const fileStorageService = require('../src/services/fileStorageService');
+const { LocalStorageDriver } = require('../src/services/storage');
+const previewService = require('../src/services/contentPreviewService');
+
+let mockViewer = null;
+
+jest.mock('../src/middleware/auth', () => ({
+  authenticateAdmin: (req, res, next) => next(),
+  authenticateUser: (req, res, next) => next(),
+  authenticateRoles: () => (req, res, next) => next(),
+  identifyUser: (req, res, next) => {
+    if (mockViewer) {
+      req.user = { ...mockViewer };
+    }
+    next();
+  }
+}));
+
+describe('GET /api/images/*', () => {
+  const contentId = '7d9f3c1e-2b4a-4c8e-9f1a-3b5c7d9e1f2a';
+  const linkId = '0b1c2d3e-4f5a-4b6c-8d7e-9f0a1b2c3d4e';
+  const imagePath = `general/2025/08/${contentId}/photo.png`;
+  const bytes = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz');
+  const tempPath = 'temp/2025/08/editor-1-abc.png';
+  const originalDriver = fileStorageService.driver;
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'images-'));
+    const root = path.join(tmpDir, 'storage');
+    fileStorageService.driver = new LocalStorageDriver({ root });
+    fs.mkdirSync(path.join(root, 'content', path.dirname(imagePath)), { recursive: true });
+    fs.writeFileSync(path.join(root, 'content', imagePath), bytes);
+    fs.mkdirSync(path.join(root, 'temp', path.dirname(tempPath)), { recursive: true });
+    fs.writeFileSync(path.join(root, 'temp', tempPath), bytes);
+    fs.writeFileSync(path.join(tmpDir, 'secret.png'), 'outside');
+  });
+
+  afterAll(() => {
+    fileStorageService.driver = originalDriver;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockViewer = null;
+    mockPrisma.content.findUnique.mockResolvedValue({
+      status: 'PUBLISHED',
+      deletedAt: null,
+      authorId: 'author-1',
+      collaborators: []
+    });
+  });
+
+  it('should serve published images with caching headers', async () => {
+    const res = await request(app).get(`/api/images/${imagePath}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/png');
+    expect(res.headers['cache-control']).toBe('public, max-age=31536000, immutable');
+    expect(res.headers.etag).toMatch(/^"[0-9a-f]+-[0-9a-f]+"$/);
+    expect(res.headers['accept-ranges']).toBe('bytes');
+    expect(res.headers['x-content-type-options']).toBe('nosniff');
+    expect(Buffer.compare(res.body, bytes)).toBe(0);
+    expect(mockPrisma.content.findUnique).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: contentId }
+    }));
+  });
+
+  it('should answer conditional and range requests', async () => {
+    const { headers } = await request(app).get(`/api/images/${imagePath}`).expect(200);
+
+    await request(app)
+      .get(`/api/images/${imagePath}`)
+      .set('If-None-Match', headers.etag)
+      .expect(304);
+
+    const res = await request(app)
+      .get(`/api/images/${imagePath}`)
+      .set('Range', 'bytes=0-9');
+    expect(res.status).toBe(206);
+    expect(res.headers['content-range']).toBe(`bytes 0-9/${bytes.length}`);
+    expect(res.body.toString()).toBe('0123456789');
+
+    await request(app)
+      .get(`/api/images/${imagePath}`)
+      .set('Range', 'bytes=0-9')
+      .set('If-Range', '"stale"')
+      .expect(200);
+
+    const unsatisfiable = await request(app)
+      .get(`/api/images/${imagePath}`)
+      .set('Range', 'bytes=100-200');
+    expect(unsatisfiable.status).toBe(416);
+    expect(unsatisfiable.headers['content-range']).toBe(`bytes */${bytes.length}`);
+  });
+
+  it('should serve temporary uploads without an access check', async () => {
+    const res = await request(app).get(`/uploads/temp/${tempPath}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/png');
+    expect(res.headers['cache-control']).toBe('public, max-age=0');
+    expect(Buffer.compare(res.body, bytes)).toBe(0);
+    expect(mockPrisma.content.findUnique).not.toHaveBeenCalled();
+
+    await request(app).get(`/uploads/temp/${tempPath}`).set('Range', 'bytes=10-').expect(206);
+    await request(app).get('/uploads/temp/../content/secret.png').expect(404);
+    await request(app).get(`/uploads/temp/${imagePath}`).expect(404);
+  });
+
+  it('should not serve anything outside the upload directory', async () => {
+    await request(app).get('/api/images/../secret.png').expect(404);
+    await request(app).get('/api/images/%2e%2e/secret.png').expect(404);
+    await request(app).get('/api/images/general%2F..%2F..%2Fsecret.png').expect(404);
+    await request(app).get('/api/images/.hidden.png').expect(404);
+    await request(app).get(`/api/images/general/2025/08/${contentId}/missing.png`).expect(404);
+    await request(app).get(`/api/images/general/2025/08/${contentId}`).expect(404);
+  });
+
+  describe('images of drafts', () => {
+    beforeEach(() => {
+      mockPrisma.content.findUnique.mockResolvedValue({
+        status: 'DRAFT',
+        deletedAt: null,
+        authorId: 'author-1',
+        collaborators: []
+      });
+    });
+
+    it('should hide them from anonymous viewers', async () => {
+      const res = await request(app).get(`/api/images/${imagePath}`);
+
+      expect(res.status).toBe(404);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should serve them privately to the author', async () => {
+      mockViewer = { id: 'author-1', role: 'USER' };
+
+      const res = await request(app).get(`/api/images/${imagePath}`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['cache-control']).toBe('private, max-age=31536000, immutable');
+    });
+
+    it('should serve them with an active preview token', async () => {
+      const { token } = previewService.withToken({
+        id: linkId,
+        contentId,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+      mockPrisma.contentPreviewLink.findUnique.mockResolvedValue({
+        contentId,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        revokedAt: null
+      });
+
+      await request(app).get(`/api/images/${imagePath}`).query({ preview: token }).expect(200);
+
+      mockPrisma.contentPreviewLink.findUnique.mockResolvedValue({
+        contentId,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        revokedAt: new Date()
+      });
+      await request(app).get(`/api/images/${imagePath}`).query({ preview: token }).expect(404);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../app');
+const mockPrisma = require('../src/config/database');
+const fileStorageService = require('../src/services/fileStorageService');
+const { LocalStorageDriver } = require('../src/services/storage');
+const previewService = require('../src/services/contentPreviewService');
+
+describe('Responsive image variants', () => {
+  const contentId = '7d9f3c1e-2b4a-4c8e-9f1a-3b5c7d9e1f2a';
+  const originalDriver = fileStorageService.driver;
+  let tmpDir;
+  let saved;
+
+  const createPng = (width, height) => sharp({
+    create: { width, height, channels: 3, background: '#3366cc' }
+  }).png().toBuffer();
+
+  const listFiles = async () => (
+    await fileStorageService.driver.list(`content/${path.dirname(saved.path)}/`)
+  ).map((file) => path.basename(file.key)).sort();
+
+  beforeAll(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'variants-'));
+    fileStorageService.driver = new LocalStorageDriver({ root: tmpDir });
+
+    const buffer = await createPng(800, 400);
+    saved = await fileStorageService.saveImage(
+      { originalname: 'photo.png', buffer, size: buffer.length, mimetype: 'image/png' },
+      'GENERAL',
+      contentId
+    );
+  });
+
+  afterAll(() => {
+    fileStorageService.driver = originalDriver;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.content.findUnique.mockResolvedValue({
+      status: 'PUBLISHED',
+      deletedAt: null,
+      authorId: 'author-1',
+      collaborators: []
+    });
+  });
+
+  it('should create smaller widths and AVIF/WebP copies when an image is saved', async () => {
+    const name = path.basename(saved.filename, '.png');
+
+    expect(await listFiles()).toEqual([
+      `${name}.png`,
+      `${name}.w320.avif`,
+      `${name}.w320.png`,
+      `${name}.w320.webp`,
+      `${name}.w640.avif`,
+      `${name}.w640.png`,
+      `${name}.w640.webp`,
+      `${name}.w800.avif`,
+      `${name}.w800.webp`
+    ].sort());
+  });
+
+  it('should serve the requested width in the best accepted format', async () => {
+    const res = await request(app)
+      .get(`${saved.url}?w=320`)
+      .set('Accept', 'image/avif,image/webp,*/*;q=0.8');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/avif');
+    expect(res.headers.vary).toMatch(/Accept/);
+    expect((await sharp(res.body).metadata()).width).toBe(320);
+
+    const webp = await request(app).get(`${saved.url}?w=640`).set('Accept', 'image/webp,image/avif;q=0');
+    expect(webp.headers['content-type']).toBe('image/webp');
+
+    const png = await request(app).get(`${saved.url}?w=640`).set('Accept', '*/*');
+    expect(png.headers['content-type']).toBe('image/png');
+    expect((await sharp(png.body).metadata()).width).toBe(640);
+  });
+
+  it('should fall back to the original for widths the image has no copy in', async () => {
+    const full = await request(app).get(saved.url).set('Accept', 'image/webp');
+    expect(full.headers['content-type']).toBe('image/webp');
+    expect((await sharp(full.body).metadata()).width).toBe(800);
+
+    const wide = await request(app).get(`${saved.url}?w=1280`);
+    expect(wide.status).toBe(200);
+    expect(wide.headers['content-type']).toBe('image/png');
+    expect((await sharp(wide.body).metadata()).width).toBe(800);
+
+    const res = await request(app).get(`${saved.url}?w=500`);
+    expect(res.status).toBe(422);
+    expect(res.body.details).toEqual(['w must be one of: 320, 640, 960, 1280, 1920']);
+  });
+
+  it('should add srcset and sizes to published content', async () => {
+    mockPrisma.content.findFirst.mockResolvedValue({
+      id: contentId,
+      slug: 'photos',
+      content: `<p>Intro</p><img src="${saved.url}" alt="Photo"><img src="https://example.com/a.png">`,
+      status: 'PUBLISHED',
+      tags: [],
+      collaborators: []
+    });
+
+    const res = await request(app).get('/api/content/photos');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.content).toBe(
+      `<p>Intro</p><img src="${saved.url}" alt="Photo" ` +
+      `srcset="${saved.url}?w=320 320w, ${saved.url}?w=640 640w, ${saved.url} 800w" ` +
+      'sizes="(max-width: 768px) 100vw, 768px"><img src="https://example.com/a.png">'
+    );
+  });
+
+  it('should not list the variants in storage on every request', async () => {
+    const buffer = await sharp({
+      create: { width: 400, height: 200, channels: 3, background: '#3366cc' }
+    }).gif().toBuffer();
+    const gif = await fileStorageService.saveImage(
+      { originalname: 'animation.gif', buffer, size: buffer.length, mimetype: 'image/gif' },
+      'GENERAL',
+      contentId
+    );
+    const html = `<img src="${saved.url}"><img src="${gif.url}">`;
+    const expected = await fileStorageService.addResponsiveImages(html);
+    const stat = jest.spyOn(fileStorageService.driver, 'stat');
+    const list = jest.spyOn(fileStorageService.driver, 'list');
+
+    try {
+      expect(await fileStorageService.addResponsiveImages(html)).toBe(expected);
+      expect(await fileStorageService.addResponsiveImages(html)).toBe(expected);
+      // Only the originals are checked; the lists, even the GIF's empty one, come from the cache
+      expect(stat).toHaveBeenCalledTimes(4);
+      expect(list).not.toHaveBeenCalled();
+    } finally {
+      stat.mockRestore();
+      list.mockRestore();
+      await fileStorageService.deleteImage(gif.path);
+    }
+  });
+
+  it('should write the original after its variants', async () => {
+    const buffer = await createPng(400, 200);
+    const put = jest.spyOn(fileStorageService.driver, 'put');
+
+    try {
+      const image = await fileStorageService.saveImage(
+        { originalname: 'late.png', buffer, size: buffer.length, mimetype: 'image/png' },
+        'GENERAL',
+        contentId
+      );
+
+      expect(put.mock.calls.length).toBeGreaterThan(1);
+      expect(put.mock.calls.at(-1)[0]).toBe(`content/${image.path}`);
+      await fileStorageService.deleteImage(image.path);
+    } finally {
+      put.mockRestore();
+    }
+  });
+
+  it('should notice images deleted through another instance', async () => {
+    const buffer = await createPng(800, 400);
+    const other = await fileStorageService.saveImage(
+      { originalname: 'other.png', buffer, size: buffer.length, mimetype: 'image/png' },
+      'GENERAL',
+      contentId
+    );
+    const html = `<img src="${other.url}">`;
+    expect(await fileStorageService.addResponsiveImages(html)).toContain('srcset=');
+
+    // Straight through the storage, as another server would, so this process's cache isn't told
+    for (const file of await fileStorageService.driver.list(`content/${path.dirname(other.path)}/other-`)) {
+      await fileStorageService.driver.delete(file.key);
+    }
+
+    expect(await fileStorageService.addResponsiveImages(html)).toBe(html);
+  });
+
+  it('should add the preview token to every srcset URL', () => {
+    const html = `<img src="/api/images/a/b.png" srcset="/api/images/a/b.png?w=320 320w, /api/images/a/b.png 800w">`;
+
+    expect(previewService.addTokenToImages(html, 'tok')).toBe(
+      '<img src="/api/images/a/b.png?preview=tok" ' +
+      'srcset="/api/images/a/b.png?w=320&preview=tok 320w, /api/images/a/b.png?preview=tok 800w">'
+    );
+  });
+
+  it('should delete the variants with the original', async () => {
+    await fileStorageService.deleteImage(saved.path);
+
+    expect(await listFiles()).toEqual([]);
+    expect(fs.readdirSync(tmpDir)).toEqual([]);
+    expect(await fileStorageService.addResponsiveImages(`<img src="${saved.url}">`)).toBe(`<img src="${saved.url}">`);
+  });
+});
@@ -34,7 +34,56 @@ jest.mock('@prisma/client', () => ({
       findMany: jest.fn(),
       count: jest.fn(),
       deleteMany: jest.fn(),
+      groupBy: jest.fn(),
     },
+    contentRevision: {
+      create: jest.fn(),
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      count: jest.fn(),
+    },
+    tag: {
+      createMany: jest.fn(),
+      findMany: jest.fn(),
+    },
+    contentTransition: {
+      create: jest.fn(),
+      findMany: jest.fn(),
+    },
+    contentAutosave: {
+      findFirst: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      deleteMany: jest.fn(),
+    },
+    contentCollaborator: {
+      findMany: jest.fn(),
+      upsert: jest.fn(),
+      deleteMany: jest.fn(),
+    },
+    contentPreviewLink: {
+      create: jest.fn(),
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    contentSlugHistory: {
+      findFirst: jest.fn(),
+      upsert: jest.fn(),
+      deleteMany: jest.fn(),
+    },
+    category: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+      count: jest.fn(),
+    },
+    $executeRaw: jest.fn(),
+    $queryRaw: jest.fn(),
+    $transaction: jest.fn(),
     $disconnect: jest.fn(),
   })),
 }));
@@ -61,7 +110,56 @@ jest.mock('../src/config/database', () => ({
     findMany: jest.fn(),
     count: jest.fn(),
     deleteMany: jest.fn(),
+    groupBy: jest.fn(),
+  },
+  contentRevision: {
+    create: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+  },
+  tag: {
+    createMany: jest.fn(),
+    findMany: jest.fn(),
+  },
+  contentTransition: {
+    create: jest.fn(),
+    findMany: jest.fn(),
+  },
+  contentAutosave: {
+    findFirst: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+  contentCollaborator: {
+    findMany: jest.fn(),
+    upsert: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+  contentPreviewLink: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  contentSlugHistory: {
+    findFirst: jest.fn(),
+    upsert: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+  category: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+    count: jest.fn(),
   },
+  $executeRaw: jest.fn(),
+  $queryRaw: jest.fn(),
+  $transaction: jest.fn(),
   $disconnect: jest.fn(),
 }));
 
@@ -0,0 +1,94 @@
+const request = require('supertest');
+const app = require('../app');
+const mockPrisma = require('../src/config/database');
+const sitemapService = require('../src/services/sitemapService');
+const contentService = require('../src/services/contentService');
+
+describe('Sitemap and robots.txt', () => {
+  const articles = [
+    { slug: 'first-post', updatedAt: new Date('2025-09-01T10:00:00Z') },
+    { slug: 'second-post', updatedAt: new Date('2025-09-03T10:00:00Z') }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sitemapService.clearCache();
+    sitemapService.maxUrlsPerSitemap = 50000;
+
+    mockPrisma.content.groupBy.mockResolvedValue([
+      { category: 'WEB_DEVELOPMENT', _max: { updatedAt: new Date('2025-09-03T10:00:00Z') } }
+    ]);
+    mockPrisma.content.count.mockResolvedValue(articles.length);
+    mockPrisma.content.findMany.mockResolvedValue(articles);
+  });
+
+  it('should list articles and category pages with lastmod', async () => {
+    const res = await request(app).get('/sitemap.xml');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/xml; charset=utf-8');
+    expect(res.headers['cache-control']).toBe('public, max-age=3600');
+    expect(res.text).toContain('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+    expect(res.text).toContain(
+      '<url><loc>http://localhost:5173/content/first-post</loc><lastmod>2025-09-01T10:00:00.000Z</lastmod></url>'
+    );
+    expect(res.text).toContain('<loc>http://localhost:5173/categories/web-development</loc>');
+    expect(res.text).toContain(
+      '<url><loc>http://localhost:5173/</loc><lastmod>2025-09-03T10:00:00.000Z</lastmod></url>'
+    );
+    expect(mockPrisma.content.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { status: 'PUBLISHED', deletedAt: null }
+    }));
+  });
+
+  it('should switch to a sitemap index when there are too many URLs', async () => {
+    sitemapService.maxUrlsPerSitemap = 2;
+    mockPrisma.content.count.mockResolvedValue(3);
+
+    const res = await request(app).get('/sitemap.xml');
+
+    expect(res.text).toContain('<sitemapindex');
+    expect(res.text).toContain('<loc>http://localhost:5173/sitemaps/pages.xml</loc>');
+    expect(res.text).toContain('<loc>http://localhost:5173/sitemaps/content-1.xml</loc>');
+    expect(res.text).toContain('<loc>http://localhost:5173/sitemaps/content-2.xml</loc>');
+    expect(res.text).not.toContain('content-3.xml');
+  });
+
+  it('should serve pages of the sitemap index', async () => {
+    sitemapService.maxUrlsPerSitemap = 2;
+
+    const res = await request(app).get('/sitemaps/content-2.xml');
+
+    expect(res.status).toBe(200);
+    expect(mockPrisma.content.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      skip: 2,
+      take: 2
+    }));
+
+    mockPrisma.content.findMany.mockResolvedValue([]);
+    await request(app).get('/sitemaps/content-9.xml').expect(404);
+    await request(app).get('/sitemaps/other.xml').expect(404);
+  });
+
+  it('should cache the sitemap until content is published or unpublished', async () => {
+    await request(app).get('/sitemap.xml');
+    await request(app).get('/sitemap.xml');
+    expect(mockPrisma.content.findMany).toHaveBeenCalledTimes(1);
+
+    mockPrisma.content.findUnique.mockResolvedValue({ id: 'content-123', status: 'DRAFT', authorId: 'author-123' });
+    mockPrisma.content.update.mockResolvedValue({ id: 'content-123', status: 'PUBLISHED' });
+    await contentService.updateContentStatus('content-123', 'PUBLISHED', 'author-123');
+
+    await request(app).get('/sitemap.xml');
+    expect(mockPrisma.content.findMany).toHaveBeenCalledTimes(2);
+  });
+
+  it('should serve robots.txt pointing at the sitemap', async () => {
+    const res = await request(app).get('/robots.txt');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/plain; charset=utf-8');
+    expect(res.text).toContain('Disallow: /api/admin/');
+    expect(res.text).toContain('Sitemap: http://localhost:5173/sitemap.xml');
+  });
+});
@@ -0,0 +1,128 @@
+const SlugGenerator = require('../src/services/slugGenerator');
+const mockPrisma = require('../src/config/database');
+
+describe('SlugGenerator', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('generateSlug', () => {
+    it('should transliterate non-Latin titles', () => {
+      expect(SlugGenerator.generateSlug('বাংলা ভাষা')).toBe('baanlaa-bhaassaa');
+      expect(SlugGenerator.generateSlug('Привет мир')).toBe('privet-mir');
+      expect(SlugGenerator.generateSlug('Café déjà vu')).toBe('cafe-deja-vu');
+    });
+
+    it('should return an empty string when nothing can be transliterated', () => {
+      expect(SlugGenerator.generateSlug('🎉 🚀')).toBe('');
+    });
+
+    it('should cap the slug length without a trailing hyphen', () => {
+      const slug = SlugGenerator.generateSlug(`${'a'.repeat(99)} word`);
+
+      expect(slug).toBe('a'.repeat(99));
+    });
+  });
+
+  describe('ensureUniqueSlug', () => {
+    beforeEach(() => {
+      mockPrisma.content.findFirst.mockResolvedValue(null);
+      mockPrisma.contentSlugHistory.findFirst.mockResolvedValue(null);
+    });
+
+    it('should fall back to a short id for an empty slug', async () => {
+      const slug = await SlugGenerator.ensureUniqueSlug('');
+
+      expect(slug).toMatch(/^content-[0-9a-f]{8}$/);
+    });
+
+    it('should not hand out reserved route words', async () => {
+      const slug = await SlugGenerator.ensureUniqueSlug('search');
+
+      expect(slug).toBe('search-1');
+    });
+
+    it('should skip slugs another article used before', async () => {
+      mockPrisma.content.findFirst.mockResolvedValue(null);
+      mockPrisma.contentSlugHistory.findFirst
+        .mockResolvedValueOnce({ slug: 'my-post', contentId: 'other-content' })
+        .mockResolvedValueOnce(null);
+
+      const slug = await SlugGenerator.ensureUniqueSlug('my-post', 'content-123');
+
+      expect(slug).toBe('my-post-1');
+      expect(mockPrisma.contentSlugHistory.findFirst).toHaveBeenNthCalledWith(1, {
+        where: { slug: 'my-post', contentId: { not: 'content-123' } }
+      });
+    });
+  });
+
+  describe('validateCustomSlug', () => {
+    beforeEach(() => {
+      mockPrisma.content.findFirst.mockResolvedValue(null);
+      mockPrisma.contentSlugHistory.findFirst.mockResolvedValue(null);
+    });
+
+    it('should accept a free, well-formed slug', async () => {
+      await expect(SlugGenerator.validateCustomSlug(' my-custom-slug ', 'content-123'))
+        .resolves.toBe('my-custom-slug');
+    });
+
+    it('should reject badly formed slugs', async () => {
+      await expect(SlugGenerator.validateCustomSlug('My Slug!'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_SLUG' });
+      await expect(SlugGenerator.validateCustomSlug('a'.repeat(101)))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_SLUG' });
+    });
+
+    it('should reject reserved words', async () => {
+      await expect(SlugGenerator.validateCustomSlug('categories'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'RESERVED_SLUG' });
+    });
+
+    it('should reject slugs owned by other content', async () => {
+      mockPrisma.content.findFirst.mockResolvedValue({ id: 'other-content' });
+
+      await expect(SlugGenerator.validateCustomSlug('taken-slug', 'content-123'))
+        .rejects.toMatchObject({ statusCode: 409, code: 'SLUG_TAKEN' });
+    });
+  });
+
+  describe('recordSlugChange', () => {
+    it('should store the old slug and release the new one from history', async () => {
+      await SlugGenerator.recordSlugChange('content-123', 'old-title', 'new-title');
+
+      expect(mockPrisma.contentSlugHistory.upsert).toHaveBeenCalledWith({
+        where: { slug: 'old-title' },
+        update: { contentId: 'content-123' },
+        create: { slug: 'old-title', contentId: 'content-123' }
+      });
+      expect(mockPrisma.contentSlugHistory.deleteMany).toHaveBeenCalledWith({
+        where: { slug: 'new-title', contentId: 'content-123' }
+      });
+    });
+
+    it('should do nothing when the slug did not change', async () => {
+      await SlugGenerator.recordSlugChange('content-123', 'same-title', 'same-title');
+
+      expect(mockPrisma.contentSlugHistory.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findRedirectSlug', () => {
+    it('should return the current slug of published content', async () => {
+      mockPrisma.contentSlugHistory.findFirst.mockResolvedValue({ contentItem: { slug: 'new-title' } });
+
+      await expect(SlugGenerator.findRedirectSlug('old-title')).resolves.toBe('new-title');
+      expect(mockPrisma.contentSlugHistory.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { slug: 'old-title', contentItem: { status: 'PUBLISHED', deletedAt: null } }
+      }));
+    });
+
+    it('should return null for unknown slugs', async () => {
+      mockPrisma.contentSlugHistory.findFirst.mockResolvedValue(null);
+
+      await expect(SlugGenerator.findRedirectSlug('missing')).resolves.toBeNull();
+    });
+  });
+});
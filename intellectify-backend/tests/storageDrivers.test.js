@@ -0,0 +1,246 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const fileStorageService = require('../src/services/fileStorageService');
+const { createStorageDriver, LocalStorageDriver } = require('../src/services/storage');
+const S3StorageDriver = require('../src/services/storage/s3StorageDriver');
+
+// Dates from fs come from outside the Jest realm, so compare their times
+const isRecent = (date) => Math.abs(date.getTime() - Date.now()) < 5 * 60 * 1000;
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+/**
+ * Behaviour every storage driver must have
+ * @param {Function} getDriver - Returns the driver under test (created in beforeAll)
+ */
+const describeDriverContract = (getDriver) => {
+  const contentId = '7d9f3c1e-2b4a-4c8e-9f1a-3b5c7d9e1f2a';
+
+  it('should store, read, stream and stat files', async () => {
+    const driver = getDriver();
+    await driver.put('content/a/file.txt', Buffer.from('0123456789'), { contentType: 'text/plain' });
+
+    expect((await driver.get('content/a/file.txt')).toString()).toBe('0123456789');
+    expect(await readStream(await driver.stream('content/a/file.txt'))).toBe('0123456789');
+    expect(await readStream(await driver.stream('content/a/file.txt', { start: 2, end: 4 }))).toBe('234');
+    const stats = await driver.stat('content/a/file.txt');
+    expect(stats.size).toBe(10);
+    expect(isRecent(stats.lastModified)).toBe(true);
+
+    expect(await driver.get('content/a/missing.txt')).toBeNull();
+    expect(await driver.stream('content/a/missing.txt')).toBeNull();
+    expect(await driver.stat('content/a/missing.txt')).toBeNull();
+  });
+
+  it('should list by key prefix, in all subdirectories', async () => {
+    const driver = getDriver();
+    await driver.put('content/b/x/one.png', Buffer.from('1'));
+    await driver.put('content/b/x/one.w320.png', Buffer.from('2'));
+    await driver.put('content/b/y/two.png', Buffer.from('3'));
+    await driver.put('content/bb/three.png', Buffer.from('4'));
+
+    const keys = async (prefix) => (await driver.list(prefix)).map((file) => file.key).sort();
+
+    expect(await keys('content/b/')).toEqual(['content/b/x/one.png', 'content/b/x/one.w320.png', 'content/b/y/two.png']);
+    expect(await keys('content/b/x/one.w')).toEqual(['content/b/x/one.w320.png']);
+    expect(await keys('content/missing/')).toEqual([]);
+    const [file] = await driver.list('content/bb/');
+    expect(file).toMatchObject({ key: 'content/bb/three.png', size: 1 });
+    expect(isRecent(file.lastModified)).toBe(true);
+  });
+
+  it('should move and delete files', async () => {
+    const driver = getDriver();
+    await driver.put('temp/2025/08/photo one.png', Buffer.from('moved'));
+
+    await driver.move('temp/2025/08/photo one.png', `content/general/2025/08/${contentId}/photo one.png`);
+
+    expect(await driver.get('temp/2025/08/photo one.png')).toBeNull();
+    expect((await driver.get(`content/general/2025/08/${contentId}/photo one.png`)).toString()).toBe('moved');
+
+    await driver.delete(`content/general/2025/08/${contentId}/photo one.png`);
+    await driver.delete(`content/general/2025/08/${contentId}/photo one.png`);
+
+    expect(await driver.list(`content/general/2025/08/${contentId}/`)).toEqual([]);
+  });
+
+  describe('through fileStorageService', () => {
+    const originalDriver = fileStorageService.driver;
+    let saved;
+
+    beforeAll(async () => {
+      fileStorageService.driver = getDriver();
+
+      const buffer = await sharp({
+        create: { width: 400, height: 200, channels: 3, background: '#3366cc' }
+      }).png().toBuffer();
+      saved = await fileStorageService.saveImage(
+        { originalname: 'Editor Image.png', buffer, size: buffer.length, mimetype: 'image/png' },
+        'TEMP'
+      );
+    });
+
+    afterAll(() => {
+      fileStorageService.driver = originalDriver;
+    });
+
+    it('should move images from temp storage into the content folder with their variants', async () => {
+      const tempPath = saved.path;
+      const moved = await fileStorageService.moveImageFromTemp(tempPath, 'WEB_DEVELOPMENT', contentId);
+
+      expect(moved.path).toBe(`${fileStorageService.generateImagePath('WEB_DEVELOPMENT', contentId)}/${saved.filename}`);
+      expect(moved.url).toBe(`/api/images/${moved.path}`);
+      expect(await fileStorageService.imageExists(moved.path)).toBe(true);
+      expect(await getDriver().stat(`temp/${tempPath}`)).toBeNull();
+      expect((await fileStorageService.getImageVariants(`content/${moved.path}`)).length).toBeGreaterThan(0);
+
+      await expect(fileStorageService.moveImageFromTemp(tempPath, 'WEB_DEVELOPMENT', contentId))
+        .rejects.toMatchObject({ statusCode: 404, code: 'TEMP_FILE_NOT_FOUND' });
+      await expect(fileStorageService.moveImageFromTemp(`../content/${moved.path}`, 'GENERAL', contentId))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should delete every image of a content item', async () => {
+      const folder = fileStorageService.generateImagePath('WEB_DEVELOPMENT', contentId);
+      const result = await fileStorageService.cleanupContentImages(contentId, [`${folder}/${saved.filename}`]);
+
+      expect(result.success).toBe(true);
+      expect(result.deleted.length).toBeGreaterThan(1);
+      expect(await getDriver().list(`content/${folder}/`)).toEqual([]);
+    });
+  });
+};
+
+describe('Storage drivers', () => {
+  describe('LocalStorageDriver', () => {
+    let tmpDir;
+    let driver;
+
+    beforeAll(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+      driver = new LocalStorageDriver({ root: path.join(tmpDir, 'uploads') });
+    });
+
+    afterAll(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describeDriverContract(() => driver);
+
+    it('should keep keys inside the root directory', async () => {
+      fs.writeFileSync(path.join(tmpDir, 'secret.txt'), 'outside');
+      fs.mkdirSync(path.join(tmpDir, 'uploads', 'content'), { recursive: true });
+      fs.symlinkSync(path.join(tmpDir, 'secret.txt'), path.join(tmpDir, 'uploads', 'content', 'link.txt'));
+
+      expect(await driver.get('../secret.txt')).toBeNull();
+      expect(await driver.get('content/link.txt')).toBeNull();
+      await expect(driver.put('../escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+      expect(fs.existsSync(path.join(tmpDir, 'escape.txt'))).toBe(false);
+    });
+
+    it('should remove directories once they are empty', async () => {
+      await driver.put('content/c/d/file.txt', Buffer.from('x'));
+      await driver.delete('content/c/d/file.txt');
+
+      expect(fs.existsSync(path.join(tmpDir, 'uploads', 'content', 'c'))).toBe(false);
+      expect(fs.existsSync(path.join(tmpDir, 'uploads'))).toBe(true);
+    });
+  });
+
+  describe('S3StorageDriver', () => {
+    const notFound = () => Object.assign(new Error('Not Found'), { name: 'NotFound', $metadata: { httpStatusCode: 404 } });
+
+    it('should send keys under the prefix and map missing objects to null', async () => {
+      const send = jest.fn().mockRejectedValue(notFound());
+      const driver = new S3StorageDriver({ bucket: 'media', prefix: '/staging/', client: { send } });
+
+      expect(await driver.stat('content/a.png')).toBeNull();
+      expect(await driver.get('content/a.png')).toBeNull();
+      expect(send.mock.calls[0][0].input).toEqual({ Bucket: 'media', Key: 'staging/content/a.png' });
+      expect(send.mock.calls[1][0].input).toEqual({ Bucket: 'media', Key: 'staging/content/a.png', Range: undefined });
+
+      send.mockRejectedValueOnce(Object.assign(new Error('Access Denied'), { name: 'AccessDenied' }));
+      await expect(driver.stat('content/a.png')).rejects.toThrow('Access Denied');
+    });
+
+    it('should request byte ranges and copy with an encoded source', async () => {
+      const send = jest.fn().mockResolvedValue({});
+      const driver = new S3StorageDriver({ bucket: 'media', client: { send } });
+
+      await driver.stream('content/a.png', { start: 5, end: 9 });
+      await driver.move('temp/photo one.png', 'content/photo one.png');
+
+      expect(send.mock.calls[0][0].input.Range).toBe('bytes=5-9');
+      expect(send.mock.calls[1][0].input).toEqual({
+        Bucket: 'media',
+        Key: 'content/photo one.png',
+        CopySource: 'media/temp/photo%20one.png'
+      });
+      expect(send.mock.calls[2][0].input).toEqual({ Bucket: 'media', Key: 'temp/photo one.png' });
+    });
+
+    it('should list every page without the prefix', async () => {
+      const lastModified = new Date();
+      const send = jest.fn()
+        .mockResolvedValueOnce({
+          Contents: [{ Key: 'staging/temp/a.png', Size: 1, LastModified: lastModified }],
+          IsTruncated: true,
+          NextContinuationToken: 'next'
+        })
+        .mockResolvedValueOnce({
+          Contents: [{ Key: 'staging/temp/b.png', Size: 2, LastModified: lastModified }],
+          IsTruncated: false
+        });
+      const driver = new S3StorageDriver({ bucket: 'media', prefix: 'staging', client: { send } });
+
+      expect(await driver.list('temp/')).toEqual([
+        { key: 'temp/a.png', size: 1, lastModified },
+        { key: 'temp/b.png', size: 2, lastModified }
+      ]);
+      expect(send.mock.calls[1][0].input).toEqual({ Bucket: 'media', Prefix: 'staging/temp/', ContinuationToken: 'next' });
+    });
+
+    it('should require a bucket', () => {
+      expect(() => createStorageDriver({ driver: 's3', s3: {} })).toThrow('S3_BUCKET is required');
+      expect(() => createStorageDriver({ driver: 'ftp' })).toThrow('Unknown STORAGE_DRIVER "ftp"');
+      expect(createStorageDriver({ driver: 'local', local: { root: 'uploads' } })).toBeInstanceOf(LocalStorageDriver);
+    });
+  });
+
+  // Runs against a real S3-compatible server when one is configured, e.g. MinIO:
+  // S3_TEST_ENDPOINT=http://localhost:9000 S3_TEST_BUCKET=intellectify-test npm test
+  const describeS3 = process.env.S3_TEST_ENDPOINT ? describe : describe.skip;
+
+  describeS3('S3StorageDriver against S3_TEST_ENDPOINT', () => {
+    let driver;
+
+    beforeAll(async () => {
+      driver = new S3StorageDriver({
+        bucket: process.env.S3_TEST_BUCKET || 'intellectify-test',
+        prefix: `test-${Date.now()}`,
+        endpoint: process.env.S3_TEST_ENDPOINT,
+        region: process.env.S3_TEST_REGION || 'us-east-1',
+        forcePathStyle: true,
+        accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID || 'minioadmin',
+        secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY || 'minioadmin'
+      });
+      await driver.initialize();
+    });
+
+    afterAll(async () => {
+      for (const file of await driver.list()) {
+        await driver.delete(file.key);
+      }
+    });
+
+    describeDriverContract(() => driver);
+  });
+});
@@ -49,7 +49,12 @@ jest.mock('../src/middleware/auth', () => ({
   authenticateUser: (req, res, next) => {
     req.user = { ...mockAdminUser };
     next();
-  }
+  },
+  authenticateRoles: () => (req, res, next) => {
+    req.user = { ...mockAdminUser };
+    next();
+  },
+  identifyUser: (req, res, next) => next()
 }));
 
 // Mock file storage service
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mockPrisma = require('../src/config/database');
+const contentService = require('../src/services/contentService');
+const fileStorageService = require('../src/services/fileStorageService');
+const { LocalStorageDriver } = require('../src/services/storage');
+
+describe('Trash purge image cleanup', () => {
+  const contentId = '7d9f3c1e-2b4a-4c8e-9f1a-3b5c7d9e1f2a';
+  const otherId = '0b1c2d3e-4f5a-4b6c-8d7e-9f0a1b2c3d4e';
+  const originalDriver = fileStorageService.driver;
+  let tmpDir;
+
+  const storedKeys = async () => (await fileStorageService.driver.list('content/')).map((file) => file.key).sort();
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purge-'));
+    fileStorageService.driver = new LocalStorageDriver({ root: tmpDir });
+
+    for (const key of [
+      `content/web-development/2025/03/${contentId}/photo.png`,
+      `content/web-development/2025/03/${contentId}/photo.w320.webp`,
+      `content/web-development/2025/05/${contentId}/diagram.png`,
+      // Saved before the category was changed from GENERAL
+      `content/general/2024/11/${contentId}/old.png`,
+      // Only shown by a revision from when the category was DEVOPS
+      `content/devops/2024/09/${contentId}/removed.png`,
+      `content/web-development/2025/03/${otherId}/keep.png`
+    ]) {
+      await fileStorageService.driver.put(key, Buffer.from('x'));
+    }
+  });
+
+  afterEach(() => {
+    fileStorageService.driver = originalDriver;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should delete images saved in earlier months and other categories', async () => {
+    mockPrisma.content.findMany.mockResolvedValue([{
+      id: contentId,
+      content: `<img src="/api/images/general/2024/11/${contentId}/old.png">` +
+        `<img src="/api/images/web-development/2025/03/${otherId}/keep.png">`,
+      revisions: [
+        { content: `<img src="/api/images/devops/2024/09/${contentId}/removed.png">` },
+        { content: `<img src="/api/images/web-development/2025/03/${contentId}/photo.png">` },
+        { content: `<img src="/api/images/web-development/2025/05/${contentId}/diagram.png">` }
+      ]
+    }]);
+    mockPrisma.content.delete.mockResolvedValue({});
+    const list = jest.spyOn(fileStorageService.driver, 'list');
+
+    const result = await contentService.purgeExpiredTrash(new Date('2025-10-01T03:00:00Z'));
+
+    expect(result.purged).toEqual([contentId]);
+    // Only the content's own folders are listed, not the whole category
+    expect(list.mock.calls.map(([prefix]) => prefix).sort()).toEqual([
+      `content/devops/2024/09/${contentId}/`,
+      `content/general/2024/11/${contentId}/`,
+      `content/web-development/2025/03/${contentId}/`,
+      `content/web-development/2025/05/${contentId}/`
+    ]);
+    expect(await storedKeys()).toEqual([`content/web-development/2025/03/${otherId}/keep.png`]);
+    expect(fs.readdirSync(path.join(tmpDir, 'content'))).toEqual(['web-development']);
+  });
+
+  it('should keep the images when the content row could not be deleted', async () => {
+    mockPrisma.content.findMany.mockResolvedValue([{
+      id: contentId,
+      content: `<img src="/api/images/general/2024/11/${contentId}/old.png">`,
+      revisions: []
+    }]);
+    mockPrisma.content.delete.mockRejectedValue(new Error('Database unavailable'));
+
+    await contentService.purgeExpiredTrash(new Date('2025-10-01T03:00:00Z'));
+
+    expect(await storedKeys()).toHaveLength(6);
+  });
+});
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../app');
+const fileStorageService = require('../src/services/fileStorageService');
+const { LocalStorageDriver } = require('../src/services/storage');
+const { detectImageType } = require('../src/middleware/security');
+
+jest.mock('../src/middleware/auth', () => ({
+  authenticateAdmin: (req, res, next) => {
+    req.user = { id: 'admin-123', role: 'ADMIN' };
+    next();
+  },
+  authenticateUser: (req, res, next) => next(),
+  authenticateRoles: () => (req, res, next) => next(),
+  identifyUser: (req, res, next) => next()
+}));
+
+describe('Upload content sniffing', () => {
+  const originalDriver = fileStorageService.driver;
+  let tmpDir;
+  let frames;
+
+  const upload = (buffer, filename, contentType) => request(app)
+    .post('/api/admin/content/images/upload-temp')
+    .attach('image', buffer, { filename, contentType });
+
+  beforeAll(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    fileStorageService.driver = new LocalStorageDriver({ root: tmpDir });
+
+    const frame = (background) => sharp({
+      create: { width: 8, height: 8, channels: 3, background }
+    }).png().toBuffer();
+    frames = [await frame('#ff0000'), await frame('#0000ff')];
+  });
+
+  afterAll(() => {
+    fileStorageService.driver = originalDriver;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('detectImageType', () => {
+    it('should detect formats from their signatures', async () => {
+      expect(detectImageType(frames[0])).toEqual({ mimetype: 'image/png', animated: false });
+      expect(detectImageType(await sharp(frames[0]).jpeg().toBuffer()))
+        .toEqual({ mimetype: 'image/jpeg', animated: false });
+      expect(detectImageType(await sharp(frames[0]).webp().toBuffer()))
+        .toEqual({ mimetype: 'image/webp', animated: false });
+      expect(detectImageType(await sharp(frames[0]).gif().toBuffer()))
+        .toEqual({ mimetype: 'image/gif', animated: false });
+    });
+
+    it('should detect animated GIF and WebP files', async () => {
+      const animated = sharp(frames, { join: { animated: true } });
+
+      expect(detectImageType(await animated.clone().gif().toBuffer()))
+        .toEqual({ mimetype: 'image/gif', animated: true });
+      expect(detectImageType(await animated.clone().webp().toBuffer()))
+        .toEqual({ mimetype: 'image/webp', animated: true });
+    });
+
+    it('should not take other RIFF files or text for images', () => {
+      const wav = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVEfmt '), Buffer.alloc(16)]);
+
+      expect(detectImageType(wav)).toBeNull();
+      expect(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBeNull();
+      expect(detectImageType(Buffer.from([0xff, 0xd8]))).toBeNull();
+    });
+  });
+
+  describe('POST /api/admin/content/images/upload-temp', () => {
+    it('should reject files whose content does not match the declared type', async () => {
+      const res = await upload(frames[0], 'photo.jpg', 'image/jpeg');
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('INVALID_FILE_TYPE');
+      expect(res.body.error).toBe('File content is image/png, but it was uploaded as image/jpeg');
+    });
+
+    it('should reject files that are not images', async () => {
+      const wav = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVEfmt '), Buffer.alloc(16)]);
+
+      const res = await upload(wav, 'sound.webp', 'image/webp');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('File content is not a supported image');
+    });
+
+    it('should store and serve the detected format', async () => {
+      const webp = await sharp(frames[0]).webp().toBuffer();
+
+      const res = await upload(webp, 'picture.webp', 'image/webp');
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ mimetype: 'image/webp', animated: false });
+      expect(res.body.data.filename).toMatch(/^picture-\d+-[0-9a-f]+\.webp$/);
+      expect(detectImageType(fs.readFileSync(path.join(tmpDir, 'temp', res.body.data.path))).mimetype).toBe('image/webp');
+    });
+
+    it('should report animated GIFs and keep their frames', async () => {
+      const gif = await sharp(frames, { join: { animated: true } }).gif().toBuffer();
+
+      const res = await upload(gif, 'loop.gif', 'image/gif');
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ mimetype: 'image/gif', animated: true });
+      const stored = fs.readFileSync(path.join(tmpDir, 'temp', res.body.data.path));
+      expect((await sharp(stored, { animated: true }).metadata()).pages).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,19 @@
+const { escapeXml } = require('../src/utils/xmlHelper');
+
+describe('escapeXml', () => {
+  it('should escape markup characters', () => {
+    expect(escapeXml(`Tom & "Jerry" <'s>`)).toBe('Tom &amp; &quot;Jerry&quot; &lt;&apos;s&gt;');
+    expect(escapeXml(null)).toBe('');
+    expect(escapeXml(42)).toBe('42');
+  });
+
+  it('should drop characters XML 1.0 does not allow', () => {
+    const text = ['a', '\u0000', '\u0008', '\t', '\u000B', '\n', '\u001F', '\r', '\uFFFE', '\uD800', 'b'].join('');
+
+    expect(escapeXml(text)).toBe('a\t\n\rb');
+  });
+
+  it('should keep characters outside the Basic Multilingual Plane', () => {
+    expect(escapeXml('rocket \u{1F680} and বাংলা')).toBe('rocket \u{1F680} and বাংলা');
+  });
+});